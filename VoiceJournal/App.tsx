@@ -1,9 +1,17 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { AppNavigator } from './src/navigation/AppNavigator';
+import { ProcessingQueue } from './src/services/ProcessingQueue';
 
 export default function App() {
+  useEffect(() => {
+    // Pick up recordings that were still being processed when the app closed
+    ProcessingQueue.getInstance().resume().catch(error => {
+      console.error('Error resuming processing queue:', error);
+    });
+  }, []);
+
   return (
     <SafeAreaProvider>
       <AppNavigator />
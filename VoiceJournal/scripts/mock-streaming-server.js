@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * 🎙️ Mock Live Transcription Server
+ *
+ * A dependency-free WebSocket server speaking the app's live transcription
+ * protocol (see src/services/transcription/WebSocketStreamingSession.ts).
+ * It doesn't recognize speech: it "hears" a sample script at speaking pace
+ * while audio chunks arrive, sending partial and final hypotheses.
+ *
+ * Usage: node scripts/mock-streaming-server.js [port]
+ * Then set the live transcription server to ws://<this machine's IP>:<port>
+ * in the app settings.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8765', 10);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WORDS_PER_SECOND = 2.5;
+
+const SCRIPT = [
+  'This is the mock live transcription server.',
+  'Every chunk of audio it receives moves the transcript forward.',
+  'Partial results turn into final ones at the end of each sentence.',
+  'When you stop recording the full file is transcribed again.',
+].map(sentence => sentence.split(' '));
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+// Minimal RFC 6455 framing: unfragmented text frames only, which is all the
+// protocol uses
+function encodeFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns { frame, rest } for the first complete frame in `buffer`, or null
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { frame: { opcode, payload }, rest: buffer.subarray(offset + length) };
+}
+
+function transcriptAfter(wordsHeard) {
+  const finals = [];
+  let partial = [];
+  let remaining = wordsHeard;
+  for (const sentence of SCRIPT) {
+    if (remaining <= 0) break;
+    if (remaining >= sentence.length) {
+      finals.push(sentence.join(' '));
+    } else {
+      partial = sentence.slice(0, remaining);
+    }
+    remaining -= sentence.length;
+  }
+  return { finals, partial: partial.join(' ') };
+}
+
+function handleConnection(socket, id) {
+  let buffer = Buffer.alloc(0);
+  let startedAt = null;
+  let finalsSent = 0;
+  let lastPartial = '';
+  let bytesReceived = 0;
+
+  const send = message => {
+    if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+  };
+
+  const advance = flush => {
+    const elapsed = startedAt === null ? 0 : (Date.now() - startedAt) / 1000;
+    const { finals, partial } = transcriptAfter(Math.floor(elapsed * WORDS_PER_SECOND) + 1);
+
+    while (finalsSent < finals.length) {
+      send({ type: 'final', text: finals[finalsSent++] });
+      lastPartial = '';
+    }
+    if (flush && partial) {
+      send({ type: 'final', text: partial });
+    } else if (partial !== lastPartial) {
+      send({ type: 'partial', text: partial });
+      lastPartial = partial;
+    }
+  };
+
+  const handleMessage = text => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      send({ type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'start':
+        log(`#${id} started (format: ${message.format}, language: ${message.language || 'auto'})`);
+        break;
+      case 'audio':
+        if (startedAt === null) startedAt = Date.now();
+        bytesReceived += Buffer.from(message.data || '', 'base64').length;
+        advance(false);
+        break;
+      case 'stop':
+        advance(true);
+        send({ type: 'done' });
+        log(`#${id} stopped after ${bytesReceived} bytes of audio`);
+        break;
+      default:
+        send({ type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  };
+
+  socket.on('data', data => {
+    buffer = Buffer.concat([buffer, data]);
+    let decoded = decodeFrame(buffer);
+    while (decoded) {
+      buffer = decoded.rest;
+      const { opcode, payload } = decoded.frame;
+      if (opcode === 0x1) {
+        handleMessage(payload.toString('utf8'));
+      } else if (opcode === 0x8) {
+        socket.end(Buffer.from([0x88, 0x00]));
+        return;
+      } else if (opcode === 0x9) {
+        socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+      }
+      decoded = decodeFrame(buffer);
+    }
+  });
+
+  socket.on('close', () => log(`#${id} disconnected`));
+  socket.on('error', error => log(`#${id} error: ${error.message}`));
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('This server only accepts WebSocket connections\n');
+});
+
+let connectionCount = 0;
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const id = ++connectionCount;
+  log(`#${id} connected from ${socket.remoteAddress}`);
+  handleConnection(socket, id);
+});
+
+server.listen(PORT, () => {
+  log(`Mock live transcription server listening on ws://0.0.0.0:${PORT}`);
+});
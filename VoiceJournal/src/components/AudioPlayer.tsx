@@ -0,0 +1,384 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  PanResponder,
+  GestureResponderEvent,
+  LayoutChangeEvent,
+} from 'react-native';
+import { Audio, AVPlaybackStatus } from 'expo-av';
+
+interface AudioPlayerProps {
+  uri: string;
+  // Shown as the total time until the file is loaded
+  durationHint?: number;
+  // Only play/pause and elapsed time, for use inside list items
+  compact?: boolean;
+  onProgress?: (positionMs: number, isPlaying: boolean) => void;
+}
+
+export interface AudioPlayerHandle {
+  seekTo: (positionMs: number) => Promise<void>;
+  play: () => Promise<void>;
+  // Plays just the span between the two positions, e.g. a single word
+  playRange: (startMs: number, endMs: number) => Promise<void>;
+}
+
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+const PROGRESS_INTERVAL_MS = 250;
+// Single words are hard to make out without a little context either side
+const RANGE_PADDING_MS = 200;
+const RANGE_PROGRESS_INTERVAL_MS = 50;
+
+// Only one note plays at a time; starting another pauses the previous one
+let activeSound: Audio.Sound | null = null;
+
+export const formatPlaybackTime = (ms: number): string => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+export const AudioPlayer = forwardRef<AudioPlayerHandle, AudioPlayerProps>(({
+  uri,
+  durationHint = 0,
+  compact = false,
+  onProgress,
+}, ref) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+  const [durationMs, setDurationMs] = useState(durationHint);
+  const [rate, setRate] = useState(1);
+  const [error, setError] = useState<string | null>(null);
+  const [scrubPosition, setScrubPosition] = useState<number | null>(null);
+
+  const soundRef = useRef<Audio.Sound | null>(null);
+  const loadPromiseRef = useRef<Promise<Audio.Sound | null> | null>(null);
+  const trackWidthRef = useRef(0);
+  const stopAtRef = useRef<number | null>(null);
+  const onProgressRef = useRef(onProgress);
+  onProgressRef.current = onProgress;
+
+  // The sound is loaded on first use so lists of notes don't open every file
+  useEffect(() => {
+    return () => {
+      const sound = soundRef.current;
+      soundRef.current = null;
+      loadPromiseRef.current = null;
+      if (sound) {
+        if (activeSound === sound) activeSound = null;
+        sound.unloadAsync().catch(() => undefined);
+      }
+    };
+  }, [uri]);
+
+  const handleStatus = (status: AVPlaybackStatus) => {
+    if (!status.isLoaded) {
+      if (status.error) {
+        console.error('Audio playback error:', status.error);
+        setError('Playback failed');
+      }
+      return;
+    }
+
+    setPositionMs(status.positionMillis);
+    setIsPlaying(status.isPlaying);
+    if (status.durationMillis) setDurationMs(status.durationMillis);
+    onProgressRef.current?.(status.positionMillis, status.isPlaying);
+
+    if (stopAtRef.current !== null && status.positionMillis >= stopAtRef.current) {
+      stopAtRef.current = null;
+      soundRef.current?.pauseAsync().catch(() => undefined);
+      soundRef.current?.setProgressUpdateIntervalAsync(PROGRESS_INTERVAL_MS).catch(() => undefined);
+    }
+
+    if (status.didJustFinish && soundRef.current) {
+      soundRef.current.setPositionAsync(0).catch(() => undefined);
+    }
+  };
+
+  const loadSound = (): Promise<Audio.Sound | null> => {
+    if (!loadPromiseRef.current) {
+      loadPromiseRef.current = (async () => {
+        try {
+          setIsLoading(true);
+          setError(null);
+          try {
+            await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+          } catch (audioModeError) {
+            console.warn('Audio mode setup failed, continuing anyway:', audioModeError);
+          }
+
+          const { sound } = await Audio.Sound.createAsync(
+            { uri },
+            { progressUpdateIntervalMillis: PROGRESS_INTERVAL_MS, rate, shouldCorrectPitch: true },
+            handleStatus
+          );
+          soundRef.current = sound;
+          return sound;
+        } catch (loadError) {
+          console.error('Error loading audio:', loadError);
+          setError('Audio file unavailable');
+          loadPromiseRef.current = null;
+          return null;
+        } finally {
+          setIsLoading(false);
+        }
+      })();
+    }
+    return loadPromiseRef.current;
+  };
+
+  const seekTo = async (targetMs: number) => {
+    const sound = await loadSound();
+    if (!sound) return;
+
+    stopAtRef.current = null;
+    const clamped = Math.max(0, durationMs > 0 ? Math.min(targetMs, durationMs) : targetMs);
+    setPositionMs(clamped);
+    await sound.setPositionAsync(clamped);
+  };
+
+  const play = async () => {
+    const sound = await loadSound();
+    if (!sound) return;
+
+    try {
+      if (activeSound && activeSound !== sound) {
+        await activeSound.pauseAsync().catch(() => undefined);
+      }
+      activeSound = sound;
+      await sound.playAsync();
+    } catch (playbackError) {
+      console.error('Error starting playback:', playbackError);
+      setError('Playback failed');
+    }
+  };
+
+  const playRange = async (startMs: number, endMs: number) => {
+    const sound = await loadSound();
+    if (!sound) return;
+
+    try {
+      // Report more often while a range plays so it stops close to its end
+      await sound.setProgressUpdateIntervalAsync(RANGE_PROGRESS_INTERVAL_MS);
+    } catch (intervalError) {
+      console.warn('Could not change progress interval:', intervalError);
+    }
+    await seekTo(startMs - RANGE_PADDING_MS);
+    stopAtRef.current = endMs + RANGE_PADDING_MS;
+    await play();
+  };
+
+  useImperativeHandle(ref, () => ({ seekTo, play, playRange }));
+
+  const togglePlayback = async () => {
+    if (!isPlaying) {
+      stopAtRef.current = null;
+      await play();
+      return;
+    }
+
+    try {
+      await soundRef.current?.pauseAsync();
+    } catch (playbackError) {
+      console.error('Error pausing playback:', playbackError);
+    }
+  };
+
+  const cycleRate = async () => {
+    const nextRate = PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length];
+    setRate(nextRate);
+    try {
+      await soundRef.current?.setRateAsync(nextRate, true);
+    } catch (rateError) {
+      console.error('Error changing playback speed:', rateError);
+    }
+  };
+
+  const positionFromTouch = (event: GestureResponderEvent): number => {
+    const width = trackWidthRef.current;
+    if (width <= 0 || durationMs <= 0) return 0;
+    const fraction = Math.min(1, Math.max(0, event.nativeEvent.locationX / width));
+    return fraction * durationMs;
+  };
+
+  // The responder is created once, so it reads the latest handlers through refs
+  const positionFromTouchRef = useRef(positionFromTouch);
+  positionFromTouchRef.current = positionFromTouch;
+  const seekToRef = useRef(seekTo);
+  seekToRef.current = seekTo;
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: event => setScrubPosition(positionFromTouchRef.current(event)),
+      onPanResponderMove: event => setScrubPosition(positionFromTouchRef.current(event)),
+      onPanResponderRelease: event => {
+        const target = positionFromTouchRef.current(event);
+        setScrubPosition(null);
+        seekToRef.current(target);
+      },
+      onPanResponderTerminate: () => setScrubPosition(null),
+    })
+  ).current;
+
+  const displayedPosition = scrubPosition ?? positionMs;
+  const progress = durationMs > 0 ? Math.min(1, displayedPosition / durationMs) : 0;
+
+  if (compact) {
+    return (
+      <TouchableOpacity
+        style={styles.compactButton}
+        onPress={(e) => {
+          e.stopPropagation();
+          togglePlayback();
+        }}
+        disabled={isLoading || !!error}
+      >
+        <Text style={styles.compactText}>
+          {error ? '🔇' : isPlaying ? '⏸' : '▶️'} {formatPlaybackTime(isPlaying || positionMs > 0 ? positionMs : durationMs)}
+        </Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.controlsRow}>
+        <TouchableOpacity
+          style={[styles.playButton, (isLoading || !!error) && styles.playButtonDisabled]}
+          onPress={togglePlayback}
+          disabled={isLoading || !!error}
+        >
+          <Text style={styles.playButtonText}>{isPlaying ? '⏸' : '▶️'}</Text>
+        </TouchableOpacity>
+
+        <View style={styles.trackContainer}>
+          <View
+            style={styles.track}
+            onLayout={(event: LayoutChangeEvent) => {
+              trackWidthRef.current = event.nativeEvent.layout.width;
+            }}
+            {...panResponder.panHandlers}
+          >
+            {/* Children ignore touches so locationX is always relative to the track */}
+            <View style={styles.trackBackground} pointerEvents="none" />
+            <View style={[styles.trackFill, { width: `${progress * 100}%` }]} pointerEvents="none" />
+            <View style={[styles.thumb, { left: `${progress * 100}%` }]} pointerEvents="none" />
+          </View>
+          <View style={styles.timeRow}>
+            <Text style={styles.timeText}>{formatPlaybackTime(displayedPosition)}</Text>
+            <Text style={styles.timeText}>{formatPlaybackTime(durationMs)}</Text>
+          </View>
+        </View>
+
+        <TouchableOpacity style={styles.rateButton} onPress={cycleRate}>
+          <Text style={styles.rateText}>{rate}x</Text>
+        </TouchableOpacity>
+      </View>
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  controlsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  playButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#3498db',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  playButtonDisabled: {
+    backgroundColor: '#95a5a6',
+  },
+  playButtonText: {
+    fontSize: 18,
+    color: '#fff',
+  },
+  trackContainer: {
+    flex: 1,
+  },
+  track: {
+    height: 24,
+    justifyContent: 'center',
+  },
+  trackBackground: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#dfe6e9',
+  },
+  trackFill: {
+    position: 'absolute',
+    left: 0,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#3498db',
+  },
+  thumb: {
+    position: 'absolute',
+    width: 14,
+    height: 14,
+    marginLeft: -7,
+    borderRadius: 7,
+    backgroundColor: '#2c3e50',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  timeText: {
+    fontSize: 12,
+    color: '#7f8c8d',
+  },
+  rateButton: {
+    marginLeft: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    backgroundColor: '#ecf0f1',
+  },
+  rateText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  errorText: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#e74c3c',
+  },
+  compactButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    backgroundColor: '#ecf0f1',
+  },
+  compactText: {
+    fontSize: 12,
+    color: '#2c3e50',
+  },
+});
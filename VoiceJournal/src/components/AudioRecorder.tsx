@@ -2,11 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
 import { Audio } from 'expo-av';
 import * as DocumentPicker from 'expo-document-picker';
-import { AudioRecording, RecordingStatus } from '../types';
+import { AudioRecording, LiveTranscript, RecordingStatus } from '../types';
+import { LiveTranscriber } from '../services/LiveTranscriber';
+import { TranscriptionHandler } from '../services/TranscriptionHandler';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 interface AudioRecorderProps {
-  onRecordingComplete: (recording: AudioRecording) => void;
+  // `liveTranscript` is set when live transcription ran during the recording
+  onRecordingComplete: (recording: AudioRecording, liveTranscript?: string) => void;
   onFileSelected: (fileUri: string) => void;
 }
 
@@ -22,6 +25,10 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
   const [permissionResponse, requestPermission] = Audio.usePermissions();
   const [permissionError, setPermissionError] = useState<string | null>(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [liveTranscript, setLiveTranscript] = useState<LiveTranscript | null>(null);
+  const [isFinishing, setIsFinishing] = useState(false);
+
+  const liveTranscriber = LiveTranscriber.getInstance();
 
   // Log errors to AsyncStorage for debugging
   const logError = async (error: any, context: string) => {
@@ -52,6 +59,7 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
     return () => {
       if (recording) {
         recording.stopAndUnloadAsync();
+        liveTranscriber.cancel();
       }
     };
   }, [recording]);
@@ -109,14 +117,19 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
         // Continue anyway as some devices may have issues with audio mode
       }
 
+      // Live transcription needs a format that can be read while recording
+      const streamingOptions = await liveTranscriber.getRecordingOptions();
+      let isStreamable = !!streamingOptions;
+
       // Create recording with error handling
       let newRecording;
       try {
         const recordingResult = await Audio.Recording.createAsync(
-          Audio.RecordingOptionsPresets.HIGH_QUALITY
+          streamingOptions ?? Audio.RecordingOptionsPresets.HIGH_QUALITY
         );
         newRecording = recordingResult.recording;
       } catch (createError) {
+        isStreamable = false;
         logError(createError, 'recording_creation');
         
         // Try with lower quality settings as fallback
@@ -153,6 +166,14 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
       setRecording(newRecording);
       setStatus({ isRecording: true, duration: 0 });
 
+      setLiveTranscript(null);
+      if (isStreamable) {
+        const started = await liveTranscriber.start(newRecording, setLiveTranscript);
+        if (started) {
+          setLiveTranscript({ finalText: '', partialText: '' });
+        }
+      }
+
       // Update duration every second with error handling
       const interval = setInterval(async () => {
         try {
@@ -179,6 +200,8 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
     } catch (err) {
       console.error('Failed to start recording:', err);
       logError(err, 'start_recording');
+      liveTranscriber.cancel();
+      setLiveTranscript(null);
       
       Alert.alert(
         'Recording Error', 
@@ -197,6 +220,12 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
     try {
       // Stop and unload the recording
       await recording.stopAndUnloadAsync();
+
+      // Send the last of the audio and let the server settle its transcript
+      setIsFinishing(true);
+      const finalLiveTranscript = await liveTranscriber.stop();
+      setIsFinishing(false);
+      setLiveTranscript(null);
       
       // Reset audio mode with error handling
       try {
@@ -245,7 +274,7 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
       setRecording(null);
       
       // Call callback with the completed recording
-      onRecordingComplete(audioRecording);
+      onRecordingComplete(audioRecording, finalLiveTranscript);
 
     } catch (error) {
       console.error('Failed to stop recording:', error);
@@ -253,6 +282,9 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
       
       // Try to clean up the recording object anyway
       try {
+        liveTranscriber.cancel();
+        setIsFinishing(false);
+        setLiveTranscript(null);
         setRecording(null);
         setStatus({ isRecording: false, duration: 0 });
       } catch (cleanupError) {
@@ -312,6 +344,19 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
         return;
       }
 
+      // The MIME type only reflects the file name; check what the file really
+      // contains and whether the transcription provider can take it
+      const check = await TranscriptionHandler.getInstance().checkAudioFile(asset.uri);
+      if (check.errorCode) {
+        logError(new Error(`Unusable audio file (${check.errorCode}): ${asset.name}`), 'file_selection_unsupported');
+        Alert.alert(
+          check.errorCode === 'file_too_large' ? 'File Too Large' : 'Unsupported Audio File',
+          check.error,
+          [{ text: 'OK' }]
+        );
+        return;
+      }
+
       console.log('File selected:', { 
         name: asset.name, 
         size: asset.size, 
@@ -356,6 +401,24 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
         <View style={styles.recordingInfo}>
           <Text style={styles.recordingText}>Recording...</Text>
           <Text style={styles.duration}>{formatDuration(status.duration)}</Text>
+          {liveTranscript && (
+            <View style={styles.liveTranscriptContainer}>
+              {liveTranscript.finalText || liveTranscript.partialText ? (
+                <Text style={styles.liveTranscriptText}>
+                  {liveTranscript.finalText}
+                  {liveTranscript.finalText && liveTranscript.partialText ? ' ' : ''}
+                  <Text style={styles.partialTranscriptText}>{liveTranscript.partialText}</Text>
+                </Text>
+              ) : (
+                <Text style={styles.partialTranscriptText}>Listening...</Text>
+              )}
+              {liveTranscript.error && (
+                <Text style={styles.liveTranscriptError}>
+                  {liveTranscript.error}. The recording will still be transcribed when you stop.
+                </Text>
+              )}
+            </View>
+          )}
         </View>
       )}
 
@@ -372,10 +435,13 @@ export const AudioRecorder: React.FC<AudioRecorderProps> = ({
           </TouchableOpacity>
         ) : (
           <TouchableOpacity
-            style={[styles.button, styles.stopButton]}
+            style={[styles.button, styles.stopButton, isFinishing && styles.disabledButton]}
             onPress={stopRecording}
+            disabled={isFinishing}
           >
-            <Text style={styles.buttonText}>Stop Recording</Text>
+            <Text style={styles.buttonText}>
+              {isFinishing ? 'Finishing transcript...' : 'Stop Recording'}
+            </Text>
           </TouchableOpacity>
         )}
 
@@ -439,6 +505,31 @@ const styles = StyleSheet.create({
     color: '#2c3e50',
     marginTop: 8,
   },
+  liveTranscriptContainer: {
+    alignSelf: 'stretch',
+    marginTop: 16,
+    padding: 12,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#3498db',
+  },
+  liveTranscriptText: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: '#2c3e50',
+  },
+  partialTranscriptText: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: '#95a5a6',
+    fontStyle: 'italic',
+  },
+  liveTranscriptError: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#e74c3c',
+  },
   buttonContainer: {
     gap: 12,
   },
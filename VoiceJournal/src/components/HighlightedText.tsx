@@ -0,0 +1,54 @@
+import React from 'react';
+import { Text, StyleSheet, TextProps, StyleProp, TextStyle } from 'react-native';
+
+export interface HighlightRange {
+  start: number;
+  end: number;
+}
+
+interface HighlightedTextProps extends TextProps {
+  text: string;
+  ranges: HighlightRange[];
+  highlightStyle?: StyleProp<TextStyle>;
+}
+
+// Renders `text` with the given character ranges emphasised. Ranges are
+// expected to be sorted and non-overlapping, as returned by SearchIndex.
+export const HighlightedText: React.FC<HighlightedTextProps> = ({
+  text,
+  ranges,
+  highlightStyle,
+  ...textProps
+}) => {
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+
+  ranges.forEach((range, index) => {
+    const start = Math.max(range.start, cursor);
+    const end = Math.min(range.end, text.length);
+    if (end <= start) return;
+
+    if (start > cursor) {
+      parts.push(text.substring(cursor, start));
+    }
+    parts.push(
+      <Text key={index} style={[styles.highlight, highlightStyle]}>
+        {text.substring(start, end)}
+      </Text>
+    );
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    parts.push(text.substring(cursor));
+  }
+
+  return <Text {...textProps}>{parts}</Text>;
+};
+
+const styles = StyleSheet.create({
+  highlight: {
+    backgroundColor: '#fff3b0',
+    fontWeight: '600',
+  },
+});
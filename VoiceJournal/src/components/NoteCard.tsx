@@ -1,17 +1,28 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
-import { Note } from '../types';
+import { Note, SearchField, SearchMatch } from '../types';
+import { AudioPlayer } from './AudioPlayer';
+import { HighlightedText, HighlightRange } from './HighlightedText';
 
 interface NoteCardProps {
   note: Note;
   onPress: () => void;
   onDelete?: () => void;
+  onSummarize?: () => void;
+  isSummarizing?: boolean;
+  matches?: SearchMatch[];
 }
 
+// Characters of context kept before the first search hit in a snippet
+const SNIPPET_LEAD = 40;
+
 export const NoteCard: React.FC<NoteCardProps> = ({
   note,
   onPress,
   onDelete,
+  onSummarize,
+  isSummarizing = false,
+  matches = [],
 }) => {
   const formatDate = (date: Date): string => {
     return new Intl.DateTimeFormat('en-US', {
@@ -50,22 +61,107 @@ export const NoteCard: React.FC<NoteCardProps> = ({
     return text.substring(0, maxLength) + '...';
   };
 
+  const rangesFor = (field: SearchField): HighlightRange[] =>
+    matches.filter(match => match.field === field);
+
+  // Like truncateText, but starts the excerpt near the first search hit so the
+  // highlighted words are visible even deep into a long note
+  const buildSnippet = (text: string, ranges: HighlightRange[], maxLength: number = 150) => {
+    if (ranges.length === 0) {
+      return { text: truncateText(text, maxLength), ranges };
+    }
+
+    const firstHit = ranges[0].start;
+    const start = firstHit > SNIPPET_LEAD ? text.lastIndexOf(' ', firstHit - SNIPPET_LEAD) + 1 : 0;
+    const end = Math.min(text.length, start + maxLength);
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < text.length ? '...' : '';
+
+    return {
+      text: prefix + text.substring(start, end) + suffix,
+      ranges: ranges
+        .filter(range => range.start >= start && range.end <= end)
+        .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length })),
+    };
+  };
+
+  const renderSummary = () => {
+    if (note.awaitingTranscription) {
+      return (
+        <View style={styles.awaitingBadge}>
+          <Text style={styles.awaitingText}>📴 Awaiting transcription · will continue when the server is reachable</Text>
+        </View>
+      );
+    }
+
+    if (note.summary) {
+      return (
+        <HighlightedText
+          style={styles.summaryText}
+          numberOfLines={2}
+          text={note.summary.summary}
+          ranges={rangesFor('summary')}
+        />
+      );
+    }
+
+    if (note.summaryStatus === 'pending' || isSummarizing) {
+      return <Text style={styles.pendingText}>⏳ Generating summary...</Text>;
+    }
+
+    return (
+      <View style={styles.failedRow}>
+        <Text style={styles.failedText} numberOfLines={2}>
+          ⚠️ {note.summaryError || 'Summary could not be generated'}
+        </Text>
+        {onSummarize && (
+          <TouchableOpacity
+            style={styles.summarizeButton}
+            onPress={(e) => {
+              e.stopPropagation();
+              onSummarize();
+            }}
+          >
+            <Text style={styles.summarizeText}>Summarize again</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const summaryType = note.summary?.type;
+  const badgeLabel = note.awaitingTranscription
+    ? 'DRAFT'
+    : summaryType
+      ? summaryType.toUpperCase()
+      : note.summaryStatus === 'pending' ? 'PENDING' : 'NO SUMMARY';
+  const snippet = buildSnippet(note.editedText || note.originalText, rangesFor('text'));
+
   return (
     <TouchableOpacity style={styles.container} onPress={onPress}>
       <View style={styles.header}>
         <View style={styles.titleRow}>
           <Text style={styles.typeIcon}>
-            {getTypeIcon(note.summary.type)}
-          </Text>
-          <Text style={styles.title} numberOfLines={1}>
-            {note.title || 'Untitled Note'}
+            {getTypeIcon(summaryType || 'general')}
           </Text>
+          {note.title ? (
+            <HighlightedText
+              style={styles.title}
+              numberOfLines={1}
+              text={note.title}
+              ranges={rangesFor('title')}
+            />
+          ) : (
+            <Text style={styles.title} numberOfLines={1}>
+              Untitled Note
+            </Text>
+          )}
           <View style={[
             styles.typeBadge,
-            { backgroundColor: getTypeColor(note.summary.type) }
+            { backgroundColor: summaryType ? getTypeColor(summaryType) : '#95a5a6' }
           ]}>
             <Text style={styles.typeText}>
-              {note.summary.type.toUpperCase()}
+              {badgeLabel}
             </Text>
           </View>
         </View>
@@ -75,13 +171,14 @@ export const NoteCard: React.FC<NoteCardProps> = ({
       </View>
 
       <View style={styles.content}>
-        <Text style={styles.summaryText} numberOfLines={2}>
-          {note.summary.summary}
-        </Text>
+        {renderSummary()}
         
-        <Text style={styles.originalText} numberOfLines={3}>
-          {truncateText(note.editedText || note.originalText)}
-        </Text>
+        <HighlightedText
+          style={styles.originalText}
+          numberOfLines={3}
+          text={snippet.text}
+          ranges={snippet.ranges}
+        />
       </View>
 
       {note.tags.length > 0 && (
@@ -102,13 +199,17 @@ export const NoteCard: React.FC<NoteCardProps> = ({
       <View style={styles.footer}>
         <View style={styles.metaInfo}>
           {note.audioRecording && (
+            <AudioPlayer
+              compact
+              uri={note.audioRecording.uri}
+              durationHint={note.audioRecording.duration}
+            />
+          )}
+          {!note.awaitingTranscription && (
             <Text style={styles.metaText}>
-              🎵 {Math.round(note.audioRecording.duration / 1000)}s
+              📊 {((note.transcription.confidence || 0) * 100).toFixed(0)}%
             </Text>
           )}
-          <Text style={styles.metaText}>
-            📊 {((note.transcription.confidence || 0) * 100).toFixed(0)}%
-          </Text>
         </View>
         
         {onDelete && (
@@ -186,6 +287,47 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     lineHeight: 20,
   },
+  awaitingBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#ecf0f1',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginBottom: 8,
+  },
+  awaitingText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#e67e22',
+  },
+  pendingText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  failedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  failedText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#e74c3c',
+    marginRight: 8,
+  },
+  summarizeButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+  },
+  summarizeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   originalText: {
     fontSize: 14,
     color: '#34495e',
@@ -223,6 +365,7 @@ const styles = StyleSheet.create({
   metaInfo: {
     flexDirection: 'row',
     gap: 12,
+    alignItems: 'center',
   },
   metaText: {
     fontSize: 12,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,32 +7,96 @@ import {
   StyleSheet,
   ScrollView,
   Alert,
+  Modal,
 } from 'react-native';
-import { Note, Summary } from '../types';
+import { MoodLabel, Note, Summary, SummaryTask, TranscriptCorrection, TranscriptSegment, TranscriptWord } from '../types';
+import { AudioPlayer, AudioPlayerHandle } from './AudioPlayer';
+import { TaskItem } from './TaskItem';
+import { findSegmentIndex, TranscriptView } from './TranscriptView';
+import {
+  applyCorrection,
+  countLowConfidenceWords,
+  createCorrection,
+  getCorrectedWords,
+  isLowConfidence,
+  stripPunctuation,
+} from '../services/corrections';
+import { getLanguageName } from '../services/languages';
+import { getEffectiveMood, getMoodDetails, MOOD_LABELS } from '../services/mood';
+import { getSpeakerLabels, getSpeakerName } from '../services/speakers';
+import { hasTag } from '../services/tags';
+
+interface CorrectionTarget {
+  word: TranscriptWord;
+  index: number;
+  // How the word reads now, after any earlier corrections
+  currentText: string;
+}
 
 interface NoteEditorProps {
   note?: Note;
   onSave: (note: Note) => void;
   onCancel: () => void;
+  onSummarize?: () => void;
+  isSummarizing?: boolean;
+  onToggleTask?: (task: SummaryTask) => void;
+  // Resolves to a new title for the given text
+  onGenerateTitle?: (text: string) => Promise<string | undefined>;
+  // Saves a suggested tag straight away when it is accepted outside edit mode
+  onAcceptTag?: (tag: string) => void;
+  // Saves the mood the user picked; undefined goes back to the detected one
+  onSetMood?: (label: MoodLabel | undefined) => void;
 }
 
 export const NoteEditor: React.FC<NoteEditorProps> = ({
   note,
   onSave,
   onCancel,
+  onSummarize,
+  isSummarizing = false,
+  onToggleTask,
+  onGenerateTitle,
+  onAcceptTag,
+  onSetMood,
 }) => {
   const [title, setTitle] = useState(note?.title || '');
+  // Set once the user types a title, which processing then leaves alone
+  const [titleEdited, setTitleEdited] = useState(!!note?.titleEdited);
+  const [isGeneratingTitle, setIsGeneratingTitle] = useState(false);
   const [editedText, setEditedText] = useState(note?.editedText || note?.originalText || '');
   const [tags, setTags] = useState(note?.tags.join(', ') || '');
   const [isEditing, setIsEditing] = useState(false);
+  const [activeSegmentIndex, setActiveSegmentIndex] = useState(-1);
+  const [corrections, setCorrections] = useState<TranscriptCorrection[]>(note?.corrections || []);
+  const [correctionTarget, setCorrectionTarget] = useState<CorrectionTarget | null>(null);
+  const [customReplacement, setCustomReplacement] = useState('');
+  const [speakerNames, setSpeakerNames] = useState<Record<string, string>>(note?.speakerNames || {});
+  const playerRef = useRef<AudioPlayerHandle>(null);
 
+  const segments = note?.transcription.segments || [];
+  const words = note?.transcription.words || [];
+  const correctedWords = getCorrectedWords(corrections);
+  const uncertainCount = countLowConfidenceWords(words.filter((_, index) => !correctedWords.has(index)));
+  // A single labelled speaker isn't worth naming
+  const speakerLabels = note ? getSpeakerLabels(note.transcription) : [];
+  const hasSpeakers = speakerLabels.length > 1;
+  const speakerName = (label: string) => getSpeakerName(label, speakerLabels, speakerNames);
+  const tagList = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+  const suggestedTags = (note?.suggestedTags || []).filter(tag => !hasTag(tagList, tag));
+
+  // Only reset the fields when a different note is loaded, so a new summary
+  // arriving mid-edit doesn't discard unsaved changes
   useEffect(() => {
     if (note) {
       setTitle(note.title || '');
+      setTitleEdited(!!note.titleEdited);
       setEditedText(note.editedText || note.originalText || '');
       setTags(note.tags.join(', '));
+      setCorrections(note.corrections || []);
+      setCorrectionTarget(null);
+      setSpeakerNames(note.speakerNames || {});
     }
-  }, [note]);
+  }, [note?.id]);
 
   const handleSave = () => {
     if (!note) {
@@ -40,16 +104,25 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
       return;
     }
 
-    if (!editedText.trim()) {
+    // A draft has no text of its own until it is transcribed
+    if (!editedText.trim() && !note.awaitingTranscription) {
       Alert.alert('Error', 'Note content cannot be empty');
       return;
     }
 
+    const namedSpeakers = Object.entries(speakerNames)
+      .map(([label, name]) => [label, name.trim()])
+      .filter(([, name]) => name.length > 0);
+
     const updatedNote: Note = {
       ...note,
       title: title.trim() || undefined,
-      editedText: editedText.trim(),
-      tags: tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0),
+      titleEdited: (titleEdited && !!title.trim()) || undefined,
+      editedText: note.awaitingTranscription ? note.editedText : editedText.trim(),
+      tags: tagList,
+      suggestedTags: note.suggestedTags?.filter(tag => !hasTag(tagList, tag)),
+      corrections,
+      speakerNames: namedSpeakers.length > 0 ? Object.fromEntries(namedSpeakers) : undefined,
       updatedAt: new Date(),
     };
 
@@ -57,10 +130,218 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
     setIsEditing(false);
   };
 
+  const handleAcceptTag = (tag: string) => {
+    setTags([...tagList, tag].join(', '));
+    // While editing, the tag is saved with everything else
+    if (!isEditing) onAcceptTag?.(tag);
+  };
+
+  const handleTitleChange = (text: string) => {
+    setTitle(text);
+    setTitleEdited(true);
+  };
+
+  const handleGenerateTitle = async () => {
+    if (!onGenerateTitle) return;
+    try {
+      setIsGeneratingTitle(true);
+      const generated = await onGenerateTitle(editedText);
+      if (generated) {
+        setTitle(generated);
+        setTitleEdited(false);
+      }
+    } catch (error) {
+      console.error('Error generating title:', error);
+      Alert.alert('Error', 'Failed to generate a title. Please try again.');
+    } finally {
+      setIsGeneratingTitle(false);
+    }
+  };
+
+  const handlePlaybackProgress = (positionMs: number, isPlaying: boolean) => {
+    const index = isPlaying || positionMs > 0 ? findSegmentIndex(segments, positionMs) : -1;
+    setActiveSegmentIndex(prev => (prev === index ? prev : index));
+  };
+
+  const handleSegmentPress = async (segment: TranscriptSegment) => {
+    await playerRef.current?.seekTo(segment.startMs);
+    await playerRef.current?.play();
+  };
+
+  const openCorrection = (word: TranscriptWord, index: number) => {
+    setCustomReplacement('');
+    setCorrectionTarget({
+      word,
+      index,
+      currentText: correctedWords.get(index) ?? stripPunctuation(word.text),
+    });
+  };
+
+  // Uncertain and already corrected words open the correction sheet, other
+  // words seek the player. Any word can be corrected with a long press.
+  const handleWordPress = async (word: TranscriptWord, index: number) => {
+    if (isLowConfidence(word) || correctedWords.has(index) || !note?.audioRecording) {
+      openCorrection(word, index);
+      return;
+    }
+    await playerRef.current?.seekTo(word.startMs);
+    await playerRef.current?.play();
+  };
+
+  const handleApplyCorrection = (replacement: string) => {
+    if (!note || !correctionTarget) return;
+
+    const trimmed = replacement.trim();
+    if (!trimmed || trimmed === correctionTarget.currentText) {
+      setCorrectionTarget(null);
+      return;
+    }
+
+    const updatedText = applyCorrection(
+      editedText,
+      note.originalText,
+      words,
+      correctionTarget.index,
+      trimmed,
+      correctionTarget.currentText
+    );
+    if (updatedText === null) {
+      Alert.alert(
+        'Word Not Found',
+        `"${correctionTarget.currentText}" no longer appears in the edited text. Edit the text directly instead.`
+      );
+      return;
+    }
+
+    setEditedText(updatedText);
+    setCorrections(prev => [
+      ...prev,
+      createCorrection(words, correctionTarget.index, trimmed, correctionTarget.currentText),
+    ]);
+    setIsEditing(true);
+    setCorrectionTarget(null);
+  };
+
+  const renderCorrectionModal = () => {
+    if (!correctionTarget) return null;
+
+    const { word, currentText } = correctionTarget;
+    const alternatives = (word.alternatives || []).filter(alternative => alternative !== currentText);
+    const original = stripPunctuation(word.text);
+
+    return (
+      <Modal transparent animationType="fade" onRequestClose={() => setCorrectionTarget(null)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Correct Word</Text>
+            <Text style={styles.modalWord}>"{currentText}"</Text>
+            <Text style={styles.modalMeta}>
+              {word.confidence !== undefined
+                ? `Heard with ${(word.confidence * 100).toFixed(0)}% confidence`
+                : 'No confidence reported'}
+              {currentText !== original ? ` · originally "${original}"` : ''}
+            </Text>
+
+            {alternatives.length > 0 && (
+              <>
+                <Text style={styles.modalLabel}>Did you mean:</Text>
+                <View style={styles.alternativesRow}>
+                  {alternatives.map(alternative => (
+                    <TouchableOpacity
+                      key={alternative}
+                      style={styles.alternativeChip}
+                      onPress={() => handleApplyCorrection(alternative)}
+                    >
+                      <Text style={styles.alternativeText}>{alternative}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.modalLabel}>Or type the correct word:</Text>
+            <View style={styles.customRow}>
+              <TextInput
+                style={[styles.input, styles.customInput]}
+                value={customReplacement}
+                onChangeText={setCustomReplacement}
+                placeholder={currentText}
+                autoCapitalize="none"
+                autoCorrect={false}
+                onSubmitEditing={() => handleApplyCorrection(customReplacement)}
+              />
+              <TouchableOpacity
+                style={[styles.applyButton, !customReplacement.trim() && styles.summarizeButtonDisabled]}
+                onPress={() => handleApplyCorrection(customReplacement)}
+                disabled={!customReplacement.trim()}
+              >
+                <Text style={styles.summarizeButtonText}>Apply</Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.modalActions}>
+              {note?.audioRecording && (
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.editButton]}
+                  onPress={() => playerRef.current?.playRange(word.startMs, word.endMs)}
+                >
+                  <Text style={styles.summarizeButtonText}>▶️ Play this part</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setCorrectionTarget(null)}
+              >
+                <Text style={styles.summarizeButtonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  const renderSummarizeButton = (label: string) => {
+    if (!onSummarize) return null;
+
+    return (
+      <TouchableOpacity
+        style={[styles.summarizeButton, isSummarizing && styles.summarizeButtonDisabled]}
+        onPress={onSummarize}
+        disabled={isSummarizing}
+      >
+        <Text style={styles.summarizeButtonText}>
+          {isSummarizing ? 'Summarizing...' : label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   const renderSummarySection = () => {
-    if (!note?.summary) return null;
+    if (!note) return null;
+
+    if (!note.summary) {
+      const isPending = note.summaryStatus === 'pending';
+      return (
+        <View style={styles.summaryContainer}>
+          <Text style={styles.sectionTitle}>AI Summary</Text>
+          <View style={[styles.summaryCard, styles.missingSummaryCard]}>
+            <Text style={styles.missingSummaryText}>
+              {note.awaitingTranscription
+                ? '⏳ A summary will be generated once the recording is transcribed.'
+                : isPending
+                ? '⏳ A summary is still being generated for this note.'
+                : `⚠️ ${note.summaryError || 'The summary could not be generated.'}`}
+            </Text>
+            {!isPending && renderSummarizeButton('Summarize again')}
+          </View>
+        </View>
+      );
+    }
 
     const { summary } = note;
+    const mood = summary.mood;
+    const effectiveMood = mood && getMoodDetails(getEffectiveMood(mood).label);
 
     return (
       <View style={styles.summaryContainer}>
@@ -68,7 +349,34 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
         <View style={styles.summaryCard}>
           <Text style={styles.summaryType}>Type: {summary.type.toUpperCase()}</Text>
           <Text style={styles.summaryText}>{summary.summary}</Text>
-          
+
+          {mood && effectiveMood && (
+            <View style={styles.moodContainer}>
+              <Text style={styles.moodTitle}>Mood:</Text>
+              <Text style={styles.moodText}>
+                {effectiveMood.emoji} {effectiveMood.name}
+                {mood.userLabel ? ' (set by you)' : ''}
+              </Text>
+              {mood.emotions.length > 0 && (
+                <Text style={styles.moodEmotions}>Feeling: {mood.emotions.join(', ')}</Text>
+              )}
+              {onSetMood && (
+                <View style={styles.moodOptions}>
+                  {MOOD_LABELS.map(option => (
+                    <TouchableOpacity
+                      key={option.label}
+                      style={[styles.moodOption, option.label === effectiveMood.label && styles.moodOptionActive]}
+                      // Picking the detected mood again drops the correction
+                      onPress={() => onSetMood(option.label === mood.label ? undefined : option.label)}
+                    >
+                      <Text style={styles.moodOptionEmoji}>{option.emoji}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+          )}
+
           {summary.journalPrompt && (
             <View style={styles.promptContainer}>
               <Text style={styles.promptTitle}>Journal Prompt:</Text>
@@ -79,11 +387,20 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
           {summary.taskList && summary.taskList.length > 0 && (
             <View style={styles.taskContainer}>
               <Text style={styles.taskTitle}>Task List:</Text>
-              {summary.taskList.map((task, index) => (
-                <Text key={index} style={styles.taskItem}>• {task}</Text>
+              {summary.taskList.map(task => (
+                <TaskItem
+                  key={task.id}
+                  task={task}
+                  source={task.sourceStart !== undefined && task.sourceEnd !== undefined
+                    ? summary.originalText.slice(task.sourceStart, task.sourceEnd)
+                    : undefined}
+                  onToggle={onToggleTask}
+                />
               ))}
             </View>
           )}
+
+          {renderSummarizeButton('Summarize again')}
         </View>
       </View>
     );
@@ -115,22 +432,97 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
         <TextInput
           style={styles.titleInput}
           value={title}
-          onChangeText={setTitle}
+          onChangeText={handleTitleChange}
           placeholder="Enter a title for your note..."
           editable={isEditing}
         />
+        {isEditing && onGenerateTitle && !!editedText.trim() && (
+          <TouchableOpacity
+            style={[styles.summarizeButton, isGeneratingTitle && styles.summarizeButtonDisabled]}
+            onPress={handleGenerateTitle}
+            disabled={isGeneratingTitle}
+          >
+            <Text style={styles.summarizeButtonText}>
+              {isGeneratingTitle ? 'Generating...' : '🔄 Regenerate title'}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Original Text Section */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Original Transcription</Text>
-        <View style={styles.originalTextContainer}>
-          <Text style={styles.originalText}>{note.originalText}</Text>
+        {note.audioRecording && (
+          <View style={styles.playerContainer}>
+            <AudioPlayer
+              ref={playerRef}
+              uri={note.audioRecording.uri}
+              durationHint={note.audioRecording.duration}
+              onProgress={segments.length > 0 ? handlePlaybackProgress : undefined}
+            />
+          </View>
+        )}
+        {note.awaitingTranscription ? (
+          <View style={styles.originalTextContainer}>
+            <Text style={styles.awaitingText}>
+              📴 The transcription server couldn't be reached, so this recording is saved as a draft. It will be
+              transcribed automatically once the server is back.
+            </Text>
+            {note.originalText.length > 0 && (
+              <>
+                <Text style={styles.confidenceText}>Heard while recording:</Text>
+                <Text style={styles.originalText}>{note.originalText}</Text>
+              </>
+            )}
+          </View>
+        ) : (
+          <View style={styles.originalTextContainer}>
+            {words.length > 0 || (segments.length > 0 && (note.audioRecording || hasSpeakers)) ? (
+              <TranscriptView
+                style={styles.originalText}
+                segments={segments}
+                activeIndex={activeSegmentIndex}
+                onSegmentPress={handleSegmentPress}
+                words={words}
+                correctedWords={correctedWords}
+                onWordPress={handleWordPress}
+                onWordLongPress={openCorrection}
+                getSpeakerName={hasSpeakers ? speakerName : undefined}
+              />
+            ) : (
+              <Text style={styles.originalText}>{note.originalText}</Text>
+            )}
+            <Text style={styles.confidenceText}>
+              Confidence: {((note.transcription.confidence || 0) * 100).toFixed(1)}%
+              {note.transcription.language && ` · ${getLanguageName(note.transcription.language)}`}
+              {uncertainCount > 0 &&
+                ` · ${uncertainCount} uncertain word${uncertainCount === 1 ? '' : 's'}, tap to correct`}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {/* Speakers Section */}
+      {hasSpeakers && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Speakers</Text>
+          {speakerLabels.map((label, index) => (
+            <View key={label} style={styles.speakerRow}>
+              <Text style={styles.speakerLabel}>Speaker {index + 1}</Text>
+              <TextInput
+                style={[styles.input, styles.speakerInput]}
+                value={speakerNames[label] || ''}
+                onChangeText={name => setSpeakerNames(prev => ({ ...prev, [label]: name }))}
+                placeholder="Add a name..."
+                editable={isEditing}
+              />
+            </View>
+          ))}
           <Text style={styles.confidenceText}>
-            Confidence: {((note.transcription.confidence || 0) * 100).toFixed(1)}%
+            Names are used to attribute tasks when the note is summarized.
           </Text>
         </View>
-      </View>
+      )}
 
       {/* Edited Text Section */}
       <View style={styles.section}>
@@ -139,11 +531,13 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
           style={styles.textArea}
           value={editedText}
           onChangeText={setEditedText}
-          placeholder="Edit your transcribed text..."
+          placeholder={note.awaitingTranscription
+            ? 'Available once the recording is transcribed'
+            : 'Edit your transcribed text...'}
           multiline
           numberOfLines={8}
           textAlignVertical="top"
-          editable={isEditing}
+          editable={isEditing && !note.awaitingTranscription}
         />
       </View>
 
@@ -157,11 +551,23 @@ export const NoteEditor: React.FC<NoteEditorProps> = ({
           placeholder="Enter tags separated by commas..."
           editable={isEditing}
         />
+        {suggestedTags.length > 0 && (isEditing || onAcceptTag) && (
+          <View style={styles.suggestedTags}>
+            <Text style={styles.suggestedTagsLabel}>Suggested:</Text>
+            {suggestedTags.map(tag => (
+              <TouchableOpacity key={tag} style={styles.suggestedTag} onPress={() => handleAcceptTag(tag)}>
+                <Text style={styles.suggestedTagText}>+ {tag}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
       </View>
 
       {/* Summary Section */}
       {renderSummarySection()}
 
+      {renderCorrectionModal()}
+
       {/* Action Buttons */}
       <View style={styles.buttonContainer}>
         {!isEditing ? (
@@ -239,6 +645,9 @@ const styles = StyleSheet.create({
     fontSize: 16,
     backgroundColor: '#f8f9fa',
   },
+  playerContainer: {
+    marginBottom: 12,
+  },
   originalTextContainer: {
     backgroundColor: '#ecf0f1',
     padding: 16,
@@ -251,6 +660,11 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     color: '#2c3e50',
   },
+  awaitingText: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#e67e22',
+  },
   confidenceText: {
     fontSize: 12,
     color: '#7f8c8d',
@@ -274,6 +688,20 @@ const styles = StyleSheet.create({
     fontSize: 16,
     backgroundColor: '#f8f9fa',
   },
+  speakerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  speakerLabel: {
+    width: 90,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3498db',
+  },
+  speakerInput: {
+    flex: 1,
+  },
   summaryContainer: {
     marginBottom: 24,
   },
@@ -297,6 +725,95 @@ const styles = StyleSheet.create({
     color: '#2c3e50',
     marginBottom: 16,
   },
+  missingSummaryCard: {
+    backgroundColor: '#fdf2f2',
+    borderLeftColor: '#e74c3c',
+  },
+  missingSummaryText: {
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#2c3e50',
+  },
+  suggestedTags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 10,
+  },
+  suggestedTagsLabel: {
+    fontSize: 14,
+    color: '#7f8c8d',
+  },
+  suggestedTag: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#3498db',
+  },
+  suggestedTagText: {
+    fontSize: 14,
+    color: '#3498db',
+    fontWeight: '600',
+  },
+  summarizeButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#3498db',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    marginTop: 12,
+  },
+  summarizeButtonDisabled: {
+    backgroundColor: '#95a5a6',
+  },
+  summarizeButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  moodContainer: {
+    backgroundColor: '#fff',
+    padding: 12,
+    borderRadius: 6,
+    marginBottom: 12,
+  },
+  moodTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3498db',
+    marginBottom: 8,
+  },
+  moodText: {
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  moodEmotions: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 4,
+  },
+  moodOptions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 10,
+  },
+  moodOption: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#ecf0f1',
+  },
+  moodOptionActive: {
+    backgroundColor: '#3498db',
+  },
+  moodOptionEmoji: {
+    fontSize: 20,
+  },
   promptContainer: {
     backgroundColor: '#fff',
     padding: 12,
@@ -326,12 +843,6 @@ const styles = StyleSheet.create({
     color: '#e67e22',
     marginBottom: 8,
   },
-  taskItem: {
-    fontSize: 14,
-    lineHeight: 20,
-    color: '#2c3e50',
-    marginBottom: 4,
-  },
   buttonContainer: {
     flexDirection: 'row',
     gap: 12,
@@ -358,6 +869,81 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modalCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#34495e',
+    marginBottom: 12,
+  },
+  modalWord: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  modalMeta: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  modalLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#34495e',
+    marginBottom: 8,
+  },
+  alternativesRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  alternativeChip: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+  },
+  alternativeText: {
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  customRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  customInput: {
+    flex: 1,
+  },
+  applyButton: {
+    backgroundColor: '#27ae60',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
   errorText: {
     fontSize: 18,
     color: '#e74c3c',
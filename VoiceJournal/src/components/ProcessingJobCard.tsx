@@ -0,0 +1,136 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { ProcessingJob } from '../types';
+
+interface ProcessingJobCardProps {
+  job: ProcessingJob;
+  onCancel: () => void;
+  onRetry: () => void;
+  onDismiss: () => void;
+}
+
+export const ProcessingJobCard: React.FC<ProcessingJobCardProps> = ({
+  job,
+  onCancel,
+  onRetry,
+  onDismiss,
+}) => {
+  const getStageText = (): string => {
+    switch (job.stage) {
+      case 'transcribing':
+        return 'Transcribing';
+      case 'cleaning':
+        return 'Cleaning up';
+      case 'summarizing':
+        return 'Summarizing';
+      case 'analyzing':
+        return 'Reading the mood';
+      case 'saving':
+        return 'Saving';
+    }
+  };
+
+  const getStatusText = (): string => {
+    switch (job.status) {
+      case 'queued':
+        return 'Waiting to start';
+      case 'running':
+        return job.progress
+          ? `In progress... (${job.progress.completed}/${job.progress.total} parts)`
+          : 'In progress...';
+      case 'waiting_retry':
+        return `Retrying soon (attempt ${job.attempts + 1})`;
+      case 'waiting_for_provider':
+        return 'Waiting for the transcription server';
+      case 'failed':
+        return job.error || 'Processing failed';
+      default:
+        return '';
+    }
+  };
+
+  const isFailed = job.status === 'failed';
+
+  return (
+    <View style={[styles.container, isFailed && styles.failedContainer]}>
+      <View style={styles.info}>
+        <Text style={styles.stage}>
+          {isFailed ? '⚠️' : '⏳'} {getStageText()} recording
+        </Text>
+        <Text style={[styles.status, isFailed && styles.failedStatus]} numberOfLines={2}>
+          {getStatusText()}
+        </Text>
+      </View>
+
+      {isFailed ? (
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.retryButton} onPress={onRetry}>
+            <Text style={styles.buttonText}>Retry</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.secondaryButton} onPress={onDismiss}>
+            <Text style={styles.buttonText}>Dismiss</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.secondaryButton} onPress={onCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#3498db',
+  },
+  failedContainer: {
+    borderLeftColor: '#e74c3c',
+  },
+  info: {
+    flex: 1,
+    marginRight: 12,
+  },
+  stage: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 2,
+  },
+  status: {
+    fontSize: 12,
+    color: '#7f8c8d',
+  },
+  failedStatus: {
+    color: '#e74c3c',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  retryButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  secondaryButton: {
+    backgroundColor: '#95a5a6',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,121 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { formatDueDate, isTaskOverdue } from '../services/tasks';
+import { SummaryTask, TaskPriority } from '../types';
+
+const PRIORITY_LABELS: Record<TaskPriority, string> = {
+  high: '❗ High',
+  medium: 'Medium',
+  low: 'Low',
+};
+
+interface TaskItemProps {
+  task: SummaryTask;
+  // The words of the note the task was taken from
+  source?: string;
+  // Set where tasks from several notes are listed together
+  noteTitle?: string;
+  onToggle?: (task: SummaryTask) => void;
+  onPressNote?: () => void;
+}
+
+export const TaskItem: React.FC<TaskItemProps> = ({
+  task,
+  source,
+  noteTitle,
+  onToggle,
+  onPressNote,
+}) => {
+  const isOverdue = isTaskOverdue(task);
+  const details = [
+    task.dueDate && `📅 ${isOverdue ? 'Overdue · ' : ''}${formatDueDate(task.dueDate)}`,
+    task.priority && `${PRIORITY_LABELS[task.priority]} priority`,
+    task.assignee && `👤 ${task.assignee}`,
+  ].filter(Boolean);
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={[styles.checkbox, task.completed && styles.checkboxChecked]}
+        onPress={() => onToggle?.(task)}
+        disabled={!onToggle}
+      >
+        {task.completed && <Text style={styles.checkmark}>✓</Text>}
+      </TouchableOpacity>
+
+      <View style={styles.body}>
+        <Text style={[styles.text, task.completed && styles.completedText]}>{task.text}</Text>
+        {details.length > 0 && (
+          <Text style={[styles.details, !task.completed && (isOverdue || task.priority === 'high') && styles.urgentDetails]}>
+            {details.join(' · ')}
+          </Text>
+        )}
+        {!!source && <Text style={styles.source}>"{source}"</Text>}
+        {noteTitle !== undefined && (
+          <TouchableOpacity onPress={onPressNote} disabled={!onPressNote}>
+            <Text style={styles.noteLink} numberOfLines={1}>📝 {noteTitle}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 10,
+  },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#bdc3c7',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 10,
+    marginTop: 1,
+  },
+  checkboxChecked: {
+    backgroundColor: '#27ae60',
+    borderColor: '#27ae60',
+  },
+  checkmark: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  body: {
+    flex: 1,
+  },
+  text: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2c3e50',
+  },
+  completedText: {
+    color: '#95a5a6',
+    textDecorationLine: 'line-through',
+  },
+  details: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  urgentDetails: {
+    color: '#e74c3c',
+  },
+  source: {
+    fontSize: 12,
+    color: '#95a5a6',
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  noteLink: {
+    fontSize: 12,
+    color: '#3498db',
+    marginTop: 4,
+  },
+});
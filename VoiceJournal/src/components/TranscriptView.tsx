@@ -0,0 +1,140 @@
+import React from 'react';
+import { Text, StyleSheet, StyleProp, TextStyle } from 'react-native';
+import { TranscriptSegment, TranscriptWord } from '../types';
+import { isLowConfidence, stripPunctuation } from '../services/corrections';
+
+interface TranscriptViewProps {
+  segments: TranscriptSegment[];
+  // Index of the segment being played, or -1
+  activeIndex: number;
+  onSegmentPress: (segment: TranscriptSegment) => void;
+  // With word timings the transcript is rendered word by word so uncertain
+  // words can be flagged and tapped individually
+  words?: TranscriptWord[];
+  // Latest replacement for each corrected word index
+  correctedWords?: Map<number, string>;
+  onWordPress?: (word: TranscriptWord, index: number) => void;
+  onWordLongPress?: (word: TranscriptWord, index: number) => void;
+  // Display name for a diarization label; when set, every change of speaker
+  // starts a new line headed by the speaker's name
+  getSpeakerName?: (speaker: string) => string;
+  style?: StyleProp<TextStyle>;
+}
+
+// Index of the segment containing `positionMs`, or -1 between segments
+export const findSegmentIndex = (segments: TranscriptSegment[], positionMs: number): number =>
+  segments.findIndex(segment => positionMs >= segment.startMs && positionMs < segment.endMs);
+
+const SpeakerLabel: React.FC<{ name: string; isFirst: boolean }> = ({ name, isFirst }) => (
+  <>
+    {isFirst ? '' : '\n'}
+    <Text style={styles.speakerLabel}>{name}: </Text>
+  </>
+);
+
+// Renders a timed transcript as flowing text where every segment, or every
+// word when word timings exist, can be tapped
+export const TranscriptView: React.FC<TranscriptViewProps> = ({
+  segments,
+  activeIndex,
+  onSegmentPress,
+  words,
+  correctedWords,
+  onWordPress,
+  onWordLongPress,
+  getSpeakerName,
+  style,
+}) => {
+  if (words && words.length > 0) {
+    const activeSegment = activeIndex >= 0 ? segments[activeIndex] : undefined;
+    // Words without a label of their own belong to their segment's speaker
+    const speakers = getSpeakerName
+      ? words.map(word => word.speaker ?? segments[findSegmentIndex(segments, word.startMs)]?.speaker)
+      : [];
+    let currentSpeaker: string | undefined;
+
+    return (
+      <Text style={style}>
+        {words.map((word, index) => {
+          const replacement = correctedWords?.get(index);
+          const isActive = !!activeSegment &&
+            word.startMs >= activeSegment.startMs &&
+            word.startMs < activeSegment.endMs;
+          const speaker = speakers[index];
+          const speakerChanged = !!speaker && speaker !== currentSpeaker;
+          if (speaker) currentSpeaker = speaker;
+
+          return (
+            <React.Fragment key={`${word.startMs}_${index}`}>
+              {speakerChanged && getSpeakerName && (
+                <SpeakerLabel name={getSpeakerName(speaker as string)} isFirst={index === 0} />
+              )}
+              <Text
+                style={[
+                  isActive && styles.activeSegment,
+                  replacement !== undefined
+                    ? styles.correctedWord
+                    : isLowConfidence(word) && styles.lowConfidenceWord,
+                ]}
+                onPress={onWordPress ? () => onWordPress(word, index) : undefined}
+                onLongPress={onWordLongPress ? () => onWordLongPress(word, index) : undefined}
+              >
+                {replacement !== undefined
+                  ? word.text.trim().replace(stripPunctuation(word.text), replacement)
+                  : word.text.trim()}
+              </Text>
+              {index < words.length - 1 ? ' ' : ''}
+            </React.Fragment>
+          );
+        })}
+      </Text>
+    );
+  }
+
+  let currentSpeaker: string | undefined;
+
+  return (
+    <Text style={style}>
+      {segments.map((segment, index) => {
+        const speakerChanged = !!getSpeakerName && !!segment.speaker && segment.speaker !== currentSpeaker;
+        if (segment.speaker) currentSpeaker = segment.speaker;
+
+        return (
+          <React.Fragment key={`${segment.startMs}_${index}`}>
+            {speakerChanged && getSpeakerName && (
+              <SpeakerLabel name={getSpeakerName(segment.speaker as string)} isFirst={index === 0} />
+            )}
+            <Text
+              style={index === activeIndex ? styles.activeSegment : undefined}
+              onPress={() => onSegmentPress(segment)}
+            >
+              {segment.text.trim()}
+              {index < segments.length - 1 ? ' ' : ''}
+            </Text>
+          </React.Fragment>
+        );
+      })}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  activeSegment: {
+    backgroundColor: '#d6eaf8',
+    color: '#2c3e50',
+  },
+  lowConfidenceWord: {
+    textDecorationLine: 'underline',
+    textDecorationStyle: 'dotted',
+    textDecorationColor: '#e67e22',
+    color: '#d35400',
+  },
+  correctedWord: {
+    color: '#27ae60',
+    fontWeight: '600',
+  },
+  speakerLabel: {
+    color: '#3498db',
+    fontWeight: '600',
+  },
+});
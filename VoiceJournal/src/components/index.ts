@@ -1,4 +1,9 @@
 export { AudioRecorder } from './AudioRecorder';
 export { NoteEditor } from './NoteEditor';
 export { NoteCard } from './NoteCard';
-export { LoadingSpinner } from './LoadingSpinner';
\ No newline at end of file
+export { LoadingSpinner } from './LoadingSpinner';
+export { HighlightedText } from './HighlightedText';
+export { ProcessingJobCard } from './ProcessingJobCard';
+export { AudioPlayer } from './AudioPlayer';
+export { TranscriptView } from './TranscriptView';
+export { TaskItem } from './TaskItem';
\ No newline at end of file
@@ -5,6 +5,10 @@ import { HomeScreen } from '../screens/HomeScreen';
 import { RecordScreen } from '../screens/RecordScreen';
 import { NoteEditorScreen } from '../screens/NoteEditorScreen';
 import { ErrorReportScreen } from '../screens/ErrorReportScreen';
+import { SettingsScreen } from '../screens/SettingsScreen';
+import { VocabularyScreen } from '../screens/VocabularyScreen';
+import { TasksScreen } from '../screens/TasksScreen';
+import { MoodScreen } from '../screens/MoodScreen';
 import { NavigationParamList } from '../types';
 
 const Stack = createStackNavigator<NavigationParamList>();
@@ -60,6 +64,38 @@ export const AppNavigator: React.FC = () => {
             headerShown: false, // We'll handle the header in the component
           }}
         />
+        <Stack.Screen
+          name="Settings"
+          component={SettingsScreen}
+          options={{
+            title: 'Settings',
+            headerShown: false, // We'll handle the header in the component
+          }}
+        />
+        <Stack.Screen
+          name="Vocabulary"
+          component={VocabularyScreen}
+          options={{
+            title: 'Custom Vocabulary',
+            headerShown: false, // We'll handle the header in the component
+          }}
+        />
+        <Stack.Screen
+          name="Tasks"
+          component={TasksScreen}
+          options={{
+            title: 'Tasks',
+            headerShown: false, // We'll handle the header in the component
+          }}
+        />
+        <Stack.Screen
+          name="Mood"
+          component={MoodScreen}
+          options={{
+            title: 'Mood',
+            headerShown: false, // We'll handle the header in the component
+          }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
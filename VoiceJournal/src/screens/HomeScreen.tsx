@@ -9,8 +9,10 @@ import {
   Alert,
 } from 'react-native';
 import { NoteCard } from '../components/NoteCard';
+import { ProcessingJobCard } from '../components/ProcessingJobCard';
+import { ProcessingQueue } from '../services/ProcessingQueue';
 import { StorageManager } from '../services/StorageManager';
-import { Note } from '../types';
+import { Note, ProcessingJob, SearchResult } from '../types';
 
 interface HomeScreenProps {
   navigation: any;
@@ -19,34 +21,52 @@ interface HomeScreenProps {
 export const HomeScreen: React.FC<HomeScreenProps> = ({ navigation }) => {
   const [notes, setNotes] = useState<Note[]>([]);
   const [searchQuery, setSearchQuery] = useState('');
-  const [filteredNotes, setFilteredNotes] = useState<Note[]>([]);
+  const [searchResults, setSearchResults] = useState<SearchResult[]>([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [jobs, setJobs] = useState<ProcessingJob[]>([]);
+  const [summarizingIds, setSummarizingIds] = useState<string[]>([]);
 
   const storageManager = StorageManager.getInstance();
+  const processingQueue = ProcessingQueue.getInstance();
 
   useEffect(() => {
     loadNotes();
   }, []);
 
+  // Recordings still being processed in the background. Their notes are saved
+  // once transcribed (still waiting for a summary) and again when finished.
+  useEffect(() => {
+    setJobs(processingQueue.getJobs());
+    return processingQueue.addListener(job => {
+      setJobs(processingQueue.getJobs());
+      if (job.status === 'completed' || job.status === 'waiting_for_provider' || job.stage === 'summarizing') {
+        loadNotes(false);
+      }
+    });
+  }, []);
+
   useEffect(() => {
-    // Filter notes based on search query
     if (searchQuery.trim() === '') {
-      setFilteredNotes(notes);
-    } else {
-      const filtered = notes.filter(note =>
-        note.originalText.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        (note.editedText && note.editedText.toLowerCase().includes(searchQuery.toLowerCase())) ||
-        note.summary.summary.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        note.tags.some(tag => tag.toLowerCase().includes(searchQuery.toLowerCase())) ||
-        (note.title && note.title.toLowerCase().includes(searchQuery.toLowerCase()))
-      );
-      setFilteredNotes(filtered);
+      setSearchResults(notes.map(note => ({ note, score: 0, matches: [] })));
+      return;
     }
+
+    // Ignore results from an earlier query that resolve after a newer one
+    let isCurrent = true;
+    storageManager.search(searchQuery).then(results => {
+      if (isCurrent) {
+        setSearchResults(results);
+      }
+    });
+    return () => {
+      isCurrent = false;
+    };
   }, [searchQuery, notes]);
 
-  const loadNotes = async () => {
+  // Background refreshes skip the full-screen loading state
+  const loadNotes = async (showLoading: boolean = true) => {
     try {
-      setIsLoading(true);
+      if (showLoading) setIsLoading(true);
       const loadedNotes = await storageManager.getAllNotes();
       // Sort notes by creation date (newest first)
       const sortedNotes = loadedNotes.sort((a, b) => 
@@ -72,6 +92,14 @@ export const HomeScreen: React.FC<HomeScreenProps> = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
+              // A job still working on the note would save it again, so it is
+              // cancelled first; that also deletes drafts and their audio
+              const unfinishedJob = processingQueue
+                .getJobs()
+                .find(job => job.noteId === noteId && job.status !== 'completed' && job.status !== 'cancelled');
+              if (unfinishedJob) {
+                await processingQueue.cancel(unfinishedJob.id);
+              }
               await storageManager.deleteNote(noteId);
               await loadNotes(); // Reload notes after deletion
             } catch (error) {
@@ -84,18 +112,54 @@ export const HomeScreen: React.FC<HomeScreenProps> = ({ navigation }) => {
     );
   };
 
+  const handleSummarizeNote = async (noteId: string) => {
+    setSummarizingIds(ids => [...ids, noteId]);
+    try {
+      await processingQueue.summarizeNote(noteId);
+    } catch (error) {
+      console.error('Error summarizing note:', error);
+      Alert.alert('Summary Failed', error instanceof Error ? error.message : 'Failed to generate summary');
+    } finally {
+      setSummarizingIds(ids => ids.filter(id => id !== noteId));
+      await loadNotes(false);
+    }
+  };
+
   const handleNotePress = (note: Note) => {
     navigation.navigate('NoteEditor', { noteId: note.id });
   };
 
-  const renderNoteCard = ({ item }: { item: Note }) => (
+  const renderNoteCard = ({ item }: { item: SearchResult }) => (
     <NoteCard
-      note={item}
-      onPress={() => handleNotePress(item)}
-      onDelete={() => handleDeleteNote(item.id)}
+      note={item.note}
+      matches={item.matches}
+      onPress={() => handleNotePress(item.note)}
+      onDelete={() => handleDeleteNote(item.note.id)}
+      onSummarize={() => handleSummarizeNote(item.note.id)}
+      isSummarizing={summarizingIds.includes(item.note.id)}
     />
   );
 
+  const renderProcessingJobs = () => {
+    // Jobs waiting for the transcription provider show up as draft notes
+    const activeJobs = jobs.filter(job => job.status !== 'waiting_for_provider');
+    if (activeJobs.length === 0) return null;
+
+    return (
+      <View style={styles.jobsContainer}>
+        {activeJobs.map(job => (
+          <ProcessingJobCard
+            key={job.id}
+            job={job}
+            onCancel={() => processingQueue.cancel(job.id)}
+            onRetry={() => processingQueue.retry(job.id)}
+            onDismiss={() => processingQueue.dismiss(job.id)}
+          />
+        ))}
+      </View>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
       <Text style={styles.emptyIcon}>🎙️</Text>
@@ -133,6 +197,12 @@ export const HomeScreen: React.FC<HomeScreenProps> = ({ navigation }) => {
         >
           <Text style={styles.debugButtonText}>🔧 Debug</Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.settingsButton}
+          onPress={() => navigation.navigate('Settings')}
+        >
+          <Text style={styles.debugButtonText}>⚙️ Settings</Text>
+        </TouchableOpacity>
       </View>
 
       {notes.length > 0 && (
@@ -153,12 +223,26 @@ export const HomeScreen: React.FC<HomeScreenProps> = ({ navigation }) => {
         >
           <Text style={styles.primaryButtonText}>🎙️ New Recording</Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.tasksButton}
+          onPress={() => navigation.navigate('Tasks')}
+        >
+          <Text style={styles.primaryButtonText}>✅ Tasks</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.moodButton}
+          onPress={() => navigation.navigate('Mood')}
+        >
+          <Text style={styles.primaryButtonText}>📈 Mood</Text>
+        </TouchableOpacity>
       </View>
 
+      {renderProcessingJobs()}
+
       <FlatList
-        data={filteredNotes}
+        data={searchResults}
         renderItem={renderNoteCard}
-        keyExtractor={(item) => item.id}
+        keyExtractor={(item) => item.note.id}
         showsVerticalScrollIndicator={false}
         contentContainerStyle={styles.listContainer}
         ListEmptyComponent={renderEmptyState}
@@ -207,23 +291,43 @@ const styles = StyleSheet.create({
     borderColor: '#e9ecef',
   },
   actionContainer: {
+    flexDirection: 'row',
+    gap: 12,
     padding: 16,
     backgroundColor: '#fff',
     borderBottomWidth: 1,
     borderBottomColor: '#e9ecef',
   },
   primaryButton: {
+    flex: 1,
     backgroundColor: '#27ae60',
     paddingVertical: 16,
     paddingHorizontal: 24,
     borderRadius: 8,
     alignItems: 'center',
   },
+  tasksButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 16,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  moodButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 16,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
   primaryButtonText: {
     color: '#fff',
     fontSize: 18,
     fontWeight: '600',
   },
+  jobsContainer: {
+    paddingBottom: 8,
+  },
   listContainer: {
     paddingBottom: 20,
   },
@@ -281,6 +385,15 @@ const styles = StyleSheet.create({
     paddingHorizontal: 12,
     borderRadius: 6,
   },
+  settingsButton: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    backgroundColor: '#95a5a6',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
   debugButtonText: {
     color: '#fff',
     fontSize: 12,
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { aggregateMoods, getMoodDetails, moodLabelForScore } from '../services/mood';
+import { StorageManager } from '../services/StorageManager';
+import { MoodBucket, MoodEntry, MoodPeriod } from '../types';
+
+interface MoodScreenProps {
+  navigation: any;
+}
+
+const PERIODS: Array<{ period: MoodPeriod; label: string; count: number }> = [
+  { period: 'day', label: 'Last 14 days', count: 14 },
+  { period: 'week', label: 'Last 12 weeks', count: 12 },
+];
+
+// Height of each half of the chart, above and below the neutral line
+const HALF_CHART_HEIGHT = 70;
+const MAX_EMOTIONS_SHOWN = 5;
+
+export const MoodScreen: React.FC<MoodScreenProps> = ({ navigation }) => {
+  const [entries, setEntries] = useState<MoodEntry[]>([]);
+  const [period, setPeriod] = useState<MoodPeriod>('day');
+  const [isLoading, setIsLoading] = useState(true);
+
+  const storageManager = StorageManager.getInstance();
+
+  // Moods may have been corrected in the editor meanwhile
+  useEffect(() => navigation.addListener('focus', () => loadEntries()), [navigation]);
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const loadEntries = async () => {
+    try {
+      setEntries(await storageManager.getMoodEntries());
+    } catch (error) {
+      console.error('Error loading moods:', error);
+      Alert.alert('Error', 'Failed to load your moods');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const { count } = PERIODS.find(option => option.period === period) ?? PERIODS[0];
+  const buckets = aggregateMoods(entries, period, count);
+  const rangeStart = buckets[0].start;
+  const shownEntries = entries.filter(entry => entry.createdAt >= rangeStart);
+  const averageScore = shownEntries.length > 0
+    ? shownEntries.reduce((total, entry) => total + entry.score, 0) / shownEntries.length
+    : undefined;
+
+  const emotionCounts = new Map<string, number>();
+  shownEntries.forEach(entry => entry.emotions.forEach(emotion => {
+    emotionCounts.set(emotion, (emotionCounts.get(emotion) ?? 0) + 1);
+  }));
+  const topEmotions = [...emotionCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_EMOTIONS_SHOWN);
+
+  const formatBucket = (bucket: MoodBucket): string => period === 'day'
+    ? bucket.start.toLocaleDateString(undefined, { weekday: 'narrow' }) + '\n' + bucket.start.getDate()
+    : bucket.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  const renderBar = (bucket: MoodBucket) => {
+    const score = bucket.averageScore;
+    const height = score === undefined ? 0 : Math.max(2, Math.abs(score) * HALF_CHART_HEIGHT);
+    return (
+      <View key={bucket.start.getTime()} style={styles.barColumn}>
+        <View style={[styles.barHalf, styles.barHalfUpper]}>
+          {score !== undefined && score >= 0 && (
+            <View style={[styles.bar, styles.positiveBar, { height }]} />
+          )}
+        </View>
+        <View style={styles.barHalf}>
+          {score !== undefined && score < 0 && (
+            <View style={[styles.bar, styles.negativeBar, { height }]} />
+          )}
+          {score === undefined && <View style={styles.emptyDot} />}
+        </View>
+        <Text style={styles.barLabel}>{formatBucket(bucket)}</Text>
+      </View>
+    );
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading moods..." />;
+  }
+
+  const averageMood = averageScore !== undefined ? getMoodDetails(moodLabelForScore(averageScore)) : undefined;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Mood</Text>
+        <Text style={styles.subtitle}>From your journal notes</Text>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.chipRow}>
+          {PERIODS.map(option => (
+            <TouchableOpacity
+              key={option.period}
+              style={[styles.chip, period === option.period && styles.chipActive]}
+              onPress={() => setPeriod(option.period)}
+            >
+              <Text style={[styles.chipText, period === option.period && styles.chipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {entries.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyIcon}>📈</Text>
+            <Text style={styles.emptyText}>
+              No moods yet. Record a journal entry about your day and its mood shows up here.
+            </Text>
+          </View>
+        ) : (
+          <>
+            <View style={styles.card}>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chart}>
+                {buckets.map(renderBar)}
+              </ScrollView>
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Overall</Text>
+              {averageMood ? (
+                <Text style={styles.averageText}>
+                  {averageMood.emoji} {averageMood.name} across {shownEntries.length}{' '}
+                  {shownEntries.length === 1 ? 'entry' : 'entries'}
+                </Text>
+              ) : (
+                <Text style={styles.mutedText}>No journal entries in this period.</Text>
+              )}
+              {topEmotions.length > 0 && (
+                <>
+                  <Text style={[styles.cardTitle, styles.emotionsTitle]}>Most felt</Text>
+                  <View style={styles.chipRow}>
+                    {topEmotions.map(([emotion, times]) => (
+                      <View key={emotion} style={styles.emotionChip}>
+                        <Text style={styles.chipText}>{emotion} × {times}</Text>
+                      </View>
+                    ))}
+                  </View>
+                </>
+              )}
+            </View>
+
+            <Text style={styles.hintText}>
+              Moods are read from journal notes. Correct one in the note editor and the chart follows.
+            </Text>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    padding: 20,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#7f8c8d',
+  },
+  backButton: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    backgroundColor: '#95a5a6',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  backButtonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  content: {
+    padding: 16,
+    gap: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: '#3498db',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#2c3e50',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#34495e',
+    marginBottom: 8,
+  },
+  emotionsTitle: {
+    marginTop: 16,
+  },
+  chart: {
+    gap: 6,
+  },
+  barColumn: {
+    width: 28,
+    alignItems: 'center',
+  },
+  barHalf: {
+    height: HALF_CHART_HEIGHT,
+    width: '100%',
+    alignItems: 'center',
+  },
+  barHalfUpper: {
+    justifyContent: 'flex-end',
+    borderBottomWidth: 1,
+    borderBottomColor: '#bdc3c7',
+  },
+  bar: {
+    width: 18,
+    borderRadius: 3,
+  },
+  positiveBar: {
+    backgroundColor: '#27ae60',
+  },
+  negativeBar: {
+    backgroundColor: '#e74c3c',
+  },
+  emptyDot: {
+    width: 4,
+    height: 4,
+    borderRadius: 2,
+    marginTop: 4,
+    backgroundColor: '#bdc3c7',
+  },
+  barLabel: {
+    fontSize: 10,
+    color: '#7f8c8d',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  averageText: {
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  mutedText: {
+    fontSize: 14,
+    color: '#95a5a6',
+  },
+  emotionChip: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#95a5a6',
+    textAlign: 'center',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#7f8c8d',
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+});
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, Alert, Text, TouchableOpacity } from 'react-native';
 import { NoteEditor } from '../components/NoteEditor';
 import { LoadingSpinner } from '../components/LoadingSpinner';
+import { LLMSummarizer } from '../services/LLMSummarizer';
+import { ProcessingQueue } from '../services/ProcessingQueue';
 import { StorageManager } from '../services/StorageManager';
-import { Note } from '../types';
+import { MoodLabel, Note, SummaryTask } from '../types';
 
 interface NoteEditorScreenProps {
   route: {
@@ -21,6 +23,7 @@ export const NoteEditorScreen: React.FC<NoteEditorScreenProps> = ({
   const [note, setNote] = useState<Note | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [isSummarizing, setIsSummarizing] = useState(false);
 
   const storageManager = StorageManager.getInstance();
   const { noteId } = route.params || {};
@@ -29,6 +32,17 @@ export const NoteEditorScreen: React.FC<NoteEditorScreenProps> = ({
     loadNote();
   }, [noteId]);
 
+  // A draft is replaced by the real note once its recording is transcribed;
+  // reload then so saving the editor can't write the draft back
+  useEffect(() => {
+    if (!note?.awaitingTranscription) return;
+    return ProcessingQueue.getInstance().addListener(job => {
+      if (job.noteId === note.id && (job.stage === 'summarizing' || job.status === 'completed')) {
+        loadNote();
+      }
+    });
+  }, [note?.id, note?.awaitingTranscription]);
+
   const loadNote = async () => {
     if (!noteId) {
       setError('No note ID provided');
@@ -73,6 +87,59 @@ export const NoteEditorScreen: React.FC<NoteEditorScreenProps> = ({
     }
   };
 
+  const handleSummarize = async () => {
+    if (!note) return;
+
+    try {
+      setIsSummarizing(true);
+      const summarized = await ProcessingQueue.getInstance().summarizeNote(note.id);
+      setNote(summarized);
+    } catch (error) {
+      console.error('Error summarizing note:', error);
+      Alert.alert('Summary Failed', error instanceof Error ? error.message : 'Failed to generate summary');
+      // The stored note now records why the summary failed
+      const reloaded = await storageManager.getNoteById(note.id);
+      if (reloaded) setNote(reloaded);
+    } finally {
+      setIsSummarizing(false);
+    }
+  };
+
+  // Checking a task off is saved straight away, apart from any unsaved edits
+  const handleToggleTask = async (task: SummaryTask) => {
+    try {
+      setNote(await storageManager.setTaskCompleted(task.id, !task.completed));
+    } catch (error) {
+      console.error('Error updating task:', error);
+      Alert.alert('Error', 'Failed to update the task. Please try again.');
+    }
+  };
+
+  // Like tasks, a corrected mood is saved straight away
+  const handleSetMood = async (label: MoodLabel | undefined) => {
+    if (!note) return;
+    try {
+      setNote(await storageManager.setNoteMood(note.id, label));
+    } catch (error) {
+      console.error('Error updating mood:', error);
+      Alert.alert('Error', 'Failed to update the mood. Please try again.');
+    }
+  };
+
+  // Accepting a suggested tag is saved straight away, apart from any unsaved edits
+  const handleAcceptTag = async (tag: string) => {
+    if (!note) return;
+    try {
+      setNote(await storageManager.addTagToNote(note.id, tag));
+    } catch (error) {
+      console.error('Error adding tag:', error);
+      Alert.alert('Error', 'Failed to add the tag. Please try again.');
+    }
+  };
+
+  const handleGenerateTitle = (text: string) =>
+    LLMSummarizer.getInstance().generateTitle(text, note?.transcription.language);
+
   const handleCancel = () => {
     navigation.goBack();
   };
@@ -109,6 +176,12 @@ export const NoteEditorScreen: React.FC<NoteEditorScreenProps> = ({
         note={note}
         onSave={handleSaveNote}
         onCancel={handleCancel}
+        onSummarize={handleSummarize}
+        isSummarizing={isSummarizing}
+        onToggleTask={handleToggleTask}
+        onGenerateTitle={handleGenerateTitle}
+        onAcceptTag={handleAcceptTag}
+        onSetMood={handleSetMood}
       />
     </View>
   );
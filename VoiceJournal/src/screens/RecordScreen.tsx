@@ -1,112 +1,145 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  Alert,
   ScrollView,
   TouchableOpacity,
+  Alert,
 } from 'react-native';
 import { AudioRecorder } from '../components/AudioRecorder';
 import { LoadingSpinner } from '../components/LoadingSpinner';
-import { TranscriptionHandler } from '../services/TranscriptionHandler';
-import { LLMSummarizer } from '../services/LLMSummarizer';
+import { ProcessingQueue, PROCESSING_STAGES } from '../services/ProcessingQueue';
 import { StorageManager } from '../services/StorageManager';
-import { AudioRecording, Note, Transcription, Summary } from '../types';
+import { AudioRecording, ProcessingJob, ProcessingStage } from '../types';
 
 interface RecordScreenProps {
   navigation: any;
 }
 
-type ProcessingStep = 'idle' | 'transcribing' | 'summarizing' | 'saving' | 'complete';
+type ProcessingStep = 'idle' | ProcessingStage | 'complete';
 
 export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
-  const [currentStep, setCurrentStep] = useState<ProcessingStep>('idle');
-  const [audioRecording, setAudioRecording] = useState<AudioRecording | null>(null);
-  const [transcription, setTranscription] = useState<Transcription | null>(null);
-  const [summary, setSummary] = useState<Summary | null>(null);
+  const [job, setJob] = useState<ProcessingJob | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [isCheckingProvider, setIsCheckingProvider] = useState(false);
+  const [acceptedTags, setAcceptedTags] = useState<string[]>([]);
 
-  const transcriptionHandler = TranscriptionHandler.getInstance();
-  const llmSummarizer = LLMSummarizer.getInstance();
-  const storageManager = StorageManager.getInstance();
+  const processingQueue = ProcessingQueue.getInstance();
 
-  const processAudioRecording = async (recording: AudioRecording) => {
-    setAudioRecording(recording);
-    setError(null);
-    await processAudioFile(recording.uri);
-  };
+  // The queue keeps working if the user leaves this screen; this only mirrors
+  // the progress of the job started here
+  useEffect(() => {
+    if (!job) return;
 
-  const processAudioFile = async (audioUri: string) => {
-    try {
-      // Step 1: Transcribe audio
-      setCurrentStep('transcribing');
-      const transcriptionResult = await transcriptionHandler.transcribeAudio(audioUri);
-      
-      if (!transcriptionResult.success || !transcriptionResult.text) {
-        throw new Error(transcriptionResult.error || 'Transcription failed');
-      }
+    const jobId = job.id;
+    // Catch up on anything that happened before the listener was attached
+    const latest = processingQueue.getJob(jobId);
+    if (latest) setJob(latest);
 
-      const newTranscription: Transcription = {
-        id: `transcription_${Date.now()}`,
-        text: transcriptionResult.text,
-        confidence: transcriptionResult.confidence,
-        createdAt: new Date(),
-      };
-      setTranscription(newTranscription);
-
-      // Step 2: Generate summary
-      setCurrentStep('summarizing');
-      const summaryResult = await llmSummarizer.generateSummary(transcriptionResult.text);
-      
-      if (!summaryResult.success || !summaryResult.summary) {
-        throw new Error(summaryResult.error || 'Summary generation failed');
+    let redirectTimer: ReturnType<typeof setTimeout> | null = null;
+    const removeListener = processingQueue.addListener(updated => {
+      if (updated.id !== jobId) return;
+
+      setJob(updated);
+      if (updated.status === 'failed') {
+        setError(updated.error || 'An unknown error occurred');
+      } else if (updated.status === 'cancelled') {
+        resetSession();
+      } else if (updated.status === 'completed') {
+        // Tag suggestions wait for the user; otherwise go on to the editor
+        // after a brief delay
+        if (updated.suggestedTags?.length) return;
+        redirectTimer = setTimeout(() => {
+          navigation.replace('NoteEditor', { noteId: updated.noteId });
+        }, 1500);
       }
+    });
+
+    return () => {
+      removeListener();
+      if (redirectTimer) clearTimeout(redirectTimer);
+    };
+  }, [job?.id]);
 
-      setSummary(summaryResult.summary);
-
-      // Step 3: Save note
-      setCurrentStep('saving');
-             const note: Note = {
-         id: `note_${Date.now()}`,
-         originalText: transcriptionResult.text,
-         summary: summaryResult.summary,
-         audioRecording: audioRecording || undefined,
-         transcription: newTranscription,
-         tags: [],
-         createdAt: new Date(),
-         updatedAt: new Date(),
-       };
-
-      await storageManager.saveNote(note);
-      setCurrentStep('complete');
-
-      // Navigate to editor after a brief delay
-      setTimeout(() => {
-        navigation.replace('NoteEditor', { noteId: note.id });
-      }, 1500);
+  const processAudioRecording = async (recording: AudioRecording, liveTranscript?: string) => {
+    await processAudioFile(recording.uri, recording, liveTranscript);
+  };
 
+  const processAudioFile = async (audioUri: string, recording?: AudioRecording, liveTranscript?: string) => {
+    try {
+      setError(null);
+      setJob(await processingQueue.enqueue(audioUri, recording, liveTranscript));
     } catch (error) {
       console.error('Error processing audio:', error);
       setError(error instanceof Error ? error.message : 'An unknown error occurred');
-      setCurrentStep('idle');
     }
   };
 
+  const retryJob = async () => {
+    if (!job) return;
+    setError(null);
+    await processingQueue.retry(job.id);
+  };
+
+  // The queue checks on its own schedule; this is for users who know the
+  // server is back
+  const checkProviderNow = async () => {
+    setIsCheckingProvider(true);
+    try {
+      if (!(await processingQueue.checkProvider())) {
+        Alert.alert('Still Unreachable', 'The transcription server still cannot be reached. Your draft is kept and will be retried automatically.');
+      }
+    } catch (error) {
+      console.error('Error checking transcription provider:', error);
+    } finally {
+      setIsCheckingProvider(false);
+    }
+  };
+
+  const cancelJob = async () => {
+    if (!job) return;
+    await processingQueue.cancel(job.id);
+  };
+
   const resetSession = () => {
-    setCurrentStep('idle');
-    setAudioRecording(null);
-    setTranscription(null);
-    setSummary(null);
+    if (job?.status === 'failed') {
+      processingQueue.dismiss(job.id);
+    }
+    setJob(null);
     setError(null);
+    setAcceptedTags([]);
+  };
+
+  const acceptTag = async (tag: string) => {
+    if (!job) return;
+    try {
+      await StorageManager.getInstance().addTagToNote(job.noteId, tag);
+      setAcceptedTags(prev => [...prev, tag]);
+    } catch (error) {
+      console.error('Error adding tag:', error);
+      Alert.alert('Error', 'Failed to add the tag. Please try again.');
+    }
+  };
+
+  const getCurrentStep = (): ProcessingStep => {
+    if (!job || job.status === 'failed' || job.status === 'cancelled' || job.status === 'waiting_for_provider') {
+      return 'idle';
+    }
+    if (job.status === 'completed') return 'complete';
+    return job.stage;
   };
 
   const getStepMessage = (step: ProcessingStep): string => {
     switch (step) {
       case 'transcribing':
         return 'Converting speech to text...';
+      case 'cleaning':
+        return 'Cleaning up the transcript...';
       case 'summarizing':
         return 'Generating AI summary and insights...';
+      case 'analyzing':
+        return 'Reading the mood of your entry...';
       case 'saving':
         return 'Saving your note...';
       case 'complete':
@@ -120,8 +153,12 @@ export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
     switch (step) {
       case 'transcribing':
         return '🎧';
+      case 'cleaning':
+        return '✨';
       case 'summarizing':
         return '🧠';
+      case 'analyzing':
+        return '💭';
       case 'saving':
         return '💾';
       case 'complete':
@@ -131,7 +168,24 @@ export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
     }
   };
 
+  const renderRetryStatus = () => {
+    if (job?.status !== 'waiting_retry') return null;
+
+    const seconds = job.nextAttemptAt
+      ? Math.max(1, Math.round((job.nextAttemptAt.getTime() - Date.now()) / 1000))
+      : 0;
+    return (
+      <View style={styles.retryStatusContainer}>
+        <Text style={styles.retryStatusText}>{job.error}</Text>
+        <Text style={styles.redirectText}>
+          Retrying in about {seconds}s (attempt {job.attempts + 1})
+        </Text>
+      </View>
+    );
+  };
+
   const renderProcessingStatus = () => {
+    const currentStep = getCurrentStep();
     if (currentStep === 'idle') return null;
 
     return (
@@ -143,21 +197,119 @@ export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
           message={getStepMessage(currentStep)}
           size="large"
         />
+
+        {currentStep !== 'complete' && (
+          <Text style={styles.stepCounter}>
+            Step {PROCESSING_STAGES.indexOf(currentStep) + 1} of {PROCESSING_STAGES.length}
+          </Text>
+        )}
+        {currentStep === 'transcribing' && job?.progress && (
+          <Text style={styles.stepCounter}>
+            Long recording: {job.progress.completed} of {job.progress.total} parts transcribed
+          </Text>
+        )}
+        {renderRetryStatus()}
+
+        {currentStep === 'transcribing' && job?.liveTranscript && (
+          <View style={styles.liveTranscriptContainer}>
+            <Text style={styles.liveTranscriptLabel}>
+              Heard while recording (checking against the full recording):
+            </Text>
+            <Text style={styles.liveTranscriptText}>{job.liveTranscript}</Text>
+          </View>
+        )}
         
         {currentStep === 'complete' && (
           <View style={styles.completeContainer}>
             <Text style={styles.completeText}>
               Your note has been processed and saved successfully!
             </Text>
-            <Text style={styles.redirectText}>
-              Redirecting to editor...
-            </Text>
+            {job?.summaryError && (
+              <Text style={styles.checkpointText}>
+                The summary could not be generated, so the note was saved without one.
+                You can summarize it again from the editor.
+              </Text>
+            )}
+            {job?.suggestedTags?.length ? (
+              <View style={styles.suggestedTagsContainer}>
+                <Text style={styles.suggestedTagsLabel}>Tap to tag your note:</Text>
+                <View style={styles.suggestedTags}>
+                  {job.suggestedTags.map(tag => {
+                    const isAccepted = acceptedTags.includes(tag);
+                    return (
+                      <TouchableOpacity
+                        key={tag}
+                        style={[styles.suggestedTag, isAccepted && styles.acceptedTag]}
+                        onPress={() => acceptTag(tag)}
+                        disabled={isAccepted}
+                      >
+                        <Text style={[styles.suggestedTagText, isAccepted && styles.acceptedTagText]}>
+                          {isAccepted ? `✓ ${tag}` : `+ ${tag}`}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                <TouchableOpacity
+                  style={styles.backgroundButton}
+                  onPress={() => navigation.replace('NoteEditor', { noteId: job.noteId })}
+                >
+                  <Text style={styles.retryButtonText}>Open Note</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <Text style={styles.redirectText}>
+                Redirecting to editor...
+              </Text>
+            )}
+          </View>
+        )}
+
+        {currentStep !== 'complete' && (
+          <View style={styles.processingActions}>
+            <TouchableOpacity
+              style={styles.backgroundButton}
+              onPress={() => navigation.goBack()}
+            >
+              <Text style={styles.retryButtonText}>Continue in Background</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.cancelButton} onPress={cancelJob}>
+              <Text style={styles.retryButtonText}>Cancel</Text>
+            </TouchableOpacity>
           </View>
         )}
       </View>
     );
   };
 
+  const renderDraftSaved = () => {
+    if (job?.status !== 'waiting_for_provider') return null;
+
+    return (
+      <View style={styles.draftContainer}>
+        <Text style={styles.errorIcon}>📴</Text>
+        <Text style={styles.draftTitle}>Saved as a Draft</Text>
+        <Text style={styles.errorText}>{job.error}</Text>
+        <Text style={styles.checkpointText}>
+          Your recording is safe in your notes, marked "Awaiting transcription". It will be transcribed
+          automatically as soon as the transcription server can be reached again.
+        </Text>
+        <View style={styles.processingActions}>
+          <TouchableOpacity
+            style={styles.retryButton}
+            onPress={checkProviderNow}
+            disabled={isCheckingProvider}
+          >
+            <Text style={styles.retryButtonText}>{isCheckingProvider ? 'Checking...' : 'Check Now'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.cancelButton} onPress={() => navigation.goBack()}>
+            <Text style={styles.retryButtonText}>Back to Notes</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
   const renderError = () => {
     if (!error) return null;
 
@@ -166,17 +318,32 @@ export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
         <Text style={styles.errorIcon}>⚠️</Text>
         <Text style={styles.errorTitle}>Processing Failed</Text>
         <Text style={styles.errorText}>{error}</Text>
-        <TouchableOpacity 
-          style={styles.retryButton}
-          onPress={resetSession}
-        >
-          <Text style={styles.retryButtonText}>Try Again</Text>
-        </TouchableOpacity>
+        {job?.transcription && (
+          <Text style={styles.checkpointText}>
+            Your transcript was kept, so retrying continues from where it stopped.
+          </Text>
+        )}
+        <View style={styles.processingActions}>
+          {job?.status === 'failed' && (
+            <TouchableOpacity style={styles.retryButton} onPress={retryJob}>
+              <Text style={styles.retryButtonText}>Retry</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity 
+            style={job?.status === 'failed' ? styles.cancelButton : styles.retryButton}
+            onPress={resetSession}
+          >
+            <Text style={styles.retryButtonText}>
+              {job?.status === 'failed' ? 'Start Over' : 'Try Again'}
+            </Text>
+          </TouchableOpacity>
+        </View>
       </View>
     );
   };
 
-  const isProcessing = currentStep !== 'idle';
+  const isProcessing = getCurrentStep() !== 'idle';
+  const isDraft = job?.status === 'waiting_for_provider';
 
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
@@ -187,7 +354,7 @@ export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
         </Text>
       </View>
 
-      {!isProcessing && !error && (
+      {!isProcessing && !isDraft && !error && (
         <AudioRecorder
           onRecordingComplete={processAudioRecording}
           onFileSelected={processAudioFile}
@@ -195,9 +362,10 @@ export const RecordScreen: React.FC<RecordScreenProps> = ({ navigation }) => {
       )}
 
       {renderProcessingStatus()}
+      {renderDraftSaved()}
       {renderError()}
 
-      {!isProcessing && !error && (
+      {!isProcessing && !isDraft && !error && (
         <View style={styles.infoContainer}>
           <Text style={styles.infoTitle}>How it works:</Text>
           <View style={styles.infoStep}>
@@ -276,6 +444,57 @@ const styles = StyleSheet.create({
     fontSize: 48,
     marginBottom: 20,
   },
+  stepCounter: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginTop: 12,
+  },
+  retryStatusContainer: {
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  retryStatusText: {
+    fontSize: 14,
+    color: '#e74c3c',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  liveTranscriptContainer: {
+    marginTop: 16,
+    padding: 12,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#3498db',
+  },
+  liveTranscriptLabel: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginBottom: 4,
+  },
+  liveTranscriptText: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2c3e50',
+  },
+  processingActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 12,
+    marginTop: 24,
+  },
+  backgroundButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  cancelButton: {
+    backgroundColor: '#95a5a6',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
   completeContainer: {
     marginTop: 20,
     alignItems: 'center',
@@ -292,6 +511,42 @@ const styles = StyleSheet.create({
     color: '#7f8c8d',
     textAlign: 'center',
   },
+  suggestedTagsContainer: {
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  suggestedTagsLabel: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginBottom: 10,
+  },
+  suggestedTags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginBottom: 20,
+  },
+  suggestedTag: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#3498db',
+  },
+  acceptedTag: {
+    backgroundColor: '#27ae60',
+    borderColor: '#27ae60',
+  },
+  suggestedTagText: {
+    fontSize: 14,
+    color: '#3498db',
+    fontWeight: '600',
+  },
+  acceptedTagText: {
+    color: '#fff',
+  },
   errorContainer: {
     padding: 20,
     margin: 16,
@@ -301,6 +556,21 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: '#e74c3c',
   },
+  draftContainer: {
+    padding: 20,
+    margin: 16,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    alignItems: 'center',
+    borderLeftWidth: 4,
+    borderLeftColor: '#e67e22',
+  },
+  draftTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#e67e22',
+    marginBottom: 12,
+  },
   errorIcon: {
     fontSize: 48,
     marginBottom: 16,
@@ -318,6 +588,12 @@ const styles = StyleSheet.create({
     lineHeight: 22,
     marginBottom: 20,
   },
+  checkpointText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
   retryButton: {
     backgroundColor: '#3498db',
     paddingVertical: 12,
@@ -0,0 +1,652 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  Switch,
+} from 'react-native';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { AudioAssetManager, AudioStorageUsage } from '../services/AudioAssetManager';
+import { LANGUAGES } from '../services/languages';
+import { SettingsManager } from '../services/SettingsManager';
+import { TranscriptionHandler } from '../services/TranscriptionHandler';
+import { LLMSummarizer } from '../services/LLMSummarizer';
+import {
+  CleanupSettings,
+  LLMProviderSettings,
+  LLMProviderType,
+  TranscriptionProviderSettings,
+  TranscriptionProviderType,
+} from '../types';
+
+interface SettingsScreenProps {
+  navigation: any;
+}
+
+interface ProviderOption<T extends string> {
+  type: T;
+  label: string;
+  description: string;
+  // Filled in when switching to this provider, so a sensible default is shown
+  defaultBaseUrl?: string;
+  defaultModel?: string;
+}
+
+// Common fields of every network-backed provider configuration
+interface ConnectionSettings {
+  baseUrl: string;
+  apiKey: string;
+  model: string;
+  timeoutMs: number;
+}
+
+const TRANSCRIPTION_PROVIDERS: ProviderOption<TranscriptionProviderType>[] = [
+  {
+    type: 'mock',
+    label: 'Mock',
+    description: 'Offline demo that returns sample transcripts.',
+  },
+  {
+    type: 'whisper',
+    label: 'Whisper Server',
+    description: 'Any OpenAI-compatible /v1/audio/transcriptions endpoint, such as a local faster-whisper server.',
+  },
+];
+
+const LLM_PROVIDERS: ProviderOption<LLMProviderType>[] = [
+  {
+    type: 'mock',
+    label: 'Mock',
+    description: 'Offline, deterministic summaries built from keyword rules.',
+  },
+  {
+    type: 'openai',
+    label: 'OpenAI API',
+    description: 'Any OpenAI-compatible /v1/chat/completions endpoint (OpenAI, LM Studio, vLLM, llama.cpp).',
+    defaultBaseUrl: 'https://api.openai.com',
+    defaultModel: 'gpt-4o-mini',
+  },
+  {
+    type: 'ollama',
+    label: 'Ollama',
+    description: 'A local or LAN Ollama server. The model must already be pulled.',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.2',
+  },
+];
+
+// Switching provider type swaps in that provider's defaults, unless the user
+// had already changed the previous provider's defaults
+function switchProvider<T extends string, S extends ConnectionSettings & { type: T }>(
+  settings: S,
+  options: ProviderOption<T>[],
+  type: T
+): S {
+  const previous = options.find(option => option.type === settings.type);
+  const next = options.find(option => option.type === type);
+  const keepUrl = settings.baseUrl && settings.baseUrl !== previous?.defaultBaseUrl;
+  const keepModel = settings.model && settings.model !== previous?.defaultModel;
+
+  return {
+    ...settings,
+    type,
+    baseUrl: keepUrl || !next?.defaultBaseUrl ? settings.baseUrl : next.defaultBaseUrl,
+    model: keepModel || !next?.defaultModel ? settings.model : next.defaultModel,
+  };
+}
+
+function validateConnection(settings: ConnectionSettings): string | null {
+  if (!/^https?:\/\//.test(settings.baseUrl.trim())) {
+    return 'The server URL must start with http:// or https://';
+  }
+  if (!settings.model.trim()) {
+    return 'Please enter a model name.';
+  }
+  if (settings.timeoutMs < 5000) {
+    return 'The timeout must be at least 5 seconds.';
+  }
+  return null;
+}
+
+function validateStreaming(settings: TranscriptionProviderSettings): string | null {
+  const url = settings.streamingUrl.trim();
+  if (!settings.streamingEnabled || !url) return null;
+  if (!/^wss?:\/\//.test(url)) {
+    return 'The live transcription URL must start with ws:// or wss://';
+  }
+  return null;
+}
+
+function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export const SettingsScreen: React.FC<SettingsScreenProps> = ({ navigation }) => {
+  const [transcription, setTranscription] = useState<TranscriptionProviderSettings | null>(null);
+  const [llm, setLLM] = useState<LLMProviderSettings | null>(null);
+  const [cleanup, setCleanup] = useState<CleanupSettings | null>(null);
+  const [testing, setTesting] = useState<'transcription' | 'llm' | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [audioUsage, setAudioUsage] = useState<AudioStorageUsage | null>(null);
+
+  const settingsManager = SettingsManager.getInstance();
+  const transcriptionHandler = TranscriptionHandler.getInstance();
+  const llmSummarizer = LLMSummarizer.getInstance();
+
+  useEffect(() => {
+    loadSettings();
+    AudioAssetManager.getInstance().getStorageUsage().then(setAudioUsage);
+  }, []);
+
+  const loadSettings = async () => {
+    const settings = await settingsManager.getSettings();
+    setTranscription(settings.transcription);
+    setLLM(settings.llm);
+    setCleanup(settings.cleanup);
+  };
+
+  const updateTranscription = (changes: Partial<TranscriptionProviderSettings>) => {
+    setTranscription(prev => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const updateLLM = (changes: Partial<LLMProviderSettings>) => {
+    setLLM(prev => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const updateCleanup = (changes: Partial<CleanupSettings>) => {
+    setCleanup(prev => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const saveSettings = async (): Promise<boolean> => {
+    if (!transcription || !llm || !cleanup) return false;
+
+    const transcriptionError =
+      (transcription.type !== 'mock' ? validateConnection(transcription) : null) ||
+      validateStreaming(transcription);
+    const llmError = llm.type !== 'mock' ? validateConnection(llm) : null;
+    if (transcriptionError || llmError) {
+      Alert.alert(
+        transcriptionError ? 'Invalid Transcription Settings' : 'Invalid AI Settings',
+        (transcriptionError || llmError) as string
+      );
+      return false;
+    }
+
+    try {
+      setIsSaving(true);
+      await settingsManager.updateSettings('transcription', {
+        ...transcription,
+        baseUrl: transcription.baseUrl.trim(),
+        model: transcription.model.trim(),
+        streamingUrl: transcription.streamingUrl.trim(),
+      });
+      await settingsManager.updateSettings('llm', {
+        ...llm,
+        baseUrl: llm.baseUrl.trim(),
+        model: llm.model.trim(),
+      });
+      await settingsManager.updateSettings('cleanup', cleanup);
+      return true;
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      Alert.alert('Error', 'Failed to save settings. Please try again.');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (await saveSettings()) {
+      Alert.alert('Success', 'Settings saved successfully!');
+    }
+  };
+
+  const handleTestConnection = async (service: 'transcription' | 'llm') => {
+    if (!(await saveSettings())) return;
+
+    setTesting(service);
+    const isAvailable = service === 'transcription'
+      ? await transcriptionHandler.isServiceAvailable()
+      : await llmSummarizer.isServiceAvailable();
+    setTesting(null);
+
+    const serviceName = service === 'transcription' ? 'transcription' : 'AI';
+    Alert.alert(
+      isAvailable ? 'Connection Successful' : 'Connection Failed',
+      isAvailable
+        ? `The ${serviceName} service is reachable.`
+        : `Could not reach the ${serviceName} service. Check the server URL, model and API key.`
+    );
+  };
+
+  const renderProviderPicker = <T extends string>(
+    options: ProviderOption<T>[],
+    selected: T,
+    onSelect: (type: T) => void
+  ) => (
+    <>
+      <View style={styles.optionRow}>
+        {options.map(option => (
+          <TouchableOpacity
+            key={option.type}
+            style={[styles.option, selected === option.type && styles.optionSelected]}
+            onPress={() => onSelect(option.type)}
+          >
+            <Text style={[styles.optionText, selected === option.type && styles.optionTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.helpText}>
+        {options.find(option => option.type === selected)?.description}
+      </Text>
+    </>
+  );
+
+  // `emptyLabel` names what an empty code means, e.g. "Auto-detect"
+  const renderLanguagePicker = (selected: string, onSelect: (code: string) => void, emptyLabel: string) => (
+    <View style={styles.languageRow}>
+      {[{ code: '', name: emptyLabel }, ...LANGUAGES].map(language => (
+        <TouchableOpacity
+          key={language.code || 'none'}
+          style={[styles.languageOption, selected === language.code && styles.optionSelected]}
+          onPress={() => onSelect(language.code)}
+        >
+          <Text style={[styles.languageText, selected === language.code && styles.optionTextSelected]}>
+            {language.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderConnectionFields = (
+    settings: ConnectionSettings,
+    onChange: (changes: Partial<ConnectionSettings>) => void,
+    placeholders: { baseUrl: string; model: string }
+  ) => (
+    <>
+      <Text style={styles.label}>Server URL</Text>
+      <TextInput
+        style={styles.input}
+        value={settings.baseUrl}
+        onChangeText={baseUrl => onChange({ baseUrl })}
+        placeholder={placeholders.baseUrl}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+      />
+
+      <Text style={styles.label}>Model</Text>
+      <TextInput
+        style={styles.input}
+        value={settings.model}
+        onChangeText={model => onChange({ model })}
+        placeholder={placeholders.model}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.label}>API Key (Optional)</Text>
+      <TextInput
+        style={styles.input}
+        value={settings.apiKey}
+        onChangeText={apiKey => onChange({ apiKey })}
+        placeholder="Leave empty for local servers"
+        autoCapitalize="none"
+        autoCorrect={false}
+        secureTextEntry
+      />
+
+      <Text style={styles.label}>Timeout (seconds)</Text>
+      <TextInput
+        style={styles.input}
+        value={String(Math.round(settings.timeoutMs / 1000))}
+        onChangeText={value => {
+          const seconds = parseInt(value, 10);
+          onChange({ timeoutMs: (isNaN(seconds) ? 0 : seconds) * 1000 });
+        }}
+        keyboardType="number-pad"
+      />
+    </>
+  );
+
+  const renderTestButton = (service: 'transcription' | 'llm') => (
+    <TouchableOpacity
+      style={[styles.button, styles.testButton]}
+      onPress={() => handleTestConnection(service)}
+      disabled={testing !== null || isSaving}
+    >
+      <Text style={styles.buttonText}>
+        {testing === service ? 'Testing...' : 'Test Connection'}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  if (!transcription || !llm || !cleanup) {
+    return <LoadingSpinner message="Loading settings..." />;
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Settings</Text>
+        <Text style={styles.subtitle}>Configure transcription and AI services</Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Transcription Provider</Text>
+        {renderProviderPicker(TRANSCRIPTION_PROVIDERS, transcription.type, type =>
+          setTranscription(switchProvider(transcription, TRANSCRIPTION_PROVIDERS, type))
+        )}
+        {transcription.type === 'whisper' &&
+          renderConnectionFields(transcription, updateTranscription, {
+            baseUrl: 'http://192.168.1.10:8000',
+            model: 'whisper-1',
+          })}
+
+        <Text style={styles.label}>Spoken Language</Text>
+        {renderLanguagePicker(transcription.language, language => updateTranscription({ language }), 'Auto-detect')}
+        <Text style={styles.helpText}>
+          Auto-detect works for most recordings. Choose a language if short notes come out in the wrong one.
+        </Text>
+
+        <TouchableOpacity style={styles.linkRow} onPress={() => navigation.navigate('Vocabulary')}>
+          <Text style={styles.linkText}>Custom vocabulary & replacement rules</Text>
+          <Text style={styles.linkText}>›</Text>
+        </TouchableOpacity>
+
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Live transcription while recording</Text>
+          <Switch
+            value={transcription.streamingEnabled}
+            onValueChange={streamingEnabled => updateTranscription({ streamingEnabled })}
+          />
+        </View>
+        {transcription.streamingEnabled && (
+          <>
+            <Text style={styles.label}>Live Transcription Server (Optional)</Text>
+            <TextInput
+              style={styles.input}
+              value={transcription.streamingUrl}
+              onChangeText={streamingUrl => updateTranscription({ streamingUrl })}
+              placeholder="ws://192.168.1.10:8765"
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <Text style={styles.helpText}>
+              {transcription.type === 'mock'
+                ? 'Leave empty to use the offline demo.'
+                : 'A WebSocket streaming server is required with this provider.'}
+              {' '}The full recording is still transcribed when you stop, and that result replaces the live one.
+            </Text>
+          </>
+        )}
+        {renderTestButton('transcription')}
+      </View>
+
+      <View style={[styles.section, styles.llmSection]}>
+        <Text style={styles.sectionTitle}>AI Summaries</Text>
+        {renderProviderPicker(LLM_PROVIDERS, llm.type, type =>
+          setLLM(switchProvider(llm, LLM_PROVIDERS, type))
+        )}
+        {llm.type !== 'mock' && (
+          <>
+            {renderConnectionFields(llm, updateLLM, {
+              baseUrl: llm.type === 'ollama' ? 'http://192.168.1.10:11434' : 'https://api.openai.com',
+              model: llm.type === 'ollama' ? 'llama3.2' : 'gpt-4o-mini',
+            })}
+            <Text style={styles.label}>Temperature</Text>
+            <TextInput
+              style={styles.input}
+              value={String(llm.temperature)}
+              onChangeText={value => {
+                const temperature = parseFloat(value);
+                updateLLM({ temperature: isNaN(temperature) ? 0 : Math.min(2, Math.max(0, temperature)) });
+              }}
+              keyboardType="decimal-pad"
+            />
+          </>
+        )}
+
+        <Text style={styles.label}>Summary Language</Text>
+        {renderLanguagePicker(llm.outputLanguage, outputLanguage => updateLLM({ outputLanguage }), 'Same as note')}
+        {renderTestButton('llm')}
+      </View>
+
+      <View style={[styles.section, styles.cleanupSection]}>
+        <Text style={styles.sectionTitle}>Transcript Cleanup</Text>
+        <Text style={styles.helpText}>
+          Applied to new recordings before they are saved. The original transcript is always kept.
+        </Text>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Remove filler words (um, uh, you know)</Text>
+          <Switch value={cleanup.removeFillers} onValueChange={removeFillers => updateCleanup({ removeFillers })} />
+        </View>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Fix punctuation and capitalization</Text>
+          <Switch value={cleanup.fixPunctuation} onValueChange={fixPunctuation => updateCleanup({ fixPunctuation })} />
+        </View>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Start paragraphs at long pauses</Text>
+          <Switch value={cleanup.paragraphs} onValueChange={paragraphs => updateCleanup({ paragraphs })} />
+        </View>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Polish with AI</Text>
+          <Switch value={cleanup.polishWithAI} onValueChange={polishWithAI => updateCleanup({ polishWithAI })} />
+        </View>
+        <Text style={styles.helpText}>
+          Polishing sends the transcript to the AI provider above for a light rewrite. It is slower, and the
+          local cleanup is kept if the provider can't be reached.
+        </Text>
+      </View>
+
+      <View style={[styles.section, styles.storageSection]}>
+        <Text style={styles.sectionTitle}>Storage</Text>
+        <Text style={styles.helpText}>
+          {audioUsage
+            ? `Audio recordings use ${formatBytes(audioUsage.totalBytes)} across ${audioUsage.fileCount} ${audioUsage.fileCount === 1 ? 'file' : 'files'}.`
+            : 'Calculating audio storage...'}
+        </Text>
+        <Text style={styles.helpText}>Deleting a note also deletes its recording.</Text>
+      </View>
+
+      <View style={styles.buttonContainer}>
+        <TouchableOpacity
+          style={[styles.button, styles.saveButton]}
+          onPress={handleSave}
+          disabled={isSaving}
+        >
+          <Text style={styles.buttonText}>Save Settings</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.backButton]}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  contentContainer: {
+    paddingBottom: 20,
+  },
+  header: {
+    padding: 20,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+  section: {
+    margin: 16,
+    padding: 20,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#3498db',
+  },
+  llmSection: {
+    borderLeftColor: '#27ae60',
+  },
+  cleanupSection: {
+    borderLeftColor: '#34495e',
+  },
+  storageSection: {
+    borderLeftColor: '#95a5a6',
+  },
+  linkRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#ecf0f1',
+  },
+  linkText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#3498db',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#34495e',
+    marginRight: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 16,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 8,
+  },
+  option: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#bdc3c7',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  optionSelected: {
+    backgroundColor: '#3498db',
+    borderColor: '#3498db',
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  optionTextSelected: {
+    color: '#fff',
+  },
+  languageRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  languageOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#bdc3c7',
+    backgroundColor: '#f8f9fa',
+  },
+  languageText: {
+    fontSize: 13,
+    color: '#2c3e50',
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    lineHeight: 18,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#34495e',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#bdc3c7',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f8f9fa',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    gap: 12,
+    padding: 16,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 16,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  testButton: {
+    flex: 0,
+    backgroundColor: '#3498db',
+    marginTop: 20,
+  },
+  saveButton: {
+    backgroundColor: '#27ae60',
+  },
+  backButton: {
+    backgroundColor: '#95a5a6',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { TaskItem } from '../components/TaskItem';
+import { StorageManager } from '../services/StorageManager';
+import { NoteTask, SummaryTask, TaskStatusFilter } from '../types';
+
+interface TasksScreenProps {
+  navigation: any;
+}
+
+const STATUS_FILTERS: Array<{ status: TaskStatusFilter; label: string }> = [
+  { status: 'open', label: 'Open' },
+  { status: 'overdue', label: 'Overdue' },
+  { status: 'completed', label: 'Done' },
+  { status: 'all', label: 'All' },
+];
+
+export const TasksScreen: React.FC<TasksScreenProps> = ({ navigation }) => {
+  const [tasks, setTasks] = useState<NoteTask[]>([]);
+  const [tags, setTags] = useState<string[]>([]);
+  const [status, setStatus] = useState<TaskStatusFilter>('open');
+  const [tag, setTag] = useState<string | undefined>(undefined);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const storageManager = StorageManager.getInstance();
+
+  useEffect(() => {
+    loadTasks();
+  }, [status, tag]);
+
+  // Tasks may have been checked off or notes edited in the editor meanwhile
+  useEffect(() => navigation.addListener('focus', () => loadTasks()), [navigation, status, tag]);
+
+  const loadTasks = async () => {
+    try {
+      const [loadedTasks, loadedTags] = await Promise.all([
+        storageManager.getTasks({ status, tag }),
+        storageManager.getAllTags(),
+      ]);
+      setTasks(loadedTasks);
+      setTags(loadedTags);
+    } catch (error) {
+      console.error('Error loading tasks:', error);
+      Alert.alert('Error', 'Failed to load tasks');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggleTask = async (task: SummaryTask) => {
+    try {
+      await storageManager.setTaskCompleted(task.id, !task.completed);
+      await loadTasks();
+    } catch (error) {
+      console.error('Error updating task:', error);
+      Alert.alert('Error', 'Failed to update the task. Please try again.');
+    }
+  };
+
+  const renderChip = (label: string, isActive: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, isActive && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderTask = ({ item }: { item: NoteTask }) => (
+    <View style={styles.taskCard}>
+      <TaskItem
+        task={item.task}
+        noteTitle={item.noteTitle || 'Untitled Note'}
+        onToggle={handleToggleTask}
+        onPressNote={() => navigation.navigate('NoteEditor', { noteId: item.noteId })}
+      />
+    </View>
+  );
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>✅</Text>
+      <Text style={styles.emptyText}>
+        {status === 'open' && !tag
+          ? 'No open tasks. Tasks mentioned in your notes show up here.'
+          : 'No tasks match these filters.'}
+      </Text>
+    </View>
+  );
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading tasks..." />;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Tasks</Text>
+        <Text style={styles.subtitle}>From all of your notes</Text>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.filters}>
+        <View style={styles.chipRow}>
+          {STATUS_FILTERS.map(filter =>
+            renderChip(filter.label, status === filter.status, () => setStatus(filter.status))
+          )}
+        </View>
+        {tags.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {renderChip('All tags', !tag, () => setTag(undefined))}
+            {tags.map(name => renderChip(`#${name}`, tag === name, () => setTag(tag === name ? undefined : name)))}
+          </ScrollView>
+        )}
+      </View>
+
+      <FlatList
+        data={tasks}
+        renderItem={renderTask}
+        keyExtractor={item => item.task.id}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={renderEmptyState}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    padding: 20,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#7f8c8d',
+  },
+  backButton: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    backgroundColor: '#95a5a6',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  backButtonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  filters: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    gap: 8,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: '#3498db',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#2c3e50',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  listContainer: {
+    padding: 16,
+    paddingBottom: 20,
+  },
+  taskCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingTop: 12,
+    paddingHorizontal: 12,
+    paddingBottom: 2,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#e67e22',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#7f8c8d',
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+});
@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  Switch,
+} from 'react-native';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { SettingsManager } from '../services/SettingsManager';
+import { applyReplacementRulesToText, validateRule } from '../services/vocabulary';
+import { ReplacementRule, VocabularySettings } from '../types';
+
+interface VocabularyScreenProps {
+  navigation: any;
+}
+
+export const VocabularyScreen: React.FC<VocabularyScreenProps> = ({ navigation }) => {
+  const [vocabulary, setVocabulary] = useState<VocabularySettings | null>(null);
+  const [newTerm, setNewTerm] = useState('');
+  const [find, setFind] = useState('');
+  const [replace, setReplace] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [sampleText, setSampleText] = useState('');
+
+  const settingsManager = SettingsManager.getInstance();
+
+  useEffect(() => {
+    settingsManager.getSettings().then(settings => setVocabulary(settings.vocabulary));
+  }, []);
+
+  // Every change is saved straight away; there is no separate save step
+  const saveVocabulary = async (updated: VocabularySettings) => {
+    const previous = vocabulary;
+    setVocabulary(updated);
+    try {
+      await settingsManager.updateSettings('vocabulary', updated);
+    } catch (error) {
+      console.error('Error saving vocabulary:', error);
+      setVocabulary(previous);
+      Alert.alert('Error', 'Failed to save your vocabulary. Please try again.');
+    }
+  };
+
+  const handleAddTerm = () => {
+    if (!vocabulary) return;
+
+    const terms = newTerm.split(',').map(term => term.trim()).filter(term => term.length > 0);
+    const added = terms.filter(term => !vocabulary.terms.some(existing => existing.toLowerCase() === term.toLowerCase()));
+    setNewTerm('');
+    if (added.length > 0) {
+      saveVocabulary({ ...vocabulary, terms: [...vocabulary.terms, ...added] });
+    }
+  };
+
+  const handleRemoveTerm = (term: string) => {
+    if (!vocabulary) return;
+    saveVocabulary({ ...vocabulary, terms: vocabulary.terms.filter(existing => existing !== term) });
+  };
+
+  const handleAddRule = () => {
+    if (!vocabulary) return;
+
+    const error = validateRule(find, isRegex);
+    if (error) {
+      Alert.alert('Invalid Rule', error);
+      return;
+    }
+
+    const rule: ReplacementRule = {
+      id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      find: isRegex ? find : find.trim(),
+      replace,
+      isRegex,
+      caseSensitive,
+      enabled: true,
+    };
+    saveVocabulary({ ...vocabulary, rules: [...vocabulary.rules, rule] });
+    setFind('');
+    setReplace('');
+  };
+
+  const updateRule = (id: string, changes: Partial<ReplacementRule>) => {
+    if (!vocabulary) return;
+    saveVocabulary({
+      ...vocabulary,
+      rules: vocabulary.rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)),
+    });
+  };
+
+  const handleDeleteRule = (rule: ReplacementRule) => {
+    if (!vocabulary) return;
+
+    Alert.alert('Delete Rule', `Stop replacing "${rule.find}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => saveVocabulary({ ...vocabulary, rules: vocabulary.rules.filter(r => r.id !== rule.id) }),
+      },
+    ]);
+  };
+
+  if (!vocabulary) {
+    return <LoadingSpinner message="Loading vocabulary..." />;
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Custom Vocabulary</Text>
+        <Text style={styles.subtitle}>Teach transcription your names and jargon</Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Words & Names</Text>
+        <Text style={styles.helpText}>
+          Sent to the transcription server as a hint so these are spelled the way you write them.
+          Supported by Whisper servers; other providers ignore it.
+        </Text>
+        <View style={styles.addRow}>
+          <TextInput
+            style={[styles.input, styles.addInput]}
+            value={newTerm}
+            onChangeText={setNewTerm}
+            placeholder="e.g. Kubernetes, Sarah Chen"
+            autoCorrect={false}
+            onSubmitEditing={handleAddTerm}
+          />
+          <TouchableOpacity
+            style={[styles.addButton, !newTerm.trim() && styles.addButtonDisabled]}
+            onPress={handleAddTerm}
+            disabled={!newTerm.trim()}
+          >
+            <Text style={styles.buttonText}>Add</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.termList}>
+          {vocabulary.terms.map(term => (
+            <TouchableOpacity key={term} style={styles.termChip} onPress={() => handleRemoveTerm(term)}>
+              <Text style={styles.termText}>{term} ✕</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {vocabulary.terms.length === 0 && <Text style={styles.emptyText}>No words yet.</Text>}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Replacement Rules</Text>
+        <Text style={styles.helpText}>
+          Applied in order to every new transcript. Plain rules match whole words; regular expressions can
+          use $1 for groups, e.g. "react[ -]?native" → "React Native".
+        </Text>
+
+        <TextInput
+          style={styles.input}
+          value={find}
+          onChangeText={setFind}
+          placeholder={isRegex ? 'Pattern, e.g. react[ -]?native' : 'Find, e.g. jason'}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <TextInput
+          style={[styles.input, styles.replaceInput]}
+          value={replace}
+          onChangeText={setReplace}
+          placeholder="Replace with (empty removes it)"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Regular expression</Text>
+          <Switch value={isRegex} onValueChange={setIsRegex} />
+        </View>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Match case</Text>
+          <Switch value={caseSensitive} onValueChange={setCaseSensitive} />
+        </View>
+        <TouchableOpacity
+          style={[styles.button, styles.saveButton, !find.trim() && styles.addButtonDisabled]}
+          onPress={handleAddRule}
+          disabled={!find.trim()}
+        >
+          <Text style={styles.buttonText}>Add Rule</Text>
+        </TouchableOpacity>
+
+        {vocabulary.rules.map(rule => (
+          <View key={rule.id} style={[styles.ruleCard, !rule.enabled && styles.ruleDisabled]}>
+            <View style={styles.ruleText}>
+              <Text style={styles.ruleFind}>{rule.find}</Text>
+              <Text style={styles.ruleReplace}>→ {rule.replace || '(remove)'}</Text>
+              <Text style={styles.ruleMeta}>
+                {[rule.isRegex ? 'regex' : 'whole words', rule.caseSensitive ? 'match case' : 'any case'].join(' · ')}
+              </Text>
+            </View>
+            <Switch value={rule.enabled} onValueChange={enabled => updateRule(rule.id, { enabled })} />
+            <TouchableOpacity style={styles.deleteButton} onPress={() => handleDeleteRule(rule)}>
+              <Text style={styles.deleteText}>🗑️</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+        {vocabulary.rules.length === 0 && <Text style={styles.emptyText}>No rules yet.</Text>}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Try It</Text>
+        <TextInput
+          style={styles.input}
+          value={sampleText}
+          onChangeText={setSampleText}
+          placeholder="Type a sentence to test your rules"
+          autoCorrect={false}
+        />
+        {sampleText.trim().length > 0 && (
+          <Text style={styles.previewText}>{applyReplacementRulesToText(sampleText, vocabulary.rules)}</Text>
+        )}
+      </View>
+
+      <View style={styles.buttonContainer}>
+        <TouchableOpacity style={[styles.button, styles.backButton]} onPress={() => navigation.goBack()}>
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  contentContainer: {
+    paddingBottom: 20,
+  },
+  header: {
+    padding: 20,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+  section: {
+    margin: 16,
+    padding: 20,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#3498db',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#95a5a6',
+    fontStyle: 'italic',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#bdc3c7',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f8f9fa',
+  },
+  addRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  addInput: {
+    flex: 1,
+  },
+  addButton: {
+    backgroundColor: '#3498db',
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    justifyContent: 'center',
+  },
+  addButtonDisabled: {
+    opacity: 0.5,
+  },
+  termList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  termChip: {
+    backgroundColor: '#ecf0f1',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+  },
+  termText: {
+    fontSize: 14,
+    color: '#2c3e50',
+  },
+  replaceInput: {
+    marginTop: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#34495e',
+    marginRight: 12,
+  },
+  ruleCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 12,
+    marginTop: 12,
+    borderRadius: 8,
+    backgroundColor: '#f8f9fa',
+    borderLeftWidth: 4,
+    borderLeftColor: '#3498db',
+  },
+  ruleDisabled: {
+    opacity: 0.5,
+  },
+  ruleText: {
+    flex: 1,
+  },
+  ruleFind: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  ruleReplace: {
+    fontSize: 15,
+    color: '#27ae60',
+  },
+  ruleMeta: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  deleteButton: {
+    padding: 4,
+  },
+  deleteText: {
+    fontSize: 18,
+  },
+  previewText: {
+    marginTop: 12,
+    fontSize: 15,
+    lineHeight: 22,
+    color: '#2c3e50',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    padding: 16,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 16,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  saveButton: {
+    backgroundColor: '#27ae60',
+    marginTop: 16,
+  },
+  backButton: {
+    backgroundColor: '#95a5a6',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -1,3 +1,7 @@
 export { HomeScreen } from './HomeScreen';
 export { RecordScreen } from './RecordScreen';
-export { NoteEditorScreen } from './NoteEditorScreen';
\ No newline at end of file
+export { NoteEditorScreen } from './NoteEditorScreen';
+export { SettingsScreen } from './SettingsScreen';
+export { VocabularyScreen } from './VocabularyScreen';
+export { TasksScreen } from './TasksScreen';
+export { MoodScreen } from './MoodScreen';
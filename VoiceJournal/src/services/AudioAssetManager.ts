@@ -0,0 +1,144 @@
+import * as FileSystem from 'expo-file-system';
+
+export interface AudioAsset {
+  uri: string;
+  size?: number;
+  // MD5 of the file contents, as reported by expo-file-system
+  checksum?: string;
+}
+
+export interface AudioStorageUsage {
+  totalBytes: number;
+  fileCount: number;
+}
+
+const AUDIO_DIRECTORY_NAME = 'audio/';
+const DEFAULT_EXTENSION = 'm4a';
+
+function getExtension(uri: string): string {
+  const path = uri.split('?')[0];
+  const name = path.substring(path.lastIndexOf('/') + 1);
+  const dot = name.lastIndexOf('.');
+  const extension = dot > 0 ? name.substring(dot + 1).toLowerCase() : '';
+  return /^[a-z0-9]{1,5}$/.test(extension) ? extension : DEFAULT_EXTENSION;
+}
+
+// Owns the audio files behind notes. Recordings and imports start out in
+// cache or picker locations the OS may purge, so they are copied into a
+// directory under documentDirectory before any processing happens.
+export class AudioAssetManager {
+  private static instance: AudioAssetManager;
+  private directoryPromise: Promise<string | null> | null = null;
+
+  static getInstance(): AudioAssetManager {
+    if (!AudioAssetManager.instance) {
+      AudioAssetManager.instance = new AudioAssetManager();
+    }
+    return AudioAssetManager.instance;
+  }
+
+  // Copies an audio file into managed storage. Files that are already managed
+  // are returned as they are. On web there is no document directory, so the
+  // original URI is kept.
+  async importAudio(sourceUri: string): Promise<AudioAsset> {
+    try {
+      const directory = await this.getDirectory();
+      if (!directory) return { uri: sourceUri };
+
+      let uri = sourceUri;
+      if (!this.isManaged(sourceUri)) {
+        const fileName = `audio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${getExtension(sourceUri)}`;
+        uri = directory + fileName;
+        await FileSystem.copyAsync({ from: sourceUri, to: uri });
+      }
+
+      const info = await FileSystem.getInfoAsync(uri, { md5: true });
+      if (!info.exists) {
+        throw new Error(`Audio file missing after copy: ${uri}`);
+      }
+      return { uri, size: info.size, checksum: info.md5 };
+    } catch (error) {
+      console.error('Error importing audio:', error);
+      throw new Error('Failed to store audio file');
+    }
+  }
+
+  // Removes a managed audio file. URIs outside the managed directory belong to
+  // someone else and are left alone.
+  async deleteAudio(uri: string): Promise<void> {
+    if (!this.isManaged(uri)) return;
+
+    try {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      console.error('Error deleting audio:', error);
+      throw new Error('Failed to delete audio file');
+    }
+  }
+
+  // Removes every managed audio file along with the directory, which is made
+  // again on the next import
+  async deleteAllAudio(): Promise<void> {
+    const directory = this.getDirectoryUri();
+    if (!directory) return;
+
+    try {
+      this.directoryPromise = null;
+      await FileSystem.deleteAsync(directory, { idempotent: true });
+    } catch (error) {
+      console.error('Error deleting audio files:', error);
+      throw new Error('Failed to delete audio files');
+    }
+  }
+
+  async getStorageUsage(): Promise<AudioStorageUsage> {
+    const usage: AudioStorageUsage = { totalBytes: 0, fileCount: 0 };
+
+    try {
+      const directory = await this.getDirectory();
+      if (!directory) return usage;
+
+      const fileNames = await FileSystem.readDirectoryAsync(directory);
+      for (const fileName of fileNames) {
+        const info = await FileSystem.getInfoAsync(directory + fileName);
+        if (info.exists && !info.isDirectory) {
+          usage.totalBytes += info.size;
+          usage.fileCount += 1;
+        }
+      }
+    } catch (error) {
+      console.error('Error reading audio storage usage:', error);
+    }
+    return usage;
+  }
+
+  isManaged(uri: string): boolean {
+    const directory = this.getDirectoryUri();
+    return directory !== null && uri.startsWith(directory);
+  }
+
+  private getDirectoryUri(): string | null {
+    return FileSystem.documentDirectory ? FileSystem.documentDirectory + AUDIO_DIRECTORY_NAME : null;
+  }
+
+  private getDirectory(): Promise<string | null> {
+    if (!this.directoryPromise) {
+      this.directoryPromise = this.createDirectory().catch(error => {
+        this.directoryPromise = null;
+        throw error;
+      });
+    }
+    return this.directoryPromise;
+  }
+
+  private async createDirectory(): Promise<string | null> {
+    const directory = this.getDirectoryUri();
+    if (!directory) return null;
+
+    const info = await FileSystem.getInfoAsync(directory);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    }
+    return directory;
+  }
+}
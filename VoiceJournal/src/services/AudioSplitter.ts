@@ -0,0 +1,377 @@
+import * as FileSystem from 'expo-file-system';
+
+export interface WavInfo {
+  // IEEE float samples rather than integers
+  isFloat: boolean;
+  sampleRate: number;
+  channels: number;
+  bitsPerSample: number;
+  byteRate: number;
+  blockAlign: number;
+  dataOffset: number;
+  dataSize: number;
+  durationMs: number;
+}
+
+// A window of the recording written to its own file
+export interface AudioChunk {
+  index: number;
+  uri: string;
+  startMs: number;
+  endMs: number;
+}
+
+export interface ChunkWindow {
+  startMs: number;
+  endMs: number;
+}
+
+export interface AudioHeader {
+  bytes: Uint8Array;
+  fileSize: number;
+}
+
+const CHUNK_DIRECTORY_NAME = 'chunks/';
+// Enough for the header on iOS, which pads the data chunk out to 4 KB
+const HEADER_READ_BYTES = 8192;
+const WAV_HEADER_BYTES = 44;
+// Frames decoded at a time when converting, about a second of audio
+const CONVERT_BLOCK_FRAMES = 48000;
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function base64ToBytes(base64: string): Uint8Array {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let byteIndex = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const n =
+      (BASE64_ALPHABET.indexOf(clean[i]) << 18) |
+      (BASE64_ALPHABET.indexOf(clean[i + 1]) << 12) |
+      ((i + 2 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 2]) : 0) << 6) |
+      (i + 3 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 3]) : 0);
+    bytes[byteIndex++] = (n >> 16) & 0xff;
+    if (i + 2 < clean.length) bytes[byteIndex++] = (n >> 8) & 0xff;
+    if (i + 3 < clean.length) bytes[byteIndex++] = n & 0xff;
+  }
+  return bytes.subarray(0, byteIndex);
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let base64 = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    base64 += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63];
+    base64 += i + 1 < bytes.length ? BASE64_ALPHABET[(n >> 6) & 63] : '=';
+    base64 += i + 2 < bytes.length ? BASE64_ALPHABET[n & 63] : '=';
+  }
+  return base64;
+}
+
+function readTag(view: DataView, offset: number): string {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+// Reads the format of a PCM WAV file from its first bytes. Returns null for
+// anything else, including compressed audio in a WAV container. Integer and
+// float PCM are both accepted.
+export function parseWavHeader(header: Uint8Array, fileSize: number): WavInfo | null {
+  const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  if (header.length < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    return null;
+  }
+
+  let format: Omit<WavInfo, 'dataOffset' | 'dataSize' | 'durationMs'> | null = null;
+  let offset = 12;
+  while (offset + 8 <= header.length) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && body + 16 <= header.length) {
+      let audioFormat = view.getUint16(body, true);
+      // WAVE_FORMAT_EXTENSIBLE, which iOS uses, keeps the real format in the
+      // first two bytes of its sub-format GUID
+      if (audioFormat === 0xfffe && body + 26 <= header.length) {
+        audioFormat = view.getUint16(body + 24, true);
+      }
+      // 1 = integer PCM, 3 = float PCM
+      if (audioFormat !== 1 && audioFormat !== 3) return null;
+      format = {
+        isFloat: audioFormat === 3,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        byteRate: view.getUint32(body + 8, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      if (!format || format.byteRate === 0) return null;
+      // Recorders that were interrupted leave the size unset
+      const available = fileSize - body;
+      const dataSize = size === 0 || size === 0xffffffff || size > available ? available : size;
+      return {
+        ...format,
+        dataOffset: body,
+        dataSize,
+        durationMs: Math.floor((dataSize / format.byteRate) * 1000),
+      };
+    }
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+type WavFormat = Pick<WavInfo, 'isFloat' | 'sampleRate' | 'channels' | 'bitsPerSample' | 'byteRate' | 'blockAlign'>;
+
+function buildWavHeader(info: WavFormat, dataSize: number): Uint8Array {
+  const header = new Uint8Array(WAV_HEADER_BYTES);
+  const view = new DataView(header.buffer);
+  const writeTag = (offset: number, tag: string) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, info.isFloat ? 3 : 1, true);
+  view.setUint16(22, info.channels, true);
+  view.setUint32(24, info.sampleRate, true);
+  view.setUint32(28, info.byteRate, true);
+  view.setUint16(32, info.blockAlign, true);
+  view.setUint16(34, info.bitsPerSample, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize, true);
+  return header;
+}
+
+// Reads one sample as a value between -1 and 1
+function sampleReader(wav: WavInfo): (view: DataView, offset: number) => number {
+  switch (wav.isFloat ? `f${wav.bitsPerSample}` : `i${wav.bitsPerSample}`) {
+    case 'i8':
+      return (view, offset) => (view.getUint8(offset) - 128) / 128;
+    case 'i16':
+      return (view, offset) => view.getInt16(offset, true) / 32768;
+    case 'i24':
+      return (view, offset) =>
+        (((view.getUint8(offset + 2) << 24) | (view.getUint8(offset + 1) << 16) | (view.getUint8(offset) << 8)) >> 8) /
+        8388608;
+    case 'i32':
+      return (view, offset) => view.getInt32(offset, true) / 2147483648;
+    case 'f32':
+      return (view, offset) => view.getFloat32(offset, true);
+    case 'f64':
+      return (view, offset) => view.getFloat64(offset, true);
+    default:
+      throw new Error(`Unsupported WAV sample size: ${wav.bitsPerSample} bits`);
+  }
+}
+
+// Turns a stream of mono samples at one rate into `outputCount` samples at
+// another. Downsampling averages the input samples that fall into each output
+// sample, which also filters out most of what the lower rate can't hold;
+// upsampling repeats samples.
+function createResampler(
+  inputRate: number,
+  outputRate: number,
+  outputCount: number,
+  emit: (index: number, value: number) => void
+) {
+  let inputIndex = 0;
+  let outputIndex = 0;
+  let sum = 0;
+  let count = 0;
+  let last = 0;
+
+  const emitNext = () => {
+    if (count > 0) last = sum / count;
+    if (outputIndex < outputCount) emit(outputIndex, last);
+    outputIndex++;
+    sum = 0;
+    count = 0;
+  };
+
+  return {
+    push(value: number) {
+      const target = Math.floor((inputIndex++ * outputRate) / inputRate);
+      while (outputIndex < target) emitNext();
+      sum += value;
+      count++;
+    },
+    flush() {
+      while (outputIndex < outputCount) emitNext();
+    },
+  };
+}
+
+// Cuts recordings into shorter files for providers that can't take them
+// whole, converting them on the way when a provider wants a different sample
+// rate. Only PCM WAV can be cut or converted without a decoder, so other
+// formats are sent in one piece as they are.
+export class AudioSplitter {
+  private static instance: AudioSplitter;
+
+  static getInstance(): AudioSplitter {
+    if (!AudioSplitter.instance) {
+      AudioSplitter.instance = new AudioSplitter();
+    }
+    return AudioSplitter.instance;
+  }
+
+  // The first bytes of a file, enough to tell its format, or null when the
+  // file can't be read this way (e.g. blob URIs on web)
+  async readHeader(uri: string): Promise<AudioHeader | null> {
+    if (!FileSystem.cacheDirectory) return null;
+
+    try {
+      const info = await FileSystem.getInfoAsync(uri);
+      if (!info.exists || info.isDirectory) return null;
+
+      const header = await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64,
+        position: 0,
+        length: Math.min(HEADER_READ_BYTES, info.size),
+      });
+      return { bytes: base64ToBytes(header), fileSize: info.size };
+    } catch (error) {
+      console.warn('Could not read audio header:', error);
+      return null;
+    }
+  }
+
+  // Writes one window of the recording to its own WAV file in the cache.
+  // Chunks are extracted as they are needed so an hour-long recording is
+  // never duplicated in full. With `sampleRate` the chunk is converted to
+  // 16-bit mono at that rate; otherwise the audio is copied as it is.
+  async extractChunk(
+    uri: string,
+    wav: WavInfo,
+    window: ChunkWindow,
+    index: number,
+    sampleRate?: number
+  ): Promise<AudioChunk> {
+    const chunkUri = `${await this.getDirectory()}chunk_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 9)}.wav`;
+
+    try {
+      if (sampleRate) {
+        await this.writeConvertedWindow(uri, wav, window, chunkUri, sampleRate);
+      } else {
+        await this.writeWindow(uri, wav, window, chunkUri);
+      }
+      return { index, uri: chunkUri, ...window };
+    } catch (error) {
+      console.error('Error extracting audio chunk:', error);
+      await FileSystem.deleteAsync(chunkUri, { idempotent: true }).catch(() => undefined);
+      throw new Error('Failed to split audio into chunks');
+    }
+  }
+
+  async deleteChunks(chunks: AudioChunk[]): Promise<void> {
+    await Promise.all(
+      chunks.map(chunk => FileSystem.deleteAsync(chunk.uri, { idempotent: true }).catch(() => undefined))
+    );
+  }
+
+  private async writeWindow(uri: string, wav: WavInfo, window: ChunkWindow, chunkUri: string): Promise<void> {
+    const toBytes = (ms: number) => Math.floor((ms * wav.byteRate) / 1000 / wav.blockAlign) * wav.blockAlign;
+    const start = Math.min(toBytes(window.startMs), wav.dataSize);
+    const length = Math.min(toBytes(window.endMs), wav.dataSize) - start;
+    if (length <= 0) {
+      throw new Error(`Empty audio window ${window.startMs}-${window.endMs}ms`);
+    }
+
+    // Base64 strings can be joined as long as every part but the last is a
+    // multiple of 3 bytes. The 44-byte header plus the first data byte is 45,
+    // so the rest of the audio is copied without ever being decoded.
+    const firstByte = base64ToBytes(await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: wav.dataOffset + start,
+      length: 1,
+    }));
+    const head = new Uint8Array(WAV_HEADER_BYTES + 1);
+    head.set(buildWavHeader(wav, length));
+    head.set(firstByte, WAV_HEADER_BYTES);
+
+    const rest = length > 1
+      ? await FileSystem.readAsStringAsync(uri, {
+          encoding: FileSystem.EncodingType.Base64,
+          position: wav.dataOffset + start + 1,
+          length: length - 1,
+        })
+      : '';
+
+    await FileSystem.writeAsStringAsync(chunkUri, bytesToBase64(head) + rest, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  }
+
+  // Decodes the window a block at a time, mixes it down to mono and
+  // resamples it. Only the converted audio is held in memory.
+  private async writeConvertedWindow(
+    uri: string,
+    wav: WavInfo,
+    window: ChunkWindow,
+    chunkUri: string,
+    sampleRate: number
+  ): Promise<void> {
+    const totalFrames = Math.floor(wav.dataSize / wav.blockAlign);
+    const startFrame = Math.min(Math.floor((window.startMs * wav.sampleRate) / 1000), totalFrames);
+    const endFrame = Math.min(Math.floor((window.endMs * wav.sampleRate) / 1000), totalFrames);
+    const outputCount = Math.floor(((endFrame - startFrame) * sampleRate) / wav.sampleRate);
+    if (outputCount <= 0) {
+      throw new Error(`Empty audio window ${window.startMs}-${window.endMs}ms`);
+    }
+
+    const output = new Uint8Array(WAV_HEADER_BYTES + outputCount * 2);
+    output.set(buildWavHeader(
+      { isFloat: false, sampleRate, channels: 1, bitsPerSample: 16, byteRate: sampleRate * 2, blockAlign: 2 },
+      outputCount * 2
+    ));
+    const outputView = new DataView(output.buffer);
+    const resampler = createResampler(wav.sampleRate, sampleRate, outputCount, (index, value) => {
+      outputView.setInt16(WAV_HEADER_BYTES + index * 2, Math.round(Math.max(-1, Math.min(1, value)) * 32767), true);
+    });
+
+    const readSample = sampleReader(wav);
+    const bytesPerSample = wav.bitsPerSample / 8;
+    for (let frame = startFrame; frame < endFrame; frame += CONVERT_BLOCK_FRAMES) {
+      const frames = Math.min(CONVERT_BLOCK_FRAMES, endFrame - frame);
+      const block = base64ToBytes(await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64,
+        position: wav.dataOffset + frame * wav.blockAlign,
+        length: frames * wav.blockAlign,
+      }));
+      const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+
+      for (let offset = 0; offset + wav.blockAlign <= block.length; offset += wav.blockAlign) {
+        let sum = 0;
+        for (let channel = 0; channel < wav.channels; channel++) {
+          sum += readSample(view, offset + channel * bytesPerSample);
+        }
+        resampler.push(sum / wav.channels);
+      }
+    }
+    resampler.flush();
+
+    await FileSystem.writeAsStringAsync(chunkUri, bytesToBase64(output), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  }
+
+  private async getDirectory(): Promise<string> {
+    const directory = `${FileSystem.cacheDirectory}${CHUNK_DIRECTORY_NAME}`;
+    const info = await FileSystem.getInfoAsync(directory);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    }
+    return directory;
+  }
+}
@@ -4,7 +4,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 export interface ErrorLog {
   id: string;
   timestamp: Date;
-  type: 'javascript' | 'native' | 'promise' | 'component';
+  type: 'javascript' | 'native' | 'promise' | 'component' | 'migration';
   message: string;
   stack?: string;
   componentStack?: string;
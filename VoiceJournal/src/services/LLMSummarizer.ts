@@ -1,7 +1,22 @@
-import { Summary, SummaryResult } from '../types';
+import { LLMProviderSettings, Mood, PolishResult, Summary, SummaryResult } from '../types';
+import { HttpError, TimeoutError } from './http';
+import { normalizeLanguage } from './languages';
+import { createLLMProvider, LLMProvider, SummaryContext, SummaryValidationError, TagContext, validateSummary } from './llm';
+import { analyzeMood, resolveMood } from './mood';
+import { SettingsManager } from './SettingsManager';
+import { resolveTagSuggestions, suggestTags } from './tags';
+import { extractTasks, resolveTasks } from './tasks';
+import { extractTitle, normalizeTitle } from './titles';
+
+// A polished transcript much shorter than the original has been summarized
+// rather than cleaned up
+const MIN_POLISH_LENGTH_RATIO = 0.5;
 
 export class LLMSummarizer {
   private static instance: LLMSummarizer;
+  private provider: LLMProvider | null = null;
+  private providerSettings: LLMProviderSettings | null = null;
+  private providerOverride: LLMProvider | null = null;
 
   static getInstance(): LLMSummarizer {
     if (!LLMSummarizer.instance) {
@@ -10,14 +25,42 @@ export class LLMSummarizer {
     return LLMSummarizer.instance;
   }
 
-  async generateSummary(text: string, type: 'journal' | 'tasks' | 'general' = 'general'): Promise<SummaryResult> {
+  // `context.speakers` lets the provider attribute tasks in a conversation
+  // whose turns are labelled with those names (see buildSummaryInput).
+  // `context.language` is the note's language; the output language setting
+  // overrides it. Task deadlines are resolved against `context.createdAt`.
+  async generateSummary(
+    text: string,
+    type: 'journal' | 'tasks' | 'general' = 'general',
+    context: SummaryContext = {}
+  ): Promise<SummaryResult> {
     try {
       console.log('Generating summary for text:', text.substring(0, 100) + '...');
-      
-      // Simulate processing time
-      await new Promise(resolve => setTimeout(resolve, 1500));
 
-      const summary = await this.createMockSummary(text, type);
+      const provider = await this.getProvider();
+      const { llm } = await SettingsManager.getInstance().getSettings();
+      const language = normalizeLanguage(llm.outputLanguage) ?? context.language;
+      const draft = await provider.summarize(text, type, { ...context, language });
+
+      // Providers validate their own output; this guards against one that doesn't
+      const validation = validateSummary(draft);
+      if (!validation.valid) {
+        throw new SummaryValidationError(validation.errors);
+      }
+
+      // A model that calls the note a task list but lists nothing gets the
+      // rule-based tasks instead
+      const { taskList, ...draftSummary } = validation.value;
+      const tasks = taskList ?? (draftSummary.type === 'tasks' ? extractTasks(text, context.speakers, context.createdAt) : []);
+      const resolved = resolveTasks(tasks, text, context.createdAt ?? new Date());
+
+      const summary: Summary = {
+        id: `summary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        originalText: text,
+        ...draftSummary,
+        taskList: resolved.length > 0 ? resolved : undefined,
+        createdAt: new Date(),
+      };
 
       return {
         success: true,
@@ -27,168 +70,138 @@ export class LLMSummarizer {
       console.error('Error generating summary:', error);
       return {
         success: false,
-        error: 'Failed to generate summary. Please try again.',
+        ...this.describeError(error),
       };
     }
   }
 
-  private async createMockSummary(originalText: string, type: 'journal' | 'tasks' | 'general'): Promise<Summary> {
-    const id = `summary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    let summary: string;
-    let journalPrompt: string | undefined;
-    let taskList: string[] | undefined;
-
-    // Generate different types of summaries based on the content
-    if (this.containsTaskKeywords(originalText) || type === 'tasks') {
-      summary = this.generateTaskSummary(originalText);
-      taskList = this.extractTasks(originalText);
-      type = 'tasks';
-    } else if (this.containsPersonalReflection(originalText) || type === 'journal') {
-      summary = this.generateJournalSummary(originalText);
-      journalPrompt = this.generateJournalPrompt(originalText);
-      type = 'journal';
-    } else {
-      summary = this.generateGeneralSummary(originalText);
-      type = 'general';
+  // Has the AI provider tidy up a transcript that was already cleaned
+  // locally. Replies that drop too much of the text are rejected.
+  async polishTranscript(text: string, language?: string): Promise<PolishResult> {
+    try {
+      const provider = await this.getProvider();
+      const polished = await provider.polish(text, language);
+      if (polished.length < text.length * MIN_POLISH_LENGTH_RATIO) {
+        return { success: false, error: 'The AI service shortened the transcript instead of cleaning it up.' };
+      }
+      return { success: true, text: polished };
+    } catch (error) {
+      console.error('Error polishing transcript:', error);
+      return { success: false, error: this.describeError(error).error };
     }
+  }
 
-    return {
-      id,
-      originalText,
-      summary,
-      journalPrompt,
-      taskList,
-      type,
-      createdAt: new Date(),
-    };
+  // A short title for a note. Falls back to one taken from the text itself
+  // when the provider fails, so this only gives undefined for empty text.
+  async generateTitle(text: string, language?: string): Promise<string | undefined> {
+    if (!text.trim()) return undefined;
+    try {
+      const provider = await this.getProvider();
+      const { llm } = await SettingsManager.getInstance().getSettings();
+      const title = normalizeTitle(await provider.generateTitle(text, normalizeLanguage(llm.outputLanguage) ?? language));
+      if (title) return title;
+    } catch (error) {
+      console.error('Error generating title:', error);
+    }
+    return extractTitle(text);
   }
 
-  private containsTaskKeywords(text: string): boolean {
-    const taskKeywords = ['need to', 'should', 'reminder', 'todo', 'task', 'deadline', 'schedule', 'appointment', 'meeting', 'call', 'buy', 'pay', 'follow up'];
-    const lowerText = text.toLowerCase();
-    return taskKeywords.some(keyword => lowerText.includes(keyword));
+  // Tags to offer for a note, reusing context.existingTags where they fit.
+  // Falls back to suggestions worked out on the device when the provider
+  // fails or has none.
+  async suggestTags(text: string, context: TagContext = {}): Promise<string[]> {
+    if (!text.trim()) return [];
+    try {
+      const provider = await this.getProvider();
+      const { llm } = await SettingsManager.getInstance().getSettings();
+      const proposed = await provider.suggestTags(text, {
+        ...context,
+        language: normalizeLanguage(llm.outputLanguage) ?? context.language,
+      });
+      const tags = resolveTagSuggestions(proposed, context);
+      if (tags.length > 0) return tags;
+    } catch (error) {
+      console.error('Error suggesting tags:', error);
+    }
+    return suggestTags(text, context);
   }
 
-  private containsPersonalReflection(text: string): boolean {
-    const reflectionKeywords = ['feeling', 'grateful', 'think', 'believe', 'reflection', 'personal', 'emotion', 'mood', 'experience', 'learned'];
-    const lowerText = text.toLowerCase();
-    return reflectionKeywords.some(keyword => lowerText.includes(keyword));
+  // The mood of a journal note. Falls back to the on-device word lists when
+  // the provider fails, so this always gives a mood.
+  async analyzeMood(text: string): Promise<Mood> {
+    try {
+      const provider = await this.getProvider();
+      return resolveMood(await provider.analyzeMood(text));
+    } catch (error) {
+      console.error('Error analyzing mood:', error);
+      return analyzeMood(text);
+    }
   }
 
-  private generateTaskSummary(text: string): string {
-    const taskSummaries = [
-      "Action items identified from your note with specific tasks and deadlines.",
-      "Task list extracted with priorities and follow-up actions required.",
-      "Actionable items organized by urgency and importance from your recording.",
-      "Work-related tasks and personal reminders compiled from your note.",
-    ];
-    return taskSummaries[Math.floor(Math.random() * taskSummaries.length)];
+  // Checks that the configured provider is reachable right now
+  async isServiceAvailable(): Promise<boolean> {
+    try {
+      const provider = await this.getProvider();
+      return await provider.checkHealth();
+    } catch (error) {
+      console.error('Error checking LLM service:', error);
+      return false;
+    }
   }
 
-  private generateJournalSummary(text: string): string {
-    const journalSummaries = [
-      "Personal reflection capturing your thoughts and feelings about recent experiences.",
-      "Emotional insights and self-awareness moments from your voice note.",
-      "Mindful observations about your personal growth and life experiences.",
-      "Thoughtful reflection on your current state of mind and aspirations.",
-    ];
-    return journalSummaries[Math.floor(Math.random() * journalSummaries.length)];
+  // Returns the provider built from the current settings. The instance is
+  // reused until the LLM settings change.
+  async getProvider(): Promise<LLMProvider> {
+    if (this.providerOverride) return this.providerOverride;
+
+    const { llm } = await SettingsManager.getInstance().getSettings();
+    if (!this.provider || this.providerSettings !== llm) {
+      this.provider = createLLMProvider(llm);
+      this.providerSettings = llm;
+    }
+    return this.provider;
   }
 
-  private generateGeneralSummary(text: string): string {
-    const generalSummaries = [
-      "Key points and main ideas extracted from your voice recording.",
-      "Summary of important information and notable details from your note.",
-      "Condensed overview highlighting the essential content of your recording.",
-      "Brief synopsis capturing the main themes and significant points discussed.",
-    ];
-    return generalSummaries[Math.floor(Math.random() * generalSummaries.length)];
+  // Pins a specific provider regardless of settings; pass null to go back to settings
+  setProvider(provider: LLMProvider | null): void {
+    this.providerOverride = provider;
   }
 
-  private extractTasks(text: string): string[] {
-    // Mock task extraction based on common patterns
-    const tasks: string[] = [];
-    
-    if (text.toLowerCase().includes('buy')) {
-      tasks.push('Purchase items mentioned in the note');
-    }
-    if (text.toLowerCase().includes('call')) {
-      tasks.push('Make phone calls as discussed');
-    }
-    if (text.toLowerCase().includes('meeting')) {
-      tasks.push('Schedule or attend meetings');
-    }
-    if (text.toLowerCase().includes('follow up')) {
-      tasks.push('Follow up on pending items');
+  private describeError(error: unknown): Pick<SummaryResult, 'error' | 'errorCode' | 'validationErrors'> {
+    if (error instanceof SummaryValidationError) {
+      return {
+        errorCode: 'invalid_output',
+        error: 'The AI service returned a summary in an unexpected format. Please try again.',
+        validationErrors: error.errors,
+      };
     }
-    if (text.toLowerCase().includes('deadline')) {
-      tasks.push('Complete tasks before deadline');
+    if (error instanceof TimeoutError) {
+      return { errorCode: 'timeout', error: 'The AI service took too long to respond. Please try again.' };
     }
-    if (text.toLowerCase().includes('appointment')) {
-      tasks.push('Schedule appointments');
+    if (error instanceof HttpError) {
+      if (error.status === 401 || error.status === 403) {
+        return { errorCode: 'unauthorized', error: 'The AI service rejected the API key. Check your settings.' };
+      }
+      if (error.status === 404) {
+        return {
+          errorCode: 'not_found',
+          error: 'The AI service or model was not found. Check the server URL and model name.',
+        };
+      }
+      return { errorCode: 'provider_error', error: `The AI service returned an error (${error.status}).` };
     }
-
-    // Add some generic tasks if none detected
-    if (tasks.length === 0) {
-      tasks.push('Review and organize information from this note');
-      tasks.push('Take action on relevant items discussed');
+    if (error instanceof TypeError) {
+      return {
+        errorCode: 'unreachable',
+        error: 'Could not reach the AI service. Check your connection and server URL.',
+      };
     }
-
-    return tasks;
-  }
-
-  private generateJournalPrompt(text: string): string {
-    const prompts = [
-      "Reflect on how this experience has shaped your perspective. What insights have you gained?",
-      "What emotions came up for you during this situation? How did you handle them?",
-      "If you could give advice to someone in a similar situation, what would you tell them?",
-      "What are you most grateful for in this moment? How can you carry this feeling forward?",
-      "What patterns do you notice in your thoughts and reactions? What would you like to change?",
-      "How has this experience contributed to your personal growth? What did you learn about yourself?",
-      "What would you like to remember most about this moment in the future?",
-      "How can you apply the lessons from this experience to future challenges?",
-    ];
-    return prompts[Math.floor(Math.random() * prompts.length)];
-  }
-
-  // Method to check if LLM service is available
-  isServiceAvailable(): boolean {
-    // TODO: Implement actual service availability check
-    return true;
+    return { errorCode: 'unknown', error: 'Failed to generate summary. Please try again.' };
   }
 }
 
-// Integration notes for future LLM implementation:
-//
-// For cloud-based LLM services:
-// 1. OpenAI GPT API (ChatGPT, GPT-4)
-// 2. Anthropic Claude API
-// 3. Google Bard/Gemini API
-// 4. AWS Bedrock
-// 5. Azure OpenAI Service
-//
-// For on-device LLM (future consideration):
-// 1. Transformers.js for lightweight models
-// 2. Core ML models on iOS
-// 3. TensorFlow Lite on Android
-//
-// Example API integration:
-// ```typescript
-// async callOpenAI(prompt: string): Promise<string> {
-//   const response = await fetch('https://api.openai.com/v1/chat/completions', {
-//     method: 'POST',
-//     headers: {
-//       'Authorization': `Bearer ${API_KEY}`,
-//       'Content-Type': 'application/json',
-//     },
-//     body: JSON.stringify({
-//       model: 'gpt-3.5-turbo',
-//       messages: [{ role: 'user', content: prompt }],
-//       max_tokens: 500,
-//     }),
-//   });
-//   const data = await response.json();
-//   return data.choices[0].message.content;
-// }
-// ```
\ No newline at end of file
+// Adding an LLM backend:
+// 1. Extend ChatLLMProvider (HTTP chat APIs) or implement LLMProvider directly
+//    in src/services/llm/
+// 2. Add its type to LLMProviderType and to createLLMProvider()
+// 3. Expose its options in SettingsScreen
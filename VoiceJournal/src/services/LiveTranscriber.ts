@@ -0,0 +1,159 @@
+import { Platform } from 'react-native';
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import { LiveTranscript } from '../types';
+import { SettingsManager } from './SettingsManager';
+import { createStreamingSession, StreamingAudioFormat, StreamingSession } from './transcription';
+
+const POLL_INTERVAL_MS = 1000;
+// Caps a single read if polling falls behind
+const MAX_CHUNK_BYTES = 256 * 1024;
+
+// MediaRecorder output format and encoder values for Ogg/Opus (API 29+),
+// which the expo-av enums don't list yet
+const ANDROID_OUTPUT_FORMAT_OGG = 11;
+const ANDROID_AUDIO_ENCODER_OPUS = 7;
+
+// The default m4a recordings can't be decoded until they are finalized, so
+// live transcription records in formats a server can read while they grow:
+// Ogg/Opus on Android and WAV on iOS. Both are also accepted by Whisper for
+// the full-file pass.
+const STREAMING_RECORDING_OPTIONS: Audio.RecordingOptions = {
+  isMeteringEnabled: false,
+  android: {
+    extension: '.ogg',
+    outputFormat: ANDROID_OUTPUT_FORMAT_OGG,
+    audioEncoder: ANDROID_AUDIO_ENCODER_OPUS,
+    sampleRate: 16000,
+    numberOfChannels: 1,
+    bitRate: 32000,
+  },
+  ios: {
+    extension: '.wav',
+    outputFormat: Audio.IOSOutputFormat.LINEARPCM,
+    audioQuality: Audio.IOSAudioQuality.HIGH,
+    sampleRate: 16000,
+    numberOfChannels: 1,
+    bitRate: 256000,
+    linearPCMBitDepth: 16,
+    linearPCMIsBigEndian: false,
+    linearPCMIsFloat: false,
+  },
+  web: {},
+};
+
+const STREAMING_FORMAT: StreamingAudioFormat = Platform.OS === 'ios' ? 'wav' : 'ogg';
+
+type LiveTranscriptListener = (transcript: LiveTranscript) => void;
+
+// Transcribes a recording while it is being made by sending the recording
+// file's new bytes to a streaming session every second. The live transcript
+// is only a preview: the finished file still goes through the normal
+// transcription pass, which replaces it.
+export class LiveTranscriber {
+  private static instance: LiveTranscriber;
+  private session: StreamingSession | null = null;
+  private uri: string | null = null;
+  private offset = 0;
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private readPromise: Promise<void> = Promise.resolve();
+
+  static getInstance(): LiveTranscriber {
+    if (!LiveTranscriber.instance) {
+      LiveTranscriber.instance = new LiveTranscriber();
+    }
+    return LiveTranscriber.instance;
+  }
+
+  // Recording options to use when live transcription is on, or null to record
+  // as usual. Web recordings are blobs that can't be read while recording.
+  async getRecordingOptions(): Promise<Audio.RecordingOptions | null> {
+    if (Platform.OS === 'web') return null;
+
+    const { transcription } = await SettingsManager.getInstance().getSettings();
+    if (!transcription.streamingEnabled) return null;
+    if (!transcription.streamingUrl.trim() && transcription.type !== 'mock') return null;
+    return STREAMING_RECORDING_OPTIONS;
+  }
+
+  // Starts streaming a recording that was created with getRecordingOptions().
+  // Returns false when no session could be started.
+  async start(recording: Audio.Recording, listener: LiveTranscriptListener): Promise<boolean> {
+    this.cancel();
+
+    const uri = recording.getURI();
+    if (!uri) return false;
+
+    try {
+      const { transcription } = await SettingsManager.getInstance().getSettings();
+      this.session = createStreamingSession(transcription, STREAMING_FORMAT, listener);
+    } catch (error) {
+      console.error('Error starting live transcription:', error);
+      this.session = null;
+    }
+    if (!this.session) return false;
+
+    this.uri = uri;
+    this.offset = 0;
+    this.timer = setInterval(() => {
+      this.readPromise = this.readPromise.then(() => this.sendNewAudio());
+    }, POLL_INTERVAL_MS);
+    return true;
+  }
+
+  // Sends the rest of the recording and waits for the final live transcript.
+  // Call after the recording has stopped. Resolves to undefined when nothing
+  // was streamed.
+  async stop(): Promise<string | undefined> {
+    const session = this.session;
+    if (!session) return undefined;
+
+    this.stopPolling();
+    await this.readPromise;
+    await this.sendNewAudio();
+
+    this.session = null;
+    this.uri = null;
+    const text = await session.finish();
+    return text || undefined;
+  }
+
+  // Abandons the live transcript, e.g. when recording fails
+  cancel(): void {
+    this.stopPolling();
+    this.session?.close();
+    this.session = null;
+    this.uri = null;
+  }
+
+  private stopPolling(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private async sendNewAudio(): Promise<void> {
+    const { session, uri } = this;
+    if (!session || !uri) return;
+
+    try {
+      const info = await FileSystem.getInfoAsync(uri);
+      if (!info.exists) return;
+
+      while (this.offset < info.size && this.session === session) {
+        const length = Math.min(info.size - this.offset, MAX_CHUNK_BYTES);
+        const chunk = await FileSystem.readAsStringAsync(uri, {
+          encoding: FileSystem.EncodingType.Base64,
+          position: this.offset,
+          length,
+        });
+        session.sendAudio(chunk);
+        this.offset += length;
+      }
+    } catch (error) {
+      // A missed read is retried on the next tick from the same offset
+      console.warn('Error reading recording for live transcription:', error);
+    }
+  }
+}
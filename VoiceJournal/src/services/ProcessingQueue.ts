@@ -0,0 +1,680 @@
+import { AudioRecording, Note, ProcessingJob, ProcessingStage } from '../types';
+import { AudioAssetManager } from './AudioAssetManager';
+import { cleanTranscript, isCleanupEnabled } from './cleanup';
+import { LLMSummarizer } from './LLMSummarizer';
+import { carryOverMood } from './mood';
+import { SettingsManager } from './SettingsManager';
+import { buildSummaryInput, getSpeakerLabels } from './speakers';
+import { StorageManager } from './StorageManager';
+import { hasTag } from './tags';
+import { carryOverCompletion } from './tasks';
+import { TranscriptionHandler } from './TranscriptionHandler';
+
+export const PROCESSING_STAGES: ProcessingStage[] = ['transcribing', 'cleaning', 'summarizing', 'analyzing', 'saving'];
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+// How often an unreachable transcription provider is checked again
+const PROVIDER_CHECK_INTERVAL_MS = 30000;
+
+type JobListener = (job: ProcessingJob) => void;
+
+// A failed stage; `retryable` is false when trying again cannot help
+// (e.g. a rejected API key), so the job fails straight away.
+class StageError extends Error {
+  constructor(message: string, public readonly retryable: boolean = true) {
+    super(message);
+    this.name = 'StageError';
+  }
+}
+
+// Runs recordings through transcribe → clean up → summarize → read the mood →
+// save one job at a time.
+// Every state change is written to the database before listeners are told,
+// so a job interrupted by the app closing resumes from its last finished stage
+// on the next launch. Recordings whose transcription provider can't be reached
+// wait as draft notes and are transcribed once it answers again.
+export class ProcessingQueue {
+  private static instance: ProcessingQueue;
+  private jobs = new Map<string, ProcessingJob>();
+  private listeners = new Set<JobListener>();
+  private loadPromise: Promise<void> | null = null;
+  private isWorking = false;
+  private retryTimer: ReturnType<typeof setTimeout> | null = null;
+  private providerTimer: ReturnType<typeof setTimeout> | null = null;
+
+  static getInstance(): ProcessingQueue {
+    if (!ProcessingQueue.instance) {
+      ProcessingQueue.instance = new ProcessingQueue();
+    }
+    return ProcessingQueue.instance;
+  }
+
+  // Loads unfinished jobs from the last session and starts working on them.
+  // Safe to call more than once.
+  async resume(): Promise<void> {
+    await this.load();
+    this.scheduleWork();
+    this.checkProvider().catch(error => console.error('Error checking transcription provider:', error));
+  }
+
+  // Requeues the drafts that were waiting for the transcription provider if
+  // it can be reached now. Runs on a timer while any draft is waiting and
+  // whenever settings change; screens may call it for an immediate check.
+  // Resolves to whether the provider was reachable.
+  async checkProvider(): Promise<boolean> {
+    await this.load();
+    const waiting = this.getJobs().filter(job => job.status === 'waiting_for_provider');
+    if (waiting.length === 0) return true;
+
+    const isAvailable = await TranscriptionHandler.getInstance().isServiceAvailable();
+    if (!isAvailable) {
+      this.scheduleProviderCheck();
+      return false;
+    }
+
+    const storageManager = StorageManager.getInstance();
+    for (const job of waiting) {
+      const latest = this.jobs.get(job.id);
+      if (latest?.status !== 'waiting_for_provider') continue;
+
+      // The draft was deleted while it waited
+      if (!(await storageManager.getNoteById(latest.noteId))) {
+        await this.finish(latest, { status: 'cancelled' });
+        await this.cleanUpStoppedJob(latest, 'The draft was deleted');
+        continue;
+      }
+      await this.update(latest, { status: 'queued', attempts: 0, error: undefined });
+    }
+    this.scheduleWork();
+    return true;
+  }
+
+  // Copies the audio into app storage first, so the job can still be resumed
+  // after the OS clears the recording's cache location. A transcript heard
+  // live while recording is kept as a fallback for the full-file pass.
+  async enqueue(
+    audioUri: string,
+    audioRecording?: AudioRecording,
+    liveTranscript?: string
+  ): Promise<ProcessingJob> {
+    await this.load();
+
+    const now = new Date();
+    const asset = await AudioAssetManager.getInstance().importAudio(audioUri);
+    const job: ProcessingJob = {
+      id: `job_${now.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+      // Chosen up front so a retried save overwrites the same note
+      noteId: `note_${now.getTime()}`,
+      audioUri: asset.uri,
+      audioRecording: {
+        id: audioRecording?.id ?? `recording_${now.getTime()}`,
+        // Imported files arrive without a known duration
+        duration: audioRecording?.duration ?? 0,
+        createdAt: audioRecording?.createdAt ?? now,
+        ...asset,
+      },
+      status: 'queued',
+      stage: 'transcribing',
+      attempts: 0,
+      liveTranscript,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.update(job, {});
+    this.scheduleWork();
+    return job;
+  }
+
+  // Stops a job. A stage already in flight is allowed to finish but its result
+  // is discarded.
+  async cancel(jobId: string): Promise<void> {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status === 'completed' || job.status === 'cancelled') return;
+    await this.finish(job, { status: 'cancelled' });
+    await this.cleanUpStoppedJob(job, 'Summarization was cancelled');
+  }
+
+  // Wipes everything the app stored. Every job is stopped first, so none
+  // writes its row, note or audio back once storage is empty; a stage still
+  // in flight has its result discarded.
+  async clearAllData(): Promise<void> {
+    await this.load();
+    for (const timer of [this.retryTimer, this.providerTimer]) {
+      if (timer) clearTimeout(timer);
+    }
+    this.retryTimer = null;
+    this.providerTimer = null;
+
+    for (const job of this.getJobs()) {
+      await this.finish(job, { status: 'cancelled' });
+    }
+    await StorageManager.getInstance().clearAllData();
+  }
+
+  // Puts a failed job back in the queue, continuing from the stage that failed
+  async retry(jobId: string): Promise<void> {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'failed') return;
+    await this.update(job, { status: 'queued', attempts: 0, nextAttemptAt: undefined, error: undefined });
+    this.scheduleWork();
+  }
+
+  // Forgets a failed job without retrying it
+  async dismiss(jobId: string): Promise<void> {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'failed') return;
+    await this.finish(job, { status: 'cancelled' });
+    await this.cleanUpStoppedJob(job, 'Processing was stopped before the summary was saved');
+  }
+
+  // Reruns summarization on a saved note's current text, e.g. after the
+  // summary failed. Returns the note as saved; throws if summarizing fails
+  // again, recording the error on notes that still have no summary.
+  async summarizeNote(noteId: string): Promise<Note> {
+    const storageManager = StorageManager.getInstance();
+    const note = await storageManager.getNoteById(noteId);
+    if (!note) {
+      throw new Error('Note not found');
+    }
+
+    const text = note.editedText || note.originalText;
+    const input = buildSummaryInput(note.transcription, text, note.speakerNames);
+    const result = await LLMSummarizer.getInstance().generateSummary(input.text, 'general', {
+      ...input.context,
+      createdAt: note.createdAt,
+    });
+    // Notes saved before titles were generated get one along the way
+    const title = note.title || note.titleEdited
+      ? undefined
+      : await LLMSummarizer.getInstance().generateTitle(text, note.transcription.language);
+    const suggestedTags = await this.suggestTags(note.id, text, note.transcription.language, note.tags);
+    const mood = result.summary?.type === 'journal' ? await LLMSummarizer.getInstance().analyzeMood(text) : undefined;
+
+    // Re-read so edits saved while the summary was generating are kept
+    const latest = (await storageManager.getNoteById(noteId)) ?? note;
+    if (!result.success || !result.summary) {
+      if (!latest.summary) {
+        await storageManager.saveNote({ ...latest, summaryStatus: 'failed', summaryError: result.error });
+      }
+      throw new Error(result.error || 'Failed to generate summary');
+    }
+
+    const { taskList } = result.summary;
+    const summary = mood ? { ...result.summary, mood: carryOverMood(latest.summary?.mood, mood) } : result.summary;
+    const updated: Note = {
+      ...latest,
+      title: latest.title || latest.titleEdited ? latest.title : title,
+      suggestedTags: suggestedTags.filter(tag => !hasTag(latest.tags, tag)),
+      summary: taskList
+        ? { ...summary, taskList: carryOverCompletion(latest.summary?.taskList, taskList) }
+        : summary,
+      summaryStatus: 'ready',
+      summaryError: undefined,
+      updatedAt: new Date(),
+    };
+    await storageManager.saveNote(updated);
+    return updated;
+  }
+
+  getJob(jobId: string): ProcessingJob | undefined {
+    return this.jobs.get(jobId);
+  }
+
+  // Jobs that are still queued, running, waiting to retry or failed, oldest first
+  getJobs(): ProcessingJob[] {
+    return [...this.jobs.values()].sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+  }
+
+  // Called with a copy of the job after every change, including the final
+  // 'completed' or 'cancelled' update
+  addListener(listener: JobListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private load(): Promise<void> {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadJobs().catch(error => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  private async loadJobs(): Promise<void> {
+    const stored = await StorageManager.getInstance().getProcessingJobs();
+    for (const job of stored) {
+      // A job marked running was interrupted when the app closed
+      const restored = job.status === 'running' ? { ...job, status: 'queued' as const } : job;
+      this.jobs.set(restored.id, restored);
+    }
+
+    // A changed server URL or key may be what the drafts were waiting for
+    SettingsManager.getInstance().addListener(() => {
+      this.checkProvider().catch(error => console.error('Error checking transcription provider:', error));
+    });
+  }
+
+  private scheduleWork(): void {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.work().catch(error => {
+      console.error('Error in processing queue:', error);
+      this.isWorking = false;
+    });
+  }
+
+  private async work(): Promise<void> {
+    if (this.isWorking) return;
+    this.isWorking = true;
+
+    let job = this.nextDueJob();
+    while (job) {
+      await this.process(job);
+      job = this.nextDueJob();
+    }
+
+    this.isWorking = false;
+    this.scheduleNextRetry();
+    this.scheduleProviderCheck();
+  }
+
+  private nextDueJob(): ProcessingJob | undefined {
+    const now = Date.now();
+    return this.getJobs().find(job =>
+      job.status === 'queued' ||
+      (job.status === 'waiting_retry' && (job.nextAttemptAt?.getTime() ?? 0) <= now)
+    );
+  }
+
+  private scheduleNextRetry(): void {
+    const waiting = this.getJobs().filter(job => job.status === 'waiting_retry');
+    if (waiting.length === 0) return;
+
+    const nextAt = Math.min(...waiting.map(job => job.nextAttemptAt?.getTime() ?? 0));
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.scheduleWork();
+    }, Math.max(0, nextAt - Date.now()));
+  }
+
+  private scheduleProviderCheck(): void {
+    if (this.providerTimer || !this.getJobs().some(job => job.status === 'waiting_for_provider')) return;
+
+    this.providerTimer = setTimeout(() => {
+      this.providerTimer = null;
+      this.checkProvider().catch(error => {
+        console.error('Error checking transcription provider:', error);
+        this.scheduleProviderCheck();
+      });
+    }, PROVIDER_CHECK_INTERVAL_MS);
+  }
+
+  private async process(job: ProcessingJob): Promise<void> {
+    let current = await this.update(job, { status: 'running', progress: undefined });
+
+    while (current.status === 'running') {
+      try {
+        const changes = await this.runStage(current);
+        // The job may have been cancelled while the stage was running
+        const latest = this.jobs.get(current.id);
+        if (!latest || latest.status !== 'running') return;
+
+        const nextStage = PROCESSING_STAGES[PROCESSING_STAGES.indexOf(current.stage) + 1];
+        current = nextStage
+          ? await this.update(latest, { ...changes, stage: nextStage, attempts: 0, error: undefined, progress: undefined })
+          : await this.finish(latest, { ...changes, status: 'completed', error: undefined });
+      } catch (error) {
+        const latest = this.jobs.get(current.id);
+        if (!latest || latest.status !== 'running') return;
+        await this.handleFailure(latest, error);
+        return;
+      }
+    }
+  }
+
+  private async runStage(job: ProcessingJob): Promise<Partial<ProcessingJob>> {
+    switch (job.stage) {
+      case 'transcribing': {
+        const result = await TranscriptionHandler.getInstance().transcribeFromFile(
+          job.audioUri,
+          ({ completedChunks, totalChunks }) => {
+            // Only worth showing for recordings that were split
+            if (totalChunks > 1) this.setProgress(job.id, { completed: completedChunks, total: totalChunks });
+          }
+        );
+        if (!result.success || !result.text) {
+          // A file the provider can't take won't get any better by retrying
+          throw new StageError(result.error || 'Transcription failed', !result.errorCode);
+        }
+        return {
+          transcription: {
+            id: `transcription_${Date.now()}`,
+            text: result.text,
+            confidence: result.confidence,
+            language: result.language,
+            segments: result.segments,
+            words: result.words,
+            createdAt: new Date(),
+          },
+        };
+      }
+
+      case 'cleaning': {
+        // Cleanup and the title are niceties: anything that goes wrong here
+        // leaves the raw transcript in place rather than failing the job
+        const transcription = this.requireTranscription(job);
+        const { cleanup } = await SettingsManager.getInstance().getSettings();
+        let cleanedText: string | undefined;
+        if (isCleanupEnabled(cleanup)) {
+          cleanedText = cleanTranscript(transcription, cleanup);
+          if (cleanup.polishWithAI) {
+            const result = await LLMSummarizer.getInstance().polishTranscript(cleanedText, transcription.language);
+            if (result.success && result.text) {
+              cleanedText = result.text;
+            } else {
+              console.warn(`Processing job ${job.id} is keeping the unpolished transcript:`, result.error);
+            }
+          }
+        }
+
+        const text = cleanedText || transcription.text;
+        const title = job.title ?? await LLMSummarizer.getInstance().generateTitle(text, transcription.language);
+        const suggestedTags = job.suggestedTags ?? await this.suggestTags(job.noteId, text, transcription.language);
+        return { cleanedText: cleanedText || undefined, title, suggestedTags };
+      }
+
+      case 'summarizing': {
+        const transcription = this.requireTranscription(job);
+        // Store the transcript straight away so it survives even if summarizing never succeeds
+        const storageManager = StorageManager.getInstance();
+        const existing = await storageManager.getNoteById(job.noteId);
+        if (!existing && job.noteSaved) return this.stopForDeletedNote(job);
+        if (!this.isRunning(job.id)) return {};
+        if (!existing || existing.awaitingTranscription) {
+          const note = this.buildNote(job);
+          // A draft keeps the tags it was given while it waited, and its
+          // title if the user wrote one
+          await storageManager.saveNote(existing
+            ? {
+              ...note,
+              title: existing.titleEdited ? existing.title : note.title,
+              titleEdited: existing.titleEdited,
+              tags: existing.tags,
+              suggestedTags: note.suggestedTags?.filter(tag => !hasTag(existing.tags, tag)),
+            }
+            : note);
+          // Also lets screens pick up the new partial note
+          await this.markNoteSaved(job.id);
+        }
+
+        // Conversations are summarized from the raw transcript, which keeps
+        // who said what
+        const text = getSpeakerLabels(transcription).length > 1
+          ? transcription.text
+          : job.cleanedText || transcription.text;
+        const input = buildSummaryInput(transcription, text);
+        const result = await LLMSummarizer.getInstance().generateSummary(input.text, 'general', {
+          ...input.context,
+          createdAt: job.createdAt,
+        });
+        if (!result.success || !result.summary) {
+          const retryable = result.errorCode !== 'unauthorized' && result.errorCode !== 'not_found';
+          throw new StageError(result.error || 'Summary generation failed', retryable);
+        }
+        return { summary: result.summary };
+      }
+
+      case 'analyzing': {
+        // Mood is only tracked for journal notes, and like cleanup it never
+        // fails the job: the analysis falls back to the device
+        if (job.summary?.type !== 'journal') return {};
+        const mood = await LLMSummarizer.getInstance().analyzeMood(job.cleanedText || this.requireTranscription(job).text);
+        return { summary: { ...job.summary, mood } };
+      }
+
+      case 'saving': {
+        // Keep any edits made to the partial note while it was being summarized
+        const storageManager = StorageManager.getInstance();
+        const existing = await storageManager.getNoteById(job.noteId);
+        if (!existing && job.noteSaved) return this.stopForDeletedNote(job);
+        if (!this.isRunning(job.id)) return {};
+        await storageManager.saveNote({
+          ...(existing ?? this.buildNote(job)),
+          summary: job.summary,
+          summaryStatus: job.summary ? 'ready' : 'failed',
+          summaryError: job.summary ? undefined : job.summaryError,
+          updatedAt: new Date(),
+        });
+        return {};
+      }
+    }
+  }
+
+  private buildNote(job: ProcessingJob): Note {
+    const transcription = this.requireTranscription(job);
+    return {
+      id: job.noteId,
+      title: job.title,
+      originalText: transcription.text,
+      editedText: job.cleanedText && job.cleanedText !== transcription.text ? job.cleanedText : undefined,
+      summaryStatus: 'pending',
+      audioRecording: job.audioRecording,
+      transcription,
+      tags: [],
+      suggestedTags: job.suggestedTags,
+      createdAt: job.createdAt,
+      updatedAt: new Date(),
+    };
+  }
+
+  // Tags to offer for a note, drawn from the user's other notes and tags
+  private async suggestTags(noteId: string, text: string, language?: string, noteTags: string[] = []): Promise<string[]> {
+    const storageManager = StorageManager.getInstance();
+    const [existingTags, notes] = await Promise.all([storageManager.getAllTags(), storageManager.getAllNotes()]);
+    const otherNotes = notes
+      .filter(note => note.id !== noteId && !note.awaitingTranscription)
+      .map(note => note.editedText || note.originalText);
+    return LLMSummarizer.getInstance().suggestTags(text, { existingTags, noteTags, otherNotes, language });
+  }
+
+  // Saved while the transcription provider is unreachable so the recording
+  // shows up with the user's notes. What was heard live stands in for the
+  // transcript until the real one arrives.
+  private buildDraftNote(job: ProcessingJob): Note {
+    const text = job.liveTranscript?.trim() || '';
+    return {
+      id: job.noteId,
+      originalText: text,
+      summaryStatus: 'pending',
+      awaitingTranscription: true,
+      audioRecording: job.audioRecording,
+      transcription: { id: `transcription_${Date.now()}`, text, createdAt: new Date() },
+      tags: [],
+      createdAt: job.createdAt,
+      updatedAt: new Date(),
+    };
+  }
+
+  // False once the job was stopped while one of its stages was in flight;
+  // that stage must not write its note any more
+  private isRunning(jobId: string): boolean {
+    return this.jobs.get(jobId)?.status === 'running';
+  }
+
+  // Persisted straight away, so a note deleted during a later stage or
+  // after a restart isn't written back
+  private async markNoteSaved(jobId: string): Promise<void> {
+    const latest = this.jobs.get(jobId);
+    if (latest?.status !== 'running') return;
+    await this.update(latest, { noteSaved: true });
+  }
+
+  // The user deleted the note this job had saved. Writing it again would
+  // bring it back without its audio, so the job is cancelled instead.
+  private async stopForDeletedNote(job: ProcessingJob): Promise<Partial<ProcessingJob>> {
+    const latest = this.jobs.get(job.id);
+    if (latest) {
+      await this.finish(latest, { status: 'cancelled' });
+      await this.cleanUpStoppedJob(latest, 'The note was deleted');
+    }
+    return {};
+  }
+
+  // Tidies up after a stopped job: a partial note stops waiting for its
+  // summary, and audio that never made it into a note is deleted along with
+  // any draft that was never transcribed
+  private async cleanUpStoppedJob(job: ProcessingJob, reason: string): Promise<void> {
+    try {
+      const storageManager = StorageManager.getInstance();
+      const note = await storageManager.getNoteById(job.noteId);
+      if (!note) {
+        await AudioAssetManager.getInstance().deleteAudio(job.audioUri);
+      } else if (note.awaitingTranscription) {
+        await storageManager.deleteNote(note.id);
+      } else if (note.summaryStatus === 'pending') {
+        await storageManager.saveNote({ ...note, summaryStatus: 'failed', summaryError: reason });
+      }
+    } catch (error) {
+      console.error('Error cleaning up stopped job:', error);
+    }
+  }
+
+  private requireTranscription(job: ProcessingJob) {
+    if (!job.transcription) {
+      throw new StageError('Cannot continue without a transcription', false);
+    }
+    return job.transcription;
+  }
+
+  private async handleFailure(job: ProcessingJob, error: unknown): Promise<void> {
+    const message = error instanceof Error ? error.message : 'An unknown error occurred';
+    const retryable = !(error instanceof StageError) || error.retryable;
+    const attempts = job.attempts + 1;
+
+    if (retryable && job.stage === 'transcribing' && !(await TranscriptionHandler.getInstance().isServiceAvailable())) {
+      // Retrying on a timer would only run out of attempts while the server
+      // is down; wait as a draft note until it answers again
+      console.warn(`Processing job ${job.id} is waiting for the transcription provider:`, error);
+      const storageManager = StorageManager.getInstance();
+      if (!(await storageManager.getNoteById(job.noteId))) {
+        await storageManager.saveNote(this.buildDraftNote(job));
+      }
+      await this.update(job, {
+        status: 'waiting_for_provider',
+        noteSaved: true,
+        attempts: 0,
+        error: message,
+        nextAttemptAt: undefined,
+        progress: undefined,
+      });
+      return;
+    }
+
+    if ((!retryable || attempts >= MAX_ATTEMPTS) && job.stage === 'summarizing') {
+      // The transcript is still worth keeping: save the note without a summary
+      // so it can be summarized again later
+      console.error(`Processing job ${job.id} is saving its note without a summary:`, error);
+      await this.update(job, {
+        status: 'queued',
+        stage: 'saving',
+        attempts: 0,
+        error: undefined,
+        nextAttemptAt: undefined,
+        summaryError: message,
+      });
+      return;
+    }
+
+    if ((!retryable || attempts >= MAX_ATTEMPTS) && job.stage === 'transcribing' && job.liveTranscript) {
+      // The full-file pass is the better transcript, but what was heard live
+      // is enough to keep going
+      console.error(`Processing job ${job.id} is using its live transcript:`, error);
+      await this.update(job, {
+        status: 'queued',
+        stage: 'cleaning',
+        attempts: 0,
+        error: undefined,
+        nextAttemptAt: undefined,
+        transcription: {
+          id: `transcription_${Date.now()}`,
+          text: await TranscriptionHandler.getInstance().applyReplacementRules(job.liveTranscript),
+          createdAt: new Date(),
+        },
+      });
+      return;
+    }
+
+    if (!retryable || attempts >= MAX_ATTEMPTS) {
+      console.error(`Processing job ${job.id} failed while ${job.stage}:`, error);
+      await this.update(job, {
+        status: 'failed',
+        attempts,
+        error: message,
+        nextAttemptAt: undefined,
+        progress: undefined,
+      });
+      return;
+    }
+
+    await this.update(job, {
+      status: 'waiting_retry',
+      attempts,
+      error: message,
+      progress: undefined,
+      nextAttemptAt: new Date(Date.now() + this.retryDelay(attempts)),
+    });
+  }
+
+  // Exponential backoff with jitter: ~2s, 4s, 8s, ... capped at a minute
+  private retryDelay(attempts: number): number {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  private async update(job: ProcessingJob, changes: Partial<ProcessingJob>): Promise<ProcessingJob> {
+    const updated: ProcessingJob = { ...job, ...changes, updatedAt: new Date() };
+    await StorageManager.getInstance().saveProcessingJob(updated);
+    this.jobs.set(updated.id, updated);
+    this.notify(updated);
+    return updated;
+  }
+
+  // Completed and cancelled jobs are removed from storage; listeners still get
+  // the final state
+  private async finish(job: ProcessingJob, changes: Partial<ProcessingJob>): Promise<ProcessingJob> {
+    const finished: ProcessingJob = { ...job, ...changes, updatedAt: new Date() };
+    await StorageManager.getInstance().deleteProcessingJob(finished.id);
+    this.jobs.delete(finished.id);
+    this.notify(finished);
+    return finished;
+  }
+
+  // Progress changes often and is meaningless after a restart, so it is
+  // published without a database write
+  private setProgress(jobId: string, progress: ProcessingJob['progress']): void {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'running') return;
+    const updated = { ...job, progress };
+    this.jobs.set(jobId, updated);
+    this.notify(updated);
+  }
+
+  private notify(job: ProcessingJob): void {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ ...job });
+      } catch (error) {
+        console.error('Error in processing job listener:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,328 @@
+import { Note, ParsedSearchQuery, SearchField, SearchMatch, SearchResult, Summary } from '../types';
+import { normalizeLanguage } from './languages';
+
+interface Posting {
+  noteId: string;
+  field: SearchField;
+  position: number;
+  start: number;
+  end: number;
+}
+
+interface IndexedNote {
+  note: Note;
+  terms: Set<string>;
+  fieldLengths: Partial<Record<SearchField, number>>;
+}
+
+interface Token {
+  term: string;
+  position: number;
+  start: number;
+  end: number;
+}
+
+const FIELD_WEIGHTS: Record<SearchField, number> = {
+  title: 3,
+  tags: 2,
+  summary: 1.5,
+  text: 1,
+  original: 0.5,
+};
+
+const NOTE_TYPES: Summary['type'][] = ['journal', 'tasks', 'general'];
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+// Terms only matched as a prefix ("meet" → "meeting") count for less than exact hits
+const PREFIX_MATCH_WEIGHT = 0.5;
+const PHRASE_BOOST = 2;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+const QUERY_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"?|(\S+)/g;
+
+export function tokenize(text: string): Token[] {
+  const tokens: Token[] = [];
+  let position = 0;
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const start = match.index ?? 0;
+    tokens.push({
+      term: match[0].toLowerCase(),
+      position: position++,
+      start,
+      end: start + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+// YYYY-MM-DD in the device's local time zone, matching how dates are shown
+function parseDateOperand(value: string): Date | null {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Splits a raw query such as `tag:work "design review" before:2026-01-01 mockups`
+// into free-text terms, quoted phrases and filters. Operators that are unknown
+// or have an invalid value fall back to being searched as plain text.
+export function parseSearchQuery(query: string): ParsedSearchQuery {
+  const parsed: ParsedSearchQuery = { terms: [], phrases: [], tags: [], types: [], languages: [] };
+  const addText = (text: string) => {
+    parsed.terms.push(...tokenize(text).map(token => token.term));
+  };
+
+  for (const match of query.matchAll(QUERY_PATTERN)) {
+    const [raw, operator, operand, phrase, word] = match;
+
+    if (operator !== undefined) {
+      const value = operand.replace(/^"|"$/g, '');
+      const key = operator.toLowerCase();
+
+      if (key === 'tag' && value) {
+        parsed.tags.push(value.toLowerCase());
+      } else if (key === 'type' && NOTE_TYPES.includes(value.toLowerCase() as Summary['type'])) {
+        parsed.types.push(value.toLowerCase() as Summary['type']);
+      } else if ((key === 'lang' || key === 'language') && normalizeLanguage(value)) {
+        // Several languages match notes in any of them
+        parsed.languages.push(normalizeLanguage(value) as string);
+      } else if ((key === 'before' || key === 'after') && parseDateOperand(value)) {
+        parsed[key] = parseDateOperand(value) as Date;
+      } else {
+        addText(raw);
+      }
+    } else if (phrase !== undefined) {
+      const terms = tokenize(phrase).map(token => token.term);
+      if (terms.length > 1) {
+        parsed.phrases.push(terms);
+      } else {
+        parsed.terms.push(...terms);
+      }
+    } else if (word !== undefined) {
+      addText(word);
+    }
+  }
+
+  return parsed;
+}
+
+function getSearchableFields(note: Note): Partial<Record<SearchField, string>> {
+  const displayedText = note.editedText || note.originalText;
+  return {
+    title: note.title,
+    text: displayedText,
+    original: note.originalText !== displayedText ? note.originalText : undefined,
+    summary: note.summary?.summary,
+    tags: note.tags.join(' '),
+  };
+}
+
+// In-memory inverted index over notes. Lookups are prefix-aware so results
+// update sensibly while the user is still typing a word.
+export class SearchIndex {
+  private postings = new Map<string, Posting[]>();
+  private notes = new Map<string, IndexedNote>();
+
+  constructor(notes: Note[] = []) {
+    notes.forEach(note => this.addNote(note));
+  }
+
+  get size(): number {
+    return this.notes.size;
+  }
+
+  addNote(note: Note): void {
+    this.removeNote(note.id);
+
+    const entry: IndexedNote = { note, terms: new Set(), fieldLengths: {} };
+    const fields = getSearchableFields(note);
+
+    (Object.keys(fields) as SearchField[]).forEach(field => {
+      const value = fields[field];
+      if (!value) return;
+
+      const tokens = tokenize(value);
+      entry.fieldLengths[field] = tokens.length;
+
+      for (const token of tokens) {
+        entry.terms.add(token.term);
+        const list = this.postings.get(token.term) || [];
+        list.push({ noteId: note.id, field, position: token.position, start: token.start, end: token.end });
+        this.postings.set(token.term, list);
+      }
+    });
+
+    this.notes.set(note.id, entry);
+  }
+
+  removeNote(noteId: string): void {
+    const entry = this.notes.get(noteId);
+    if (!entry) return;
+
+    for (const term of entry.terms) {
+      const remaining = (this.postings.get(term) || []).filter(posting => posting.noteId !== noteId);
+      if (remaining.length > 0) {
+        this.postings.set(term, remaining);
+      } else {
+        this.postings.delete(term);
+      }
+    }
+    this.notes.delete(noteId);
+  }
+
+  clear(): void {
+    this.postings.clear();
+    this.notes.clear();
+  }
+
+  search(query: string | ParsedSearchQuery): SearchResult[] {
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const candidates = [...this.notes.values()].filter(entry => this.matchesFilters(entry.note, parsed));
+    const hasTextQuery = parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+    if (!hasTextQuery) {
+      return candidates
+        .map(entry => ({ note: entry.note, score: 0, matches: [] }))
+        .sort((a, b) => b.note.createdAt.getTime() - a.note.createdAt.getTime());
+    }
+
+    const candidateIds = new Set(candidates.map(entry => entry.note.id));
+    const averageLengths = this.getAverageFieldLengths();
+    const scores = new Map<string, number>();
+    const matches = new Map<string, SearchMatch[]>();
+    // Every term and phrase has to match somewhere in the note
+    let matchingIds: Set<string> | null = null;
+
+    const record = (postings: Posting[], weight: number, idf: number, hitIds: Set<string>) => {
+      const termFrequency = new Map<string, number>();
+      for (const posting of postings) {
+        if (!candidateIds.has(posting.noteId)) continue;
+        const key = `${posting.noteId}|${posting.field}`;
+        termFrequency.set(key, (termFrequency.get(key) || 0) + 1);
+        hitIds.add(posting.noteId);
+
+        const noteMatches = matches.get(posting.noteId) || [];
+        noteMatches.push({ field: posting.field, start: posting.start, end: posting.end });
+        matches.set(posting.noteId, noteMatches);
+      }
+
+      termFrequency.forEach((tf, key) => {
+        const [noteId, field] = key.split('|') as [string, SearchField];
+        const length = this.notes.get(noteId)?.fieldLengths[field] || 0;
+        const norm = 1 - B + B * (length / (averageLengths[field] || 1));
+        const fieldScore = FIELD_WEIGHTS[field] * idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+        scores.set(noteId, (scores.get(noteId) || 0) + weight * fieldScore);
+      });
+    };
+
+    for (const term of parsed.terms) {
+      const hitIds = new Set<string>();
+      for (const [indexTerm, postings] of this.postings) {
+        if (!indexTerm.startsWith(term)) continue;
+        const weight = indexTerm === term ? 1 : PREFIX_MATCH_WEIGHT;
+        record(postings, weight, this.getIdf(postings), hitIds);
+      }
+      matchingIds = this.intersect(matchingIds, hitIds);
+    }
+
+    for (const phrase of parsed.phrases) {
+      const hitIds = new Set<string>();
+      const phrasePostings = this.findPhrase(phrase);
+      record(phrasePostings, PHRASE_BOOST, this.getIdf(phrasePostings), hitIds);
+      matchingIds = this.intersect(matchingIds, hitIds);
+    }
+
+    return [...(matchingIds || [])]
+      .map(noteId => ({
+        note: (this.notes.get(noteId) as IndexedNote).note,
+        score: scores.get(noteId) || 0,
+        matches: this.mergeMatches(matches.get(noteId) || []),
+      }))
+      .sort((a, b) => b.score - a.score || b.note.createdAt.getTime() - a.note.createdAt.getTime());
+  }
+
+  private matchesFilters(note: Note, query: ParsedSearchQuery): boolean {
+    if (query.tags.length > 0) {
+      const noteTags = note.tags.map(tag => tag.toLowerCase());
+      if (!query.tags.every(tag => noteTags.includes(tag))) return false;
+    }
+    if (query.types.length > 0 && (!note.summary || !query.types.includes(note.summary.type))) return false;
+    if (query.languages.length > 0 && !query.languages.includes(note.transcription.language as string)) {
+      return false;
+    }
+    if (query.before && note.createdAt >= query.before) return false;
+    if (query.after && note.createdAt < query.after) return false;
+    return true;
+  }
+
+  // A phrase matches where each term follows the previous one in the same field.
+  // The returned postings span from the first to the last word of the phrase.
+  private findPhrase(terms: string[]): Posting[] {
+    const [first, ...rest] = terms;
+    const results: Posting[] = [];
+
+    for (const start of this.postings.get(first) || []) {
+      let end: Posting | undefined = start;
+      for (let offset = 1; offset <= rest.length && end; offset++) {
+        end = (this.postings.get(rest[offset - 1]) || []).find(posting =>
+          posting.noteId === start.noteId &&
+          posting.field === start.field &&
+          posting.position === start.position + offset
+        );
+      }
+      if (end) {
+        results.push({ ...start, end: end.end });
+      }
+    }
+    return results;
+  }
+
+  private getIdf(postings: Posting[]): number {
+    const documentFrequency = new Set(postings.map(posting => posting.noteId)).size;
+    const total = this.notes.size;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  private getAverageFieldLengths(): Partial<Record<SearchField, number>> {
+    const totals: Partial<Record<SearchField, { sum: number; count: number }>> = {};
+    for (const entry of this.notes.values()) {
+      (Object.keys(entry.fieldLengths) as SearchField[]).forEach(field => {
+        const total = totals[field] || { sum: 0, count: 0 };
+        total.sum += entry.fieldLengths[field] || 0;
+        total.count += 1;
+        totals[field] = total;
+      });
+    }
+
+    const averages: Partial<Record<SearchField, number>> = {};
+    (Object.keys(totals) as SearchField[]).forEach(field => {
+      const total = totals[field] as { sum: number; count: number };
+      averages[field] = total.sum / total.count;
+    });
+    return averages;
+  }
+
+  private intersect(current: Set<string> | null, next: Set<string>): Set<string> {
+    if (current === null) return next;
+    return new Set([...current].filter(id => next.has(id)));
+  }
+
+  // Sorts matches and folds overlapping ranges so they can be highlighted directly
+  private mergeMatches(matches: SearchMatch[]): SearchMatch[] {
+    const sorted = [...matches].sort((a, b) =>
+      a.field === b.field ? a.start - b.start : a.field.localeCompare(b.field)
+    );
+    const merged: SearchMatch[] = [];
+    for (const match of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && last.field === match.field && match.start <= last.end) {
+        last.end = Math.max(last.end, match.end);
+      } else {
+        merged.push({ ...match });
+      }
+    }
+    return merged;
+  }
+}
@@ -0,0 +1,103 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppSettings } from '../types';
+
+export const DEFAULT_SETTINGS: AppSettings = {
+  transcription: {
+    type: 'mock',
+    // faster-whisper-server and most self-hosted Whisper servers listen here
+    baseUrl: 'http://localhost:8000',
+    apiKey: '',
+    model: 'whisper-1',
+    timeoutMs: 120000,
+    language: '',
+    streamingEnabled: false,
+    streamingUrl: '',
+  },
+  llm: {
+    type: 'mock',
+    baseUrl: 'http://localhost:11434',
+    apiKey: '',
+    model: 'llama3.2',
+    timeoutMs: 60000,
+    temperature: 0.2,
+    outputLanguage: '',
+  },
+  vocabulary: {
+    terms: [],
+    rules: [],
+  },
+  cleanup: {
+    removeFillers: true,
+    fixPunctuation: true,
+    paragraphs: true,
+    polishWithAI: false,
+  },
+};
+
+type SettingsListener = (settings: AppSettings) => void;
+
+export class SettingsManager {
+  private static instance: SettingsManager;
+  private readonly SETTINGS_KEY = '@voice_journal_settings';
+  private settings: AppSettings | null = null;
+  private listeners = new Set<SettingsListener>();
+
+  static getInstance(): SettingsManager {
+    if (!SettingsManager.instance) {
+      SettingsManager.instance = new SettingsManager();
+    }
+    return SettingsManager.instance;
+  }
+
+  async getSettings(): Promise<AppSettings> {
+    if (this.settings) return this.settings;
+
+    try {
+      const settingsJson = await AsyncStorage.getItem(this.SETTINGS_KEY);
+      this.settings = this.withDefaults(settingsJson ? JSON.parse(settingsJson) : {});
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      this.settings = this.withDefaults({});
+    }
+    return this.settings;
+  }
+
+  // Merges one settings section, e.g. updateSettings('transcription', { baseUrl })
+  async updateSettings<K extends keyof AppSettings>(
+    section: K,
+    changes: Partial<AppSettings[K]>
+  ): Promise<AppSettings> {
+    const current = await this.getSettings();
+    const updated: AppSettings = {
+      ...current,
+      [section]: { ...current[section], ...changes },
+    };
+
+    try {
+      await AsyncStorage.setItem(this.SETTINGS_KEY, JSON.stringify(updated));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      throw new Error('Failed to save settings');
+    }
+
+    this.settings = updated;
+    this.listeners.forEach(listener => listener(updated));
+    return updated;
+  }
+
+  addListener(listener: SettingsListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  // Stored settings may predate newer fields, so fill every section from the defaults
+  private withDefaults(stored: Partial<AppSettings>): AppSettings {
+    const merged = { ...DEFAULT_SETTINGS } as AppSettings;
+    (Object.keys(DEFAULT_SETTINGS) as (keyof AppSettings)[]).forEach(section => {
+      merged[section] = { ...DEFAULT_SETTINGS[section], ...(stored[section] || {}) } as any;
+    });
+    return merged;
+  }
+}
@@ -1,10 +1,158 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Note } from '../types';
+import * as SQLite from 'expo-sqlite';
+import {
+  MoodEntry,
+  MoodLabel,
+  Note,
+  NoteTask,
+  ProcessingJob,
+  SearchResult,
+  Summary,
+  SummaryTask,
+  TaskFilter,
+  TranscriptCorrection,
+} from '../types';
+import { AudioAssetManager } from './AudioAssetManager';
+import ErrorHandler from './ErrorHandler';
+import { runMigrations } from './migrations';
+import { getEffectiveMood } from './mood';
+import { SearchIndex } from './SearchIndex';
+import { hasTag } from './tags';
+import { parseStoredTasks, toIsoDate } from './tasks';
+
+interface NoteRow {
+  id: string;
+  title: string | null;
+  title_edited: number;
+  original_text: string;
+  edited_text: string | null;
+  created_at: string;
+  updated_at: string;
+  summary_status: Note['summaryStatus'];
+  summary_error: string | null;
+  speaker_names: string | null;
+  suggested_tags: string | null;
+  awaiting_transcription: number;
+  transcription_id: string;
+  transcription_text: string;
+  transcription_confidence: number | null;
+  transcription_language: string | null;
+  transcription_segments: string | null;
+  transcription_words: string | null;
+  transcription_created_at: string;
+  summary_id: string | null;
+  summary_original_text: string | null;
+  summary_text: string | null;
+  summary_type: 'journal' | 'tasks' | 'general' | null;
+  summary_journal_prompt: string | null;
+  summary_created_at: string | null;
+  summary_mood_score: number | null;
+  summary_mood_label: MoodLabel | null;
+  summary_mood_emotions: string | null;
+  summary_mood_user_label: MoodLabel | null;
+  recording_id: string | null;
+  recording_uri: string | null;
+  recording_duration: number | null;
+  recording_size: number | null;
+  recording_checksum: string | null;
+  recording_created_at: string | null;
+}
+
+interface ProcessingJobRow {
+  id: string;
+  note_id: string;
+  audio_uri: string;
+  audio_recording: string | null;
+  status: ProcessingJob['status'];
+  stage: ProcessingJob['stage'];
+  attempts: number;
+  next_attempt_at: string | null;
+  error: string | null;
+  transcription: string | null;
+  summary: string | null;
+  summary_error: string | null;
+  live_transcript: string | null;
+  cleaned_text: string | null;
+  title: string | null;
+  suggested_tags: string | null;
+  note_saved: number;
+  created_at: string;
+  updated_at: string;
+}
+
+interface CorrectionRow {
+  id: string;
+  note_id: string;
+  word_index: number;
+  original: string;
+  replacement: string;
+  start_ms: number;
+  end_ms: number;
+  created_at: string;
+}
+
+interface TaskRow {
+  id: string;
+  note_id: string;
+  text: string;
+  due_date: string | null;
+  priority: SummaryTask['priority'] | null;
+  assignee: string | null;
+  source_start: number | null;
+  source_end: number | null;
+  completed: number;
+  completed_at: string | null;
+}
+
+interface NoteTaskRow extends TaskRow {
+  note_title: string | null;
+  note_created_at: string;
+}
+
+interface MoodRow {
+  note_id: string;
+  created_at: string;
+  mood_score: number;
+  mood_label: MoodLabel;
+  mood_emotions: string | null;
+  mood_user_label: MoodLabel | null;
+}
+
+interface NoteTagRow {
+  note_id: string;
+  tag: string;
+}
+
+const NOTE_SELECT = `
+  SELECT
+    n.id, n.title, n.title_edited, n.original_text, n.edited_text, n.created_at, n.updated_at,
+    n.summary_status, n.summary_error, n.speaker_names, n.suggested_tags, n.awaiting_transcription,
+    t.id AS transcription_id, t.text AS transcription_text,
+    t.confidence AS transcription_confidence, t.language AS transcription_language, t.segments AS transcription_segments,
+    t.words AS transcription_words, t.created_at AS transcription_created_at,
+    s.id AS summary_id, s.original_text AS summary_original_text, s.summary AS summary_text,
+    s.type AS summary_type, s.journal_prompt AS summary_journal_prompt,
+    s.created_at AS summary_created_at, s.mood_score AS summary_mood_score, s.mood_label AS summary_mood_label,
+    s.mood_emotions AS summary_mood_emotions, s.mood_user_label AS summary_mood_user_label,
+    r.id AS recording_id, r.uri AS recording_uri,
+    r.duration AS recording_duration, r.size AS recording_size,
+    r.checksum AS recording_checksum, r.created_at AS recording_created_at
+  FROM notes n
+  JOIN transcriptions t ON t.note_id = n.id
+  LEFT JOIN summaries s ON s.note_id = n.id
+  LEFT JOIN recordings r ON r.note_id = n.id
+`;
 
 export class StorageManager {
   private static instance: StorageManager;
-  private readonly NOTES_KEY = '@voice_journal_notes';
-  private readonly TAGS_KEY = '@voice_journal_tags';
+  private readonly DATABASE_NAME = 'voice_journal.db';
+  // Keys used by the original AsyncStorage backend; only read during migration
+  private readonly LEGACY_NOTES_KEY = '@voice_journal_notes';
+  private readonly LEGACY_TAGS_KEY = '@voice_journal_tags';
+
+  private databasePromise: Promise<SQLite.SQLiteDatabase> | null = null;
+  private writeQueue: Promise<unknown> = Promise.resolve();
+  private searchIndex: SearchIndex | null = null;
 
   static getInstance(): StorageManager {
     if (!StorageManager.instance) {
@@ -15,17 +163,8 @@ export class StorageManager {
 
   async saveNote(note: Note): Promise<void> {
     try {
-      const existingNotes = await this.getAllNotes();
-      const noteIndex = existingNotes.findIndex(n => n.id === note.id);
-      
-      if (noteIndex >= 0) {
-        existingNotes[noteIndex] = note;
-      } else {
-        existingNotes.push(note);
-      }
-      
-      await AsyncStorage.setItem(this.NOTES_KEY, JSON.stringify(existingNotes));
-      await this.updateTags(note.tags);
+      await this.runWrite(db => this.writeNote(db, note));
+      this.searchIndex?.addNote(note);
     } catch (error) {
       console.error('Error saving note:', error);
       throw new Error('Failed to save note');
@@ -34,27 +173,7 @@ export class StorageManager {
 
   async getAllNotes(): Promise<Note[]> {
     try {
-      const notesJson = await AsyncStorage.getItem(this.NOTES_KEY);
-      if (!notesJson) return [];
-      
-      const notes = JSON.parse(notesJson);
-      return notes.map((note: any) => ({
-        ...note,
-        createdAt: new Date(note.createdAt),
-        updatedAt: new Date(note.updatedAt),
-        transcription: {
-          ...note.transcription,
-          createdAt: new Date(note.transcription.createdAt),
-        },
-        summary: {
-          ...note.summary,
-          createdAt: new Date(note.summary.createdAt),
-        },
-        audioRecording: note.audioRecording ? {
-          ...note.audioRecording,
-          createdAt: new Date(note.audioRecording.createdAt),
-        } : undefined,
-      }));
+      return await this.queryNotes('ORDER BY n.created_at DESC');
     } catch (error) {
       console.error('Error getting notes:', error);
       return [];
@@ -63,8 +182,8 @@ export class StorageManager {
 
   async getNoteById(id: string): Promise<Note | null> {
     try {
-      const notes = await this.getAllNotes();
-      return notes.find(note => note.id === id) || null;
+      const notes = await this.queryNotes('WHERE n.id = ?', [id]);
+      return notes[0] || null;
     } catch (error) {
       console.error('Error getting note by id:', error);
       return null;
@@ -72,59 +191,704 @@ export class StorageManager {
   }
 
   async deleteNote(id: string): Promise<void> {
+    let audioUri: string | undefined;
     try {
-      const notes = await this.getAllNotes();
-      const filteredNotes = notes.filter(note => note.id !== id);
-      await AsyncStorage.setItem(this.NOTES_KEY, JSON.stringify(filteredNotes));
+      audioUri = await this.runWrite(async db => {
+        const recording = await db.getFirstAsync<{ uri: string }>(
+          'SELECT uri FROM recordings WHERE note_id = ?',
+          id
+        );
+        // Child rows are removed through ON DELETE CASCADE
+        await db.runAsync('DELETE FROM notes WHERE id = ?', id);
+        return recording?.uri;
+      });
+      this.searchIndex?.removeNote(id);
     } catch (error) {
       console.error('Error deleting note:', error);
       throw new Error('Failed to delete note');
     }
+
+    // The note is already gone; a leftover file only costs space
+    if (audioUri) {
+      await AudioAssetManager.getInstance().deleteAudio(audioUri).catch(() => undefined);
+    }
   }
 
   async getAllTags(): Promise<string[]> {
     try {
-      const tagsJson = await AsyncStorage.getItem(this.TAGS_KEY);
-      return tagsJson ? JSON.parse(tagsJson) : [];
+      const db = await this.getDatabase();
+      const rows = await db.getAllAsync<{ name: string }>('SELECT name FROM tags ORDER BY rowid');
+      return rows.map(row => row.name);
     } catch (error) {
       console.error('Error getting tags:', error);
       return [];
     }
   }
 
-  private async updateTags(newTags: string[]): Promise<void> {
+  // Ranked full-text search; see parseSearchQuery for the supported operators
+  async search(query: string): Promise<SearchResult[]> {
     try {
-      const existingTags = await this.getAllTags();
-      const allTags = [...new Set([...existingTags, ...newTags])];
-      await AsyncStorage.setItem(this.TAGS_KEY, JSON.stringify(allTags));
+      const index = await this.getSearchIndex();
+      return index.search(query);
     } catch (error) {
-      console.error('Error updating tags:', error);
+      console.error('Error searching notes:', error);
+      return [];
     }
   }
 
   async searchNotes(query: string): Promise<Note[]> {
+    const results = await this.search(query);
+    return results.map(result => result.note);
+  }
+
+  // Tasks from every note, open ones first and soonest due first
+  async getTasks(filter: TaskFilter): Promise<NoteTask[]> {
     try {
-      const notes = await this.getAllNotes();
-      const lowerQuery = query.toLowerCase();
-      
-      return notes.filter(note => 
-        note.originalText.toLowerCase().includes(lowerQuery) ||
-        (note.editedText && note.editedText.toLowerCase().includes(lowerQuery)) ||
-        note.summary.summary.toLowerCase().includes(lowerQuery) ||
-        note.tags.some(tag => tag.toLowerCase().includes(lowerQuery))
+      const db = await this.getDatabase();
+      const conditions: string[] = [];
+      const params: SQLite.SQLiteBindValue[] = [];
+
+      if (filter.status === 'open' || filter.status === 'overdue') conditions.push('k.completed = 0');
+      if (filter.status === 'completed') conditions.push('k.completed = 1');
+      if (filter.status === 'overdue') {
+        conditions.push('k.due_date < ?');
+        params.push(toIsoDate(new Date()));
+      }
+      if (filter.tag) {
+        conditions.push('EXISTS (SELECT 1 FROM note_tags nt WHERE nt.note_id = k.note_id AND nt.tag = ?)');
+        params.push(filter.tag);
+      }
+
+      const rows = await db.getAllAsync<NoteTaskRow>(
+        `SELECT k.*, n.title AS note_title, n.created_at AS note_created_at
+         FROM tasks k
+         JOIN notes n ON n.id = k.note_id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY k.completed, k.due_date IS NULL, k.due_date, n.created_at DESC, k.position`,
+        params
       );
+      if (rows.length === 0) return [];
+
+      const tagsByNote = await this.getTagsByNote(db, [...new Set(rows.map(row => row.note_id))]);
+      return rows.map(row => ({
+        task: this.rowToTask(row),
+        noteId: row.note_id,
+        noteTitle: row.note_title ?? undefined,
+        noteTags: tagsByNote.get(row.note_id) || [],
+        noteCreatedAt: new Date(row.note_created_at),
+      }));
     } catch (error) {
-      console.error('Error searching notes:', error);
+      console.error('Error getting tasks:', error);
+      return [];
+    }
+  }
+
+  // Checks a task off (or reopens it) and returns its note as saved
+  async setTaskCompleted(taskId: string, completed: boolean): Promise<Note> {
+    let noteId: string | undefined;
+    try {
+      await this.runWrite(db => db.withTransactionAsync(async () => {
+        const task = await db.getFirstAsync<{ note_id: string }>('SELECT note_id FROM tasks WHERE id = ?', taskId);
+        if (!task) return;
+
+        const now = new Date().toISOString();
+        await db.runAsync(
+          'UPDATE tasks SET completed = ?, completed_at = ? WHERE id = ?',
+          completed ? 1 : 0,
+          completed ? now : null,
+          taskId
+        );
+        await db.runAsync('UPDATE notes SET updated_at = ? WHERE id = ?', now, task.note_id);
+        noteId = task.note_id;
+      }));
+    } catch (error) {
+      console.error('Error updating task:', error);
+      throw new Error('Failed to update task');
+    }
+
+    const note = noteId ? await this.getNoteById(noteId) : null;
+    if (!note) {
+      throw new Error('Task not found');
+    }
+    this.searchIndex?.addNote(note);
+    return note;
+  }
+
+  // The mood of every analyzed note, oldest first, with the user's corrections applied
+  async getMoodEntries(): Promise<MoodEntry[]> {
+    try {
+      const db = await this.getDatabase();
+      const rows = await db.getAllAsync<MoodRow>(
+        `SELECT s.note_id, n.created_at, s.mood_score, s.mood_label, s.mood_emotions, s.mood_user_label
+         FROM summaries s
+         JOIN notes n ON n.id = s.note_id
+         WHERE s.mood_label IS NOT NULL
+         ORDER BY n.created_at`
+      );
+      return rows.map(row => {
+        const emotions: string[] = row.mood_emotions ? JSON.parse(row.mood_emotions) : [];
+        return {
+          noteId: row.note_id,
+          ...getEffectiveMood({
+            score: row.mood_score,
+            label: row.mood_label,
+            emotions,
+            userLabel: row.mood_user_label ?? undefined,
+          }),
+          emotions,
+          createdAt: new Date(row.created_at),
+        };
+      });
+    } catch (error) {
+      console.error('Error getting moods:', error);
       return [];
     }
   }
 
+  // Records the mood the user picked for a note, or clears it with undefined
+  // so the detected mood counts again. Returns the note as saved.
+  async setNoteMood(noteId: string, userLabel: MoodLabel | undefined): Promise<Note> {
+    let updated = false;
+    try {
+      await this.runWrite(db => db.withTransactionAsync(async () => {
+        const result = await db.runAsync(
+          'UPDATE summaries SET mood_user_label = ? WHERE note_id = ? AND mood_label IS NOT NULL',
+          userLabel ?? null,
+          noteId
+        );
+        if (result.changes === 0) return;
+
+        await db.runAsync('UPDATE notes SET updated_at = ? WHERE id = ?', new Date().toISOString(), noteId);
+        updated = true;
+      }));
+    } catch (error) {
+      console.error('Error updating mood:', error);
+      throw new Error('Failed to update mood');
+    }
+
+    const note = updated ? await this.getNoteById(noteId) : null;
+    if (!note) {
+      throw new Error('Note has no mood');
+    }
+    this.searchIndex?.addNote(note);
+    return note;
+  }
+
+  // Adds a tag to a note, e.g. one of its suggestions, and returns the note as saved
+  async addTagToNote(noteId: string, tag: string): Promise<Note> {
+    const note = await this.getNoteById(noteId);
+    if (!note) {
+      throw new Error('Note not found');
+    }
+
+    const updated: Note = {
+      ...note,
+      tags: hasTag(note.tags, tag) ? note.tags : [...note.tags, tag],
+      suggestedTags: note.suggestedTags?.filter(suggested => suggested.toLowerCase() !== tag.toLowerCase()),
+      updatedAt: new Date(),
+    };
+    await this.saveNote(updated);
+    return updated;
+  }
+
+  // Everything the app stored: notes and tags, queued processing jobs and
+  // the audio files behind them. Goes through ProcessingQueue.clearAllData,
+  // which stops the jobs first.
   async clearAllData(): Promise<void> {
     try {
-      await AsyncStorage.multiRemove([this.NOTES_KEY, this.TAGS_KEY]);
+      await this.runWrite(db => db.withTransactionAsync(async () => {
+        await db.execAsync(`
+          DELETE FROM note_tags;
+          DELETE FROM note_corrections;
+          DELETE FROM tasks;
+          DELETE FROM recordings;
+          DELETE FROM summaries;
+          DELETE FROM transcriptions;
+          DELETE FROM notes;
+          DELETE FROM tags;
+          DELETE FROM processing_jobs;
+        `);
+      }));
+      this.searchIndex?.clear();
+      await AudioAssetManager.getInstance().deleteAllAudio();
     } catch (error) {
       console.error('Error clearing data:', error);
       throw new Error('Failed to clear data');
     }
   }
-}
\ No newline at end of file
+
+  // Persists a processing job checkpoint, replacing any earlier state
+  async saveProcessingJob(job: ProcessingJob): Promise<void> {
+    try {
+      await this.runWrite(db => db.runAsync(
+        `INSERT OR REPLACE INTO processing_jobs
+           (id, note_id, audio_uri, audio_recording, status, stage, attempts,
+            next_attempt_at, error, transcription, summary, summary_error, live_transcript,
+            cleaned_text, title, suggested_tags, note_saved, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        job.id,
+        job.noteId,
+        job.audioUri,
+        job.audioRecording ? JSON.stringify(job.audioRecording) : null,
+        job.status,
+        job.stage,
+        job.attempts,
+        job.nextAttemptAt?.toISOString() ?? null,
+        job.error ?? null,
+        job.transcription ? JSON.stringify(job.transcription) : null,
+        job.summary ? JSON.stringify(job.summary) : null,
+        job.summaryError ?? null,
+        job.liveTranscript ?? null,
+        job.cleanedText ?? null,
+        job.title ?? null,
+        job.suggestedTags ? JSON.stringify(job.suggestedTags) : null,
+        job.noteSaved ? 1 : 0,
+        job.createdAt.toISOString(),
+        job.updatedAt.toISOString()
+      ));
+    } catch (error) {
+      console.error('Error saving processing job:', error);
+      throw new Error('Failed to save processing job');
+    }
+  }
+
+  async getProcessingJobs(): Promise<ProcessingJob[]> {
+    try {
+      const db = await this.getDatabase();
+      const rows = await db.getAllAsync<ProcessingJobRow>(
+        'SELECT * FROM processing_jobs ORDER BY created_at'
+      );
+      return rows.map(row => this.rowToProcessingJob(row));
+    } catch (error) {
+      console.error('Error getting processing jobs:', error);
+      return [];
+    }
+  }
+
+  async deleteProcessingJob(id: string): Promise<void> {
+    try {
+      await this.runWrite(db => db.runAsync('DELETE FROM processing_jobs WHERE id = ?', id));
+    } catch (error) {
+      console.error('Error deleting processing job:', error);
+      throw new Error('Failed to delete processing job');
+    }
+  }
+
+  // Opens the database once and prepares it before the first query runs
+  private getDatabase(): Promise<SQLite.SQLiteDatabase> {
+    if (!this.databasePromise) {
+      this.databasePromise = this.openDatabase().catch(error => {
+        // Allow the next call to retry instead of caching the failure
+        this.databasePromise = null;
+        throw error;
+      });
+    }
+    return this.databasePromise;
+  }
+
+  private async openDatabase(): Promise<SQLite.SQLiteDatabase> {
+    const db = await SQLite.openDatabaseAsync(this.DATABASE_NAME);
+    await db.execAsync(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA foreign_keys = ON;
+    `);
+    await runMigrations(db);
+    await this.migrateFromAsyncStorage(db);
+    return db;
+  }
+
+  // Built from every note on first search, then kept current by the write
+  // methods. Building goes through the write queue so no save can land between
+  // reading the notes and publishing the index.
+  private async getSearchIndex(): Promise<SearchIndex> {
+    if (this.searchIndex) return this.searchIndex;
+    return this.runWrite(async () => {
+      if (!this.searchIndex) {
+        this.searchIndex = new SearchIndex(await this.queryNotes(''));
+      }
+      return this.searchIndex;
+    });
+  }
+
+  // Serialize writes so concurrent saves cannot interleave their transactions
+  private runWrite<T>(task: (db: SQLite.SQLiteDatabase) => Promise<T>): Promise<T> {
+    const result = this.writeQueue.then(async () => task(await this.getDatabase()));
+    this.writeQueue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async writeNote(db: SQLite.SQLiteDatabase, note: Note): Promise<void> {
+    await db.withTransactionAsync(async () => {
+      await this.insertNote(db, note);
+    });
+  }
+
+  // Must be called inside a transaction
+  private async insertNote(db: SQLite.SQLiteDatabase, note: Note): Promise<void> {
+    await db.runAsync(
+      `INSERT INTO notes
+         (id, title, title_edited, original_text, edited_text, summary_status, summary_error, speaker_names,
+          suggested_tags, awaiting_transcription, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         title = excluded.title,
+         title_edited = excluded.title_edited,
+         original_text = excluded.original_text,
+         edited_text = excluded.edited_text,
+         summary_status = excluded.summary_status,
+         summary_error = excluded.summary_error,
+         speaker_names = excluded.speaker_names,
+         suggested_tags = excluded.suggested_tags,
+         awaiting_transcription = excluded.awaiting_transcription,
+         created_at = excluded.created_at,
+         updated_at = excluded.updated_at`,
+      note.id,
+      note.title ?? null,
+      note.titleEdited ? 1 : 0,
+      note.originalText,
+      note.editedText ?? null,
+      note.summaryStatus,
+      note.summaryError ?? null,
+      note.speakerNames ? JSON.stringify(note.speakerNames) : null,
+      note.suggestedTags?.length ? JSON.stringify(note.suggestedTags) : null,
+      note.awaitingTranscription ? 1 : 0,
+      note.createdAt.toISOString(),
+      note.updatedAt.toISOString()
+    );
+
+    const { transcription, summary, audioRecording } = note;
+
+    await db.runAsync(
+      `INSERT OR REPLACE INTO transcriptions (note_id, id, text, confidence, language, segments, words, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      note.id,
+      transcription.id,
+      transcription.text,
+      transcription.confidence ?? null,
+      transcription.language ?? null,
+      transcription.segments ? JSON.stringify(transcription.segments) : null,
+      transcription.words ? JSON.stringify(transcription.words) : null,
+      transcription.createdAt.toISOString()
+    );
+
+    if (summary) {
+      await db.runAsync(
+        `INSERT OR REPLACE INTO summaries
+           (note_id, id, original_text, summary, type, journal_prompt, task_list, created_at,
+            mood_score, mood_label, mood_emotions, mood_user_label)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        note.id,
+        summary.id,
+        summary.originalText,
+        summary.summary,
+        summary.type,
+        summary.journalPrompt ?? null,
+        // Tasks live in their own table since schema version 12
+        null,
+        summary.createdAt.toISOString(),
+        summary.mood?.score ?? null,
+        summary.mood?.label ?? null,
+        summary.mood ? JSON.stringify(summary.mood.emotions) : null,
+        summary.mood?.userLabel ?? null
+      );
+    } else {
+      await db.runAsync('DELETE FROM summaries WHERE note_id = ?', note.id);
+    }
+
+    await db.runAsync('DELETE FROM tasks WHERE note_id = ?', note.id);
+    for (const [position, task] of (summary?.taskList || []).entries()) {
+      await db.runAsync(
+        `INSERT OR REPLACE INTO tasks
+           (id, note_id, position, text, due_date, priority, assignee, source_start, source_end, completed, completed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        task.id,
+        note.id,
+        position,
+        task.text,
+        task.dueDate ?? null,
+        task.priority ?? null,
+        task.assignee ?? null,
+        task.sourceStart ?? null,
+        task.sourceEnd ?? null,
+        task.completed ? 1 : 0,
+        task.completedAt?.toISOString() ?? null
+      );
+    }
+
+    if (audioRecording) {
+      await db.runAsync(
+        `INSERT OR REPLACE INTO recordings (note_id, id, uri, duration, size, checksum, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        note.id,
+        audioRecording.id,
+        audioRecording.uri,
+        audioRecording.duration,
+        audioRecording.size ?? null,
+        audioRecording.checksum ?? null,
+        audioRecording.createdAt.toISOString()
+      );
+    } else {
+      await db.runAsync('DELETE FROM recordings WHERE note_id = ?', note.id);
+    }
+
+    await db.runAsync('DELETE FROM note_tags WHERE note_id = ?', note.id);
+    const uniqueTags = [...new Set(note.tags)];
+    for (const [position, tag] of uniqueTags.entries()) {
+      await db.runAsync('INSERT OR IGNORE INTO tags (name) VALUES (?)', tag);
+      await db.runAsync(
+        'INSERT INTO note_tags (note_id, tag, position) VALUES (?, ?, ?)',
+        note.id,
+        tag,
+        position
+      );
+    }
+
+    // The correction log is append-only: entries are never rewritten
+    for (const correction of note.corrections || []) {
+      await db.runAsync(
+        `INSERT OR IGNORE INTO note_corrections
+           (id, note_id, word_index, original, replacement, start_ms, end_ms, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        correction.id,
+        note.id,
+        correction.wordIndex,
+        correction.original,
+        correction.replacement,
+        correction.startMs,
+        correction.endMs,
+        correction.createdAt.toISOString()
+      );
+    }
+  }
+
+  private async queryNotes(clause: string, params: SQLite.SQLiteBindValue[] = []): Promise<Note[]> {
+    const db = await this.getDatabase();
+    const rows = await db.getAllAsync<NoteRow>(`${NOTE_SELECT} ${clause}`, params);
+    if (rows.length === 0) return [];
+
+    const placeholders = rows.map(() => '?').join(', ');
+    const tagsByNote = await this.getTagsByNote(db, rows.map(row => row.id));
+
+    const correctionRows = await db.getAllAsync<CorrectionRow>(
+      `SELECT * FROM note_corrections WHERE note_id IN (${placeholders}) ORDER BY created_at`,
+      rows.map(row => row.id)
+    );
+
+    const correctionsByNote = new Map<string, TranscriptCorrection[]>();
+    for (const correction of correctionRows) {
+      const corrections = correctionsByNote.get(correction.note_id) || [];
+      corrections.push({
+        id: correction.id,
+        wordIndex: correction.word_index,
+        original: correction.original,
+        replacement: correction.replacement,
+        startMs: correction.start_ms,
+        endMs: correction.end_ms,
+        createdAt: new Date(correction.created_at),
+      });
+      correctionsByNote.set(correction.note_id, corrections);
+    }
+
+    const taskRows = await db.getAllAsync<TaskRow>(
+      `SELECT * FROM tasks WHERE note_id IN (${placeholders}) ORDER BY position`,
+      rows.map(row => row.id)
+    );
+
+    const tasksByNote = new Map<string, SummaryTask[]>();
+    for (const taskRow of taskRows) {
+      const tasks = tasksByNote.get(taskRow.note_id) || [];
+      tasks.push(this.rowToTask(taskRow));
+      tasksByNote.set(taskRow.note_id, tasks);
+    }
+
+    return rows.map(row => this.rowToNote(
+      row,
+      tagsByNote.get(row.id) || [],
+      correctionsByNote.get(row.id) || [],
+      tasksByNote.get(row.id)
+    ));
+  }
+
+  private async getTagsByNote(db: SQLite.SQLiteDatabase, noteIds: string[]): Promise<Map<string, string[]>> {
+    const tagRows = await db.getAllAsync<NoteTagRow>(
+      `SELECT note_id, tag FROM note_tags WHERE note_id IN (${noteIds.map(() => '?').join(', ')}) ORDER BY position`,
+      noteIds
+    );
+
+    const tagsByNote = new Map<string, string[]>();
+    for (const { note_id, tag } of tagRows) {
+      const tags = tagsByNote.get(note_id) || [];
+      tags.push(tag);
+      tagsByNote.set(note_id, tags);
+    }
+    return tagsByNote;
+  }
+
+  private rowToTask(row: TaskRow): SummaryTask {
+    return {
+      id: row.id,
+      text: row.text,
+      dueDate: row.due_date ?? undefined,
+      priority: row.priority ?? undefined,
+      assignee: row.assignee ?? undefined,
+      sourceStart: row.source_start ?? undefined,
+      sourceEnd: row.source_end ?? undefined,
+      completed: row.completed === 1 || undefined,
+      completedAt: row.completed_at ? new Date(row.completed_at) : undefined,
+    };
+  }
+
+  private rowToNote(
+    row: NoteRow,
+    tags: string[],
+    corrections: TranscriptCorrection[],
+    tasks?: SummaryTask[]
+  ): Note {
+    return {
+      id: row.id,
+      title: row.title ?? undefined,
+      titleEdited: row.title_edited === 1 || undefined,
+      originalText: row.original_text,
+      editedText: row.edited_text ?? undefined,
+      tags,
+      corrections,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      summaryStatus: row.summary_status,
+      summaryError: row.summary_error ?? undefined,
+      speakerNames: row.speaker_names ? JSON.parse(row.speaker_names) : undefined,
+      suggestedTags: row.suggested_tags ? JSON.parse(row.suggested_tags) : undefined,
+      awaitingTranscription: row.awaiting_transcription === 1 || undefined,
+      transcription: {
+        id: row.transcription_id,
+        text: row.transcription_text,
+        confidence: row.transcription_confidence ?? undefined,
+        language: row.transcription_language ?? undefined,
+        segments: row.transcription_segments ? JSON.parse(row.transcription_segments) : undefined,
+        words: row.transcription_words ? JSON.parse(row.transcription_words) : undefined,
+        createdAt: new Date(row.transcription_created_at),
+      },
+      summary: row.summary_id ? {
+        id: row.summary_id,
+        originalText: row.summary_original_text as string,
+        summary: row.summary_text as string,
+        type: row.summary_type as Summary['type'],
+        journalPrompt: row.summary_journal_prompt ?? undefined,
+        taskList: tasks,
+        mood: row.summary_mood_label ? {
+          score: row.summary_mood_score ?? 0,
+          label: row.summary_mood_label,
+          emotions: row.summary_mood_emotions ? JSON.parse(row.summary_mood_emotions) : [],
+          userLabel: row.summary_mood_user_label ?? undefined,
+        } : undefined,
+        createdAt: new Date(row.summary_created_at as string),
+      } : undefined,
+      audioRecording: row.recording_id ? {
+        id: row.recording_id,
+        uri: row.recording_uri as string,
+        duration: row.recording_duration ?? 0,
+        size: row.recording_size ?? undefined,
+        checksum: row.recording_checksum ?? undefined,
+        createdAt: new Date(row.recording_created_at as string),
+      } : undefined,
+    };
+  }
+
+  private rowToProcessingJob(row: ProcessingJobRow): ProcessingJob {
+    // Checkpoints are stored as JSON, so their dates come back as strings
+    const withCreatedAt = <T extends { createdAt: Date }>(json: string | null): T | undefined => {
+      if (!json) return undefined;
+      const value = JSON.parse(json);
+      return { ...value, createdAt: new Date(value.createdAt) };
+    };
+
+    return {
+      id: row.id,
+      noteId: row.note_id,
+      audioUri: row.audio_uri,
+      audioRecording: withCreatedAt(row.audio_recording),
+      status: row.status,
+      stage: row.stage,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at) : undefined,
+      error: row.error ?? undefined,
+      transcription: withCreatedAt(row.transcription),
+      summary: withCreatedAt(row.summary),
+      summaryError: row.summary_error ?? undefined,
+      liveTranscript: row.live_transcript ?? undefined,
+      cleanedText: row.cleaned_text ?? undefined,
+      title: row.title ?? undefined,
+      suggestedTags: row.suggested_tags ? JSON.parse(row.suggested_tags) : undefined,
+      noteSaved: row.note_saved === 1 || undefined,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+    };
+  }
+
+  // One-time import of notes saved by the AsyncStorage backend. The legacy keys
+  // are only removed once every note has been written, so an interrupted
+  // migration is simply retried on the next launch. Both outcomes go to the
+  // error log alongside the schema migrations.
+  private async migrateFromAsyncStorage(db: SQLite.SQLiteDatabase): Promise<void> {
+    const errorHandler = ErrorHandler.getInstance();
+    try {
+      const [notesJson, tagsJson] = await Promise.all([
+        AsyncStorage.getItem(this.LEGACY_NOTES_KEY),
+        AsyncStorage.getItem(this.LEGACY_TAGS_KEY),
+      ]);
+      if (notesJson === null && tagsJson === null) return;
+
+      const legacyNotes: Note[] = notesJson ? JSON.parse(notesJson).map(this.hydrateLegacyNote) : [];
+      const legacyTags: string[] = tagsJson ? JSON.parse(tagsJson) : [];
+
+      await db.withTransactionAsync(async () => {
+        for (const tag of legacyTags) {
+          await db.runAsync('INSERT OR IGNORE INTO tags (name) VALUES (?)', tag);
+        }
+        for (const note of legacyNotes) {
+          await this.insertNote(db, note);
+        }
+      });
+
+      await AsyncStorage.multiRemove([this.LEGACY_NOTES_KEY, this.LEGACY_TAGS_KEY]);
+      await errorHandler.logError({
+        type: 'migration',
+        message: `Migrated ${legacyNotes.length} notes and ${legacyTags.length} tags from AsyncStorage to SQLite`,
+      });
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      await errorHandler.logError({
+        type: 'migration',
+        message: `Migrating notes from AsyncStorage to SQLite failed: ${reason}`,
+        stack: error instanceof Error ? error.stack : undefined,
+      });
+      throw error;
+    }
+  }
+
+  private hydrateLegacyNote(note: any): Note {
+    return {
+      ...note,
+      // Legacy titles were all typed by the user
+      titleEdited: !!note.title || undefined,
+      tags: note.tags || [],
+      createdAt: new Date(note.createdAt),
+      updatedAt: new Date(note.updatedAt),
+      // Every note saved by the AsyncStorage backend had a summary
+      summaryStatus: 'ready',
+      transcription: {
+        ...note.transcription,
+        createdAt: new Date(note.transcription.createdAt),
+      },
+      summary: {
+        ...note.summary,
+        taskList: parseStoredTasks(note.summary.taskList, note.id),
+        createdAt: new Date(note.summary.createdAt),
+      },
+      audioRecording: note.audioRecording ? {
+        ...note.audioRecording,
+        createdAt: new Date(note.audioRecording.createdAt),
+      } : undefined,
+    };
+  }
+}
@@ -1,7 +1,43 @@
-import { TranscriptionResult } from '../types';
+import { TranscriptionErrorCode, TranscriptionProviderSettings, TranscriptionResult } from '../types';
+import { AudioChunk, AudioSplitter, WavInfo } from './AudioSplitter';
+import { AudioFormat, CONTAINER_NAMES, formatFileSize, sniffAudioFormat } from './audioFormat';
+import { SettingsManager } from './SettingsManager';
+import { createTranscriptionProvider, TranscribeOptions, TranscriptionProvider } from './transcription';
+import { ChunkTranscript, mapWithConcurrency, mergeChunkResults, planChunks } from './transcription/chunking';
+import { applyReplacementRules, applyReplacementRulesToText, buildVocabularyPrompt } from './vocabulary';
+
+export interface TranscriptionProgress {
+  completedChunks: number;
+  totalChunks: number;
+}
+
+// What was found out about a file before transcribing it
+export interface AudioCheck {
+  // Null when the file's header couldn't be read, e.g. on web
+  format: AudioFormat | null;
+  // Set when the file can't be transcribed by the current provider
+  errorCode?: TranscriptionErrorCode;
+  error?: string;
+  // Sample rate to convert a WAV file to before sending it
+  convertToSampleRate?: number;
+}
+
+type ProgressListener = (progress: TranscriptionProgress) => void;
+
+// Recordings longer than this are transcribed in pieces, which also keeps
+// every request well inside the provider timeout
+const CHUNK_WINDOW_MS = 10 * 60 * 1000;
+// Long enough for a word cut at a window edge to be heard whole in the next
+const CHUNK_OVERLAP_MS = 5000;
+const MAX_CONCURRENT_CHUNKS = 2;
+// Leaves room for the multipart request around the file
+const UPLOAD_SIZE_MARGIN = 0.9;
 
 export class TranscriptionHandler {
   private static instance: TranscriptionHandler;
+  private provider: TranscriptionProvider | null = null;
+  private providerSettings: TranscriptionProviderSettings | null = null;
+  private providerOverride: TranscriptionProvider | null = null;
 
   static getInstance(): TranscriptionHandler {
     if (!TranscriptionHandler.instance) {
@@ -10,31 +46,10 @@ export class TranscriptionHandler {
     return TranscriptionHandler.instance;
   }
 
-  async transcribeAudio(audioUri: string): Promise<TranscriptionResult> {
+  async transcribeAudio(audioUri: string, options?: TranscribeOptions): Promise<TranscriptionResult> {
     try {
-      // TODO: Replace with actual speech-to-text implementation
-      // For now, return a mock transcription
-      console.log('Transcribing audio from:', audioUri);
-      
-      // Simulate processing time
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      // Mock transcription result
-      const mockTranscriptions = [
-        "Today I had a really productive meeting with the team. We discussed the new project timeline and assigned tasks for the next sprint. I need to follow up on the design mockups and schedule a client review session.",
-        "Reminder to buy groceries: milk, bread, eggs, and vegetables. Also need to call the dentist to schedule an appointment and pay the electricity bill by Friday.",
-        "Had an interesting conversation about machine learning today. The potential applications in healthcare are fascinating. Should research more about neural networks and their implementation in medical diagnosis.",
-        "Meeting notes: Project deadline moved to next month. Sarah will handle the frontend components, Mike takes care of the backend API, and I'll focus on the database optimization.",
-        "Personal reflection: Feeling grateful for the support from friends and family. The new job is challenging but rewarding. Goal for next week is to establish a better work-life balance."
-      ];
-
-      const randomText = mockTranscriptions[Math.floor(Math.random() * mockTranscriptions.length)];
-
-      return {
-        success: true,
-        text: randomText,
-        confidence: 0.85 + Math.random() * 0.1, // Random confidence between 0.85-0.95
-      };
+      const provider = await this.getProvider();
+      return await provider.transcribe(audioUri, options);
     } catch (error) {
       console.error('Error transcribing audio:', error);
       return {
@@ -44,13 +59,37 @@ export class TranscriptionHandler {
     }
   }
 
-  async transcribeFromFile(fileUri: string): Promise<TranscriptionResult> {
+  // Transcribes a stored recording. The file's real format is checked against
+  // what the provider accepts first. Long recordings are split into
+  // overlapping chunks that are transcribed a few at a time and merged back
+  // into one transcript; `onProgress` is called as chunks finish. WAV files
+  // are converted to the provider's sample rate where that helps. The user's
+  // vocabulary is sent as a prompt and their replacement rules are applied
+  // to the result.
+  async transcribeFromFile(fileUri: string, onProgress?: ProgressListener): Promise<TranscriptionResult> {
     try {
-      // TODO: Implement file-based transcription
       console.log('Transcribing from file:', fileUri);
-      
-      // For now, use the same mock implementation
-      return await this.transcribeAudio(fileUri);
+      const provider = await this.getProvider();
+      const check = await this.inspectAudio(provider, fileUri);
+      if (check.errorCode) {
+        return { success: false, error: check.error, errorCode: check.errorCode };
+      }
+
+      const { vocabulary } = await SettingsManager.getInstance().getSettings();
+      const options: TranscribeOptions = { prompt: buildVocabularyPrompt(vocabulary.terms) };
+      const wav = check.format?.wav;
+      const sampleRate = check.convertToSampleRate;
+      const windowMs = wav ? this.getChunkWindowMs(provider, sampleRate ? sampleRate * 2 : wav.byteRate) : Infinity;
+
+      if (!wav || (!sampleRate && wav.durationMs <= windowMs)) {
+        onProgress?.({ completedChunks: 0, totalChunks: 1 });
+        const result = await this.transcribeAudio(fileUri, options);
+        if (result.success) onProgress?.({ completedChunks: 1, totalChunks: 1 });
+        return applyReplacementRules(result, vocabulary.rules);
+      }
+
+      const result = await this.transcribeInChunks(provider, fileUri, wav, windowMs, options, sampleRate, onProgress);
+      return applyReplacementRules(result, vocabulary.rules);
     } catch (error) {
       console.error('Error transcribing file:', error);
       return {
@@ -60,41 +99,178 @@ export class TranscriptionHandler {
     }
   }
 
-  // Method to check if transcription service is available
-  isServiceAvailable(): boolean {
-    // TODO: Implement actual service availability check
-    return true;
+  private async transcribeInChunks(
+    provider: TranscriptionProvider,
+    fileUri: string,
+    wav: WavInfo,
+    windowMs: number,
+    options: TranscribeOptions,
+    sampleRate: number | undefined,
+    onProgress?: ProgressListener
+  ): Promise<TranscriptionResult> {
+    const splitter = AudioSplitter.getInstance();
+    const windows = planChunks(wav.durationMs, windowMs, Math.min(CHUNK_OVERLAP_MS, windowMs / 4));
+    let completedChunks = 0;
+    let failure: string | null = null;
+    let failureCode: TranscriptionErrorCode | undefined;
+    onProgress?.({ completedChunks, totalChunks: windows.length });
+
+    const results = await mapWithConcurrency(windows, MAX_CONCURRENT_CHUNKS, async (window, index) => {
+      // Once one chunk has failed the transcript can't be completed
+      if (failure) return null;
+
+      let chunk: AudioChunk | null = null;
+      try {
+        chunk = await splitter.extractChunk(fileUri, wav, window, index, sampleRate);
+        const result = await provider.transcribe(chunk.uri, options);
+        if (!result.success) {
+          failure = failure || `Part ${index + 1} of ${windows.length}: ${result.error || 'Transcription failed'}`;
+          return null;
+        }
+
+        completedChunks += 1;
+        onProgress?.({ completedChunks, totalChunks: windows.length });
+        return { ...window, result } as ChunkTranscript;
+      } catch (error) {
+        console.error(`Error transcribing chunk ${index + 1}:`, error);
+        if (!failure && !chunk && sampleRate) {
+          failureCode = 'conversion_failed';
+          failure = `Part ${index + 1} of ${windows.length} could not be converted for ${provider.name}.`;
+        }
+        failure = failure || `Part ${index + 1} of ${windows.length} could not be transcribed.`;
+        return null;
+      } finally {
+        if (chunk) await splitter.deleteChunks([chunk]);
+      }
+    });
+
+    if (failure) {
+      return { success: false, error: failure, errorCode: failureCode };
+    }
+
+    const merged = mergeChunkResults(results as ChunkTranscript[]);
+    if (!merged.text) {
+      return { success: false, error: 'No speech was detected in the recording.' };
+    }
+    return merged;
   }
 
-  // Method to get supported audio formats
-  getSupportedFormats(): string[] {
-    return ['m4a', 'wav', 'mp3', 'aac'];
+  // Applies the user's replacement rules to a transcript that didn't come from
+  // transcribeFromFile, such as the live transcript
+  async applyReplacementRules(text: string): Promise<string> {
+    const { vocabulary } = await SettingsManager.getInstance().getSettings();
+    return applyReplacementRulesToText(text, vocabulary.rules);
+  }
+
+  // Checks a file against the current provider, e.g. before importing it
+  async checkAudioFile(fileUri: string): Promise<AudioCheck> {
+    try {
+      return await this.inspectAudio(await this.getProvider(), fileUri);
+    } catch (error) {
+      console.error('Error checking audio file:', error);
+      return { format: null };
+    }
+  }
+
+  // Identifies the file from its header and decides whether the provider can
+  // take it as it is, after converting it, or not at all. Files whose header
+  // can't be read are let through for the provider to judge.
+  private async inspectAudio(provider: TranscriptionProvider, fileUri: string): Promise<AudioCheck> {
+    const header = await AudioSplitter.getInstance().readHeader(fileUri);
+    if (!header) return { format: null };
+    if (header.fileSize === 0) {
+      return { format: null, errorCode: 'empty_file', error: 'The audio file is empty.' };
+    }
+
+    const format = sniffAudioFormat(header.bytes, header.fileSize);
+    const accepted = provider.supportedFormats;
+    if (!format) {
+      return {
+        format,
+        errorCode: 'unsupported_format',
+        error: 'This file is not in an audio format the app recognizes. ' +
+          `Try ${(accepted || ['mp4', 'mp3', 'wav']).map(container => CONTAINER_NAMES[container]).join(', ')}.`,
+      };
+    }
+    if (accepted && !accepted.includes(format.container)) {
+      return {
+        format,
+        errorCode: 'unsupported_format',
+        error: `${provider.name} can't transcribe ${CONTAINER_NAMES[format.container]} files. ` +
+          `Supported formats: ${accepted.map(container => CONTAINER_NAMES[container]).join(', ')}.`,
+      };
+    }
+
+    const { wav } = format;
+    const isTooLarge = !!provider.maxUploadBytes && header.fileSize > provider.maxUploadBytes;
+    if (!wav) {
+      // Only WAV can be split, everything else has to fit in one request
+      return isTooLarge
+        ? {
+            format,
+            errorCode: 'file_too_large',
+            error: `This ${CONTAINER_NAMES[format.container]} file is ${formatFileSize(header.fileSize)}; ` +
+              `${provider.name} accepts up to ${formatFileSize(provider.maxUploadBytes as number)}. ` +
+              'Long recordings can only be split when they are WAV files.',
+          }
+        : { format };
+    }
+
+    const needsConversion = isTooLarge || wav.isFloat || wav.bitsPerSample !== 16;
+    return provider.preferredSampleRate && needsConversion
+      ? { format, convertToSampleRate: provider.preferredSampleRate }
+      : { format };
+  }
+
+  // Window length for a recording sent at `byteRate`: the default, shortened
+  // until a chunk fits the provider's upload limit
+  private getChunkWindowMs(provider: TranscriptionProvider, byteRate: number): number {
+    if (!provider.maxUploadBytes) return CHUNK_WINDOW_MS;
+    const maxDataBytes = provider.maxUploadBytes * UPLOAD_SIZE_MARGIN;
+    return Math.min(CHUNK_WINDOW_MS, Math.floor((maxDataBytes / byteRate) * 1000));
+  }
+
+  // Checks that the configured provider is reachable right now
+  async isServiceAvailable(): Promise<boolean> {
+    try {
+      const provider = await this.getProvider();
+      return await provider.checkHealth();
+    } catch (error) {
+      console.error('Error checking transcription service:', error);
+      return false;
+    }
+  }
+
+  // Returns the provider built from the current settings. The instance is
+  // reused until the transcription settings change.
+  async getProvider(): Promise<TranscriptionProvider> {
+    if (this.providerOverride) return this.providerOverride;
+
+    const { transcription } = await SettingsManager.getInstance().getSettings();
+    if (!this.provider || this.providerSettings !== transcription) {
+      this.provider = createTranscriptionProvider(transcription);
+      this.providerSettings = transcription;
+    }
+    return this.provider;
+  }
+
+  // Pins a specific provider regardless of settings; pass null to go back to settings
+  setProvider(provider: TranscriptionProvider | null): void {
+    this.providerOverride = provider;
+  }
+
+  // Names of the formats the current provider accepts, e.g. for help text.
+  // Empty when it accepts everything.
+  async getSupportedFormats(): Promise<string[]> {
+    const provider = await this.getProvider();
+    return (provider.supportedFormats || []).map(container => CONTAINER_NAMES[container]);
   }
 }
 
-// Integration notes for future implementation:
-// 
-// For on-device transcription:
-// 1. Consider using @react-native-voice/voice for real-time transcription
-// 2. Or expo-speech for basic speech recognition
-// 3. For more advanced features, consider react-native-whisper for local Whisper model
-//
-// For cloud-based transcription:
-// 1. Google Cloud Speech-to-Text API
-// 2. AWS Transcribe
-// 3. Azure Speech Services
-// 4. OpenAI Whisper API
+// Adding a transcription backend:
+// 1. Implement TranscriptionProvider in src/services/transcription/
+// 2. Add its type to TranscriptionProviderType and to createTranscriptionProvider()
+// 3. Expose its options in SettingsScreen
 //
-// Implementation example for future reference:
-// ```typescript
-// import Voice from '@react-native-voice/voice';
-// 
-// async setupVoiceRecognition() {
-//   Voice.onSpeechResults = this.onSpeechResults;
-//   Voice.onSpeechError = this.onSpeechError;
-// }
-// 
-// async startListening() {
-//   await Voice.start('en-US');
-// }
-// ```
\ No newline at end of file
+// Candidates: on-device Whisper (whisper.rn), Google Cloud Speech-to-Text,
+// AWS Transcribe, Azure Speech Services.
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import * as SQLite from 'expo-sqlite';
+import { Note, TranscriptionResult } from '../../types';
+import { ProcessingQueue } from '../ProcessingQueue';
+import { StorageManager } from '../StorageManager';
+import { openTestDatabase } from './sqlJsDatabase';
+
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../ErrorHandler', () => ({
+  __esModule: true,
+  default: { getInstance: () => ({ logError: jest.fn(async () => undefined) }) },
+}));
+
+const mockAudio = {
+  importAudio: jest.fn(async (uri: string) => ({ uri: uri.replace('cache/', 'audio/') })),
+  deleteAudio: jest.fn(async (uri: string) => undefined),
+  deleteAllAudio: jest.fn(async () => undefined),
+};
+jest.mock('../AudioAssetManager', () => ({ AudioAssetManager: { getInstance: () => mockAudio } }));
+
+const mockTranscribeFromFile = jest.fn<() => Promise<TranscriptionResult>>();
+jest.mock('../TranscriptionHandler', () => ({
+  TranscriptionHandler: {
+    getInstance: () => ({
+      transcribeFromFile: mockTranscribeFromFile,
+      isServiceAvailable: async () => true,
+    }),
+  },
+}));
+
+const NOTE: Note = {
+  id: 'note_1',
+  originalText: 'Today was a calm day.',
+  summaryStatus: 'ready',
+  transcription: { id: 'transcription_1', text: 'Today was a calm day.', createdAt: new Date('2024-03-02T20:00:00.000Z') },
+  audioRecording: {
+    id: 'recording_1',
+    uri: 'file:///documents/audio/recording_1.m4a',
+    duration: 4000,
+    createdAt: new Date('2024-03-02T20:00:00.000Z'),
+  },
+  tags: ['journal'],
+  createdAt: new Date('2024-03-02T20:00:00.000Z'),
+  updatedAt: new Date('2024-03-02T20:00:00.000Z'),
+};
+
+// Lets the queue's pending promises and zero-delay timers run
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ProcessingQueue.clearAllData', () => {
+  beforeEach(async () => {
+    const db = await openTestDatabase();
+    jest.mocked(SQLite.openDatabaseAsync).mockResolvedValue(db as unknown as SQLite.SQLiteDatabase);
+  });
+
+  it('stops a running job before wiping storage, so nothing is written back', async () => {
+    let finishTranscription: (result: TranscriptionResult) => void = () => undefined;
+    mockTranscribeFromFile.mockImplementation(() => new Promise(resolve => {
+      finishTranscription = resolve;
+    }));
+    const storageManager = StorageManager.getInstance();
+    const queue = ProcessingQueue.getInstance();
+    await storageManager.saveNote(NOTE);
+
+    const job = await queue.enqueue('file:///cache/recording_2.m4a');
+    while (mockTranscribeFromFile.mock.calls.length === 0) await settle();
+    expect(queue.getJobs()).toEqual([expect.objectContaining({ id: job.id, status: 'running' })]);
+
+    await queue.clearAllData();
+    // The transcription that was in flight comes back after the wipe
+    finishTranscription({ success: true, text: 'Call the bank tomorrow.' });
+    await settle();
+    await settle();
+
+    expect(queue.getJobs()).toEqual([]);
+    expect(await storageManager.getProcessingJobs()).toEqual([]);
+    expect(await storageManager.getAllNotes()).toEqual([]);
+    expect(await storageManager.getAllTags()).toEqual([]);
+    expect(mockAudio.deleteAllAudio).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, expect, it } from '@jest/globals';
+import { Note, Summary } from '../../types';
+import { parseSearchQuery, SearchIndex } from '../SearchIndex';
+
+function makeNote(
+  id: string,
+  text: string,
+  options: { title?: string; tags?: string[]; type?: Summary['type']; summary?: string; language?: string; createdAt?: Date } = {}
+): Note {
+  const createdAt = options.createdAt ?? new Date(2026, 0, 10);
+  return {
+    id,
+    title: options.title,
+    originalText: text,
+    summaryStatus: options.type ? 'ready' : 'pending',
+    transcription: { id: `transcription_${id}`, text, language: options.language, createdAt },
+    summary: options.type
+      ? { id: `summary_${id}`, originalText: text, summary: options.summary ?? '', type: options.type, createdAt }
+      : undefined,
+    tags: options.tags ?? [],
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+const NOTES = [
+  makeNote('design', 'We held the design review for the new mockups today.', {
+    title: 'Design review',
+    tags: ['Work', 'design'],
+    type: 'tasks',
+    createdAt: new Date(2026, 0, 5),
+  }),
+  makeNote('walk', 'A long walk in the park, then I reviewed the design of my garden.', {
+    tags: ['personal'],
+    type: 'journal',
+    language: 'en',
+    createdAt: new Date(2026, 0, 12),
+  }),
+  makeNote('meeting', 'Meeting with the review board about the budget.', {
+    tags: ['work'],
+    type: 'general',
+    language: 'fr',
+    createdAt: new Date(2026, 1, 1),
+  }),
+];
+
+const ids = (index: SearchIndex, query: string) => index.search(query).map(result => result.note.id).sort();
+
+describe('parseSearchQuery', () => {
+  it('splits a query into terms, phrases and filters', () => {
+    expect(parseSearchQuery('tag:Work type:tasks "design review" before:2026-01-31 after:2026-01-01 mockups lang:fr'))
+      .toEqual({
+        terms: ['mockups'],
+        phrases: [['design', 'review']],
+        tags: ['work'],
+        types: ['tasks'],
+        languages: ['fr'],
+        before: new Date(2026, 0, 31),
+        after: new Date(2026, 0, 1),
+      });
+  });
+
+  it('accepts quoted tags and treats a one-word phrase as a term', () => {
+    const parsed = parseSearchQuery('tag:"side project" "budget"');
+    expect(parsed.tags).toEqual(['side project']);
+    expect(parsed.terms).toEqual(['budget']);
+    expect(parsed.phrases).toEqual([]);
+  });
+
+  it('searches unknown operators and invalid values as text', () => {
+    const parsed = parseSearchQuery('type:memo before:yesterday color:red');
+    expect(parsed.types).toEqual([]);
+    expect(parsed.before).toBeUndefined();
+    expect(parsed.terms).toEqual(['type', 'memo', 'before', 'yesterday', 'color', 'red']);
+  });
+});
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex(NOTES);
+
+  it('filters by tag, ignoring case', () => {
+    expect(ids(index, 'tag:work')).toEqual(['design', 'meeting']);
+    expect(ids(index, 'tag:work tag:design')).toEqual(['design']);
+  });
+
+  it('filters by note type', () => {
+    expect(ids(index, 'type:journal')).toEqual(['walk']);
+  });
+
+  it('filters by language', () => {
+    expect(ids(index, 'lang:fr')).toEqual(['meeting']);
+  });
+
+  it('filters by date, with before exclusive and after inclusive', () => {
+    expect(ids(index, 'before:2026-01-12')).toEqual(['design']);
+    expect(ids(index, 'after:2026-01-12')).toEqual(['meeting', 'walk']);
+    expect(ids(index, 'after:2026-01-01 before:2026-02-01')).toEqual(['design', 'walk']);
+  });
+
+  it('lists filtered notes newest first when there is no text to rank by', () => {
+    expect(index.search('tag:work').map(result => result.note.id)).toEqual(['meeting', 'design']);
+  });
+
+  it('needs every term to match, and matches terms as prefixes', () => {
+    expect(ids(index, 'design review')).toEqual(['design', 'walk']);
+    expect(ids(index, 'budg')).toEqual(['meeting']);
+    expect(ids(index, 'design budget')).toEqual([]);
+  });
+
+  it('matches a quoted phrase only with its words in order', () => {
+    expect(ids(index, '"design review"')).toEqual(['design']);
+    expect(ids(index, '"review design"')).toEqual([]);
+  });
+
+  it('ranks exact matches in the title above prefix matches in the text', () => {
+    const results = index.search('review');
+    expect(results[0].note.id).toBe('design');
+    expect(results[0].score).toBeGreaterThan(results[results.length - 1].score);
+  });
+
+  it('returns the offsets of each match per field, merged where they overlap', () => {
+    // "design" on its own falls inside the phrase's range
+    const [result] = index.search('"design review" design mockups');
+    const text = NOTES[0].originalText;
+
+    expect(result.note.id).toBe('design');
+    expect(result.matches).toEqual([
+      { field: 'tags', start: 5, end: 11 },
+      { field: 'text', start: 12, end: 25 },
+      { field: 'text', start: 38, end: 45 },
+      { field: 'title', start: 0, end: 13 },
+    ]);
+    // The offsets NoteCard highlights
+    expect(text.slice(12, 25)).toBe('design review');
+    expect(text.slice(38, 45)).toBe('mockups');
+  });
+
+  it('drops removed notes', () => {
+    const local = new SearchIndex(NOTES);
+    local.removeNote('meeting');
+    expect(ids(local, 'budget')).toEqual([]);
+    expect(local.size).toBe(2);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, expect, it } from '@jest/globals';
+import { TranscriptWord } from '../../types';
+import { ChunkTranscript, mapWithConcurrency, mergeChunkResults, planChunks } from '../transcription/chunking';
+
+// Words at [text, startMs] within their chunk, each 300ms long
+const timedWords = (items: Array<[string, number]>): TranscriptWord[] =>
+  items.map(([text, startMs]) => ({ text, startMs, endMs: startMs + 300 }));
+
+describe('planChunks', () => {
+  it('keeps a recording that fits in one window whole', () => {
+    expect(planChunks(45000, 60000, 5000)).toEqual([{ startMs: 0, endMs: 45000 }]);
+  });
+
+  it('overlaps neighbouring windows', () => {
+    expect(planChunks(150000, 60000, 5000)).toEqual([
+      { startMs: 0, endMs: 60000 },
+      { startMs: 55000, endMs: 115000 },
+      { startMs: 110000, endMs: 150000 },
+    ]);
+  });
+
+  it('folds a short last window into the previous one', () => {
+    expect(planChunks(118000, 60000, 5000)).toEqual([
+      { startMs: 0, endMs: 60000 },
+      { startMs: 55000, endMs: 118000 },
+    ]);
+  });
+});
+
+describe('mergeChunkResults', () => {
+  it('drops words repeated at the start of the next chunk from text-only results', () => {
+    const chunks: ChunkTranscript[] = [
+      { startMs: 0, endMs: 10000, result: { success: true, text: 'one two three four five' } },
+      { startMs: 8000, endMs: 18000, result: { success: true, text: 'Four five, six seven' } },
+    ];
+
+    expect(mergeChunkResults(chunks).text).toBe('one two three four five six seven');
+  });
+
+  it('moves timestamps onto the recording and keeps each word heard in the overlap once', () => {
+    const chunks: ChunkTranscript[] = [
+      {
+        startMs: 0,
+        endMs: 10000,
+        result: {
+          success: true,
+          text: 'one two three four five six',
+          words: timedWords([['one', 6000], ['two', 6500], ['three', 7000], ['four', 7600], ['five', 8400], ['six', 9600]]),
+          segments: [{ startMs: 6000, endMs: 9900, text: 'one two three four five six' }],
+        },
+      },
+      {
+        // Starts mid-word, so the overlap is heard as "for five" here
+        startMs: 8000,
+        endMs: 18000,
+        result: {
+          success: true,
+          text: 'for five six seven',
+          words: timedWords([['for', 0], ['five', 400], ['six', 1600], ['seven', 2500]]),
+          segments: [{ startMs: 0, endMs: 700, text: 'for five' }, { startMs: 1600, endMs: 2800, text: 'six seven' }],
+        },
+      },
+    ];
+
+    const merged = mergeChunkResults(chunks);
+
+    expect(merged.words?.map(word => word.text)).toEqual(['one', 'two', 'three', 'four', 'five', 'six', 'seven']);
+    expect(merged.words?.slice(-2)).toEqual([
+      { text: 'six', startMs: 9600, endMs: 9900 },
+      { text: 'seven', startMs: 10500, endMs: 10800 },
+    ]);
+    expect(merged.segments).toEqual([
+      { startMs: 6000, endMs: 9900, text: 'one two three four five six' },
+      { startMs: 9600, endMs: 10800, text: 'six seven' },
+    ]);
+    // The text follows the words rather than the differently worded chunk texts
+    expect(merged.text).toBe('one two three four five six seven');
+  });
+
+  it('weights confidence by chunk length and takes the language heard longest', () => {
+    const merged = mergeChunkResults([
+      { startMs: 0, endMs: 60000, result: { success: true, text: 'hello there', confidence: 0.9, language: 'en' } },
+      { startMs: 55000, endMs: 75000, result: { success: true, text: 'bonjour', confidence: 0.5, language: 'fr' } },
+    ]);
+
+    expect(merged.confidence).toBeCloseTo(0.8);
+    expect(merged.language).toBe('en');
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps results in input order with at most `limit` tasks running', async () => {
+    let running = 0;
+    let mostRunning = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index * 10;
+    });
+
+    expect(results).toEqual([0, 10, 20, 30]);
+    expect(mostRunning).toBe(2);
+  });
+});
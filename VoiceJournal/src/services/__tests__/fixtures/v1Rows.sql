@@ -0,0 +1,29 @@
+-- Rows as the first SQLite schema stored them. Task lists were still JSON in
+-- summaries, first as strings and later as task objects.
+INSERT INTO notes (id, title, original_text, edited_text, created_at, updated_at) VALUES
+  ('note_1', 'Team sync', 'Sarah will handle the frontend components.', NULL, '2024-03-01T09:00:00.000Z', '2024-03-01T09:05:00.000Z'),
+  ('note_2', NULL, 'Today was a calm day.', 'Today was a calm, quiet day.', '2024-03-02T20:00:00.000Z', '2024-03-02T20:01:00.000Z'),
+  ('note_3', NULL, 'Pay the electricity bill by Friday.', NULL, '2024-03-04T08:00:00.000Z', '2024-03-04T08:00:00.000Z');
+
+INSERT INTO transcriptions (note_id, id, text, confidence, created_at) VALUES
+  ('note_1', 'transcription_1', 'Sarah will handle the frontend components.', 0.92, '2024-03-01T09:00:00.000Z'),
+  ('note_2', 'transcription_2', 'Today was a calm day.', 0.88, '2024-03-02T20:00:00.000Z'),
+  ('note_3', 'transcription_3', 'Pay the electricity bill by Friday.', NULL, '2024-03-04T08:00:00.000Z');
+
+INSERT INTO summaries (note_id, id, original_text, summary, type, journal_prompt, task_list, created_at) VALUES
+  ('note_1', 'summary_1', 'Sarah will handle the frontend components.', 'Work was split up.', 'tasks', NULL,
+    '["Handle the frontend components"]', '2024-03-01T09:01:00.000Z'),
+  ('note_2', 'summary_2', 'Today was a calm day.', 'A calm day.', 'journal', 'What made it calm?', NULL,
+    '2024-03-02T20:00:30.000Z'),
+  ('note_3', 'summary_3', 'Pay the electricity bill by Friday.', 'A bill to pay.', 'tasks', NULL,
+    '[{"text":"Pay the electricity bill","dueDate":"2024-03-08","priority":"high"},{"text":"  "}]',
+    '2024-03-04T08:00:10.000Z');
+
+INSERT INTO recordings (note_id, id, uri, duration, created_at) VALUES
+  ('note_1', 'recording_1', 'file:///data/user/0/com.voicejournal/files/audio/recording_1.m4a', 42000, '2024-03-01T09:00:00.000Z');
+
+INSERT INTO tags (name) VALUES ('work'), ('journal');
+
+INSERT INTO note_tags (note_id, tag, position) VALUES
+  ('note_1', 'work', 0),
+  ('note_2', 'journal', 0);
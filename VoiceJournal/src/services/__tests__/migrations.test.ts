@@ -0,0 +1,158 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SQLite from 'expo-sqlite';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { getSchemaVersion, LATEST_SCHEMA_VERSION, MIGRATIONS, runMigrations } from '../migrations';
+import { StorageManager } from '../StorageManager';
+import legacyNotes from './fixtures/legacyNotes.json';
+import legacyTags from './fixtures/legacyTags.json';
+import { openTestDatabase, TestDatabase } from './sqlJsDatabase';
+
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+const mockLogError = jest.fn(async (errorInfo: { type?: string; message?: string }) => undefined);
+jest.mock('../ErrorHandler', () => ({
+  __esModule: true,
+  default: { getInstance: () => ({ logError: mockLogError }) },
+}));
+
+const V1_ROWS = readFileSync(join(__dirname, 'fixtures', 'v1Rows.sql'), 'utf8');
+
+const rows = (db: TestDatabase, source: string) => {
+  const [result] = db.raw.exec(source);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+};
+
+// A database left at version 1 by an old release, holding the fixture rows
+async function openVersion1Database(): Promise<TestDatabase> {
+  const db = await openTestDatabase();
+  await runMigrations(db, MIGRATIONS.slice(0, 1), () => undefined);
+  await db.execAsync(V1_ROWS);
+  return db;
+}
+
+describe('runMigrations', () => {
+  it('brings a version 1 database to the latest schema and keeps its rows', async () => {
+    const db = await openVersion1Database();
+    const messages: string[] = [];
+
+    const version = await runMigrations(db, MIGRATIONS, message => {
+      messages.push(message);
+    });
+
+    expect(version).toBe(LATEST_SCHEMA_VERSION);
+    expect(await getSchemaVersion(db)).toBe(LATEST_SCHEMA_VERSION);
+    expect(messages).toEqual([
+      `Migrating database from schema version 1 to ${LATEST_SCHEMA_VERSION}`,
+      ...MIGRATIONS.slice(1).map(migration => `Applied migration ${migration.version}: ${migration.description}`),
+    ]);
+
+    expect(rows(db, 'SELECT id, title, title_edited, summary_status FROM notes ORDER BY id')).toEqual([
+      { id: 'note_1', title: 'Team sync', title_edited: 1, summary_status: 'ready' },
+      { id: 'note_2', title: null, title_edited: 0, summary_status: 'ready' },
+      { id: 'note_3', title: null, title_edited: 0, summary_status: 'ready' },
+    ]);
+    expect(rows(db, 'SELECT id, note_id, position, text, due_date, priority FROM tasks ORDER BY id')).toEqual([
+      { id: 'note_1_task_0', note_id: 'note_1', position: 0, text: 'Handle the frontend components', due_date: null, priority: null },
+      { id: 'note_3_task_0', note_id: 'note_3', position: 0, text: 'Pay the electricity bill', due_date: '2024-03-08', priority: 'high' },
+    ]);
+    expect(rows(db, 'SELECT COUNT(*) AS count FROM summaries WHERE task_list IS NOT NULL')).toEqual([{ count: 0 }]);
+    expect(rows(db, 'SELECT note_id, tag FROM note_tags ORDER BY note_id')).toEqual([
+      { note_id: 'note_1', tag: 'work' },
+      { note_id: 'note_2', tag: 'journal' },
+    ]);
+  });
+
+  it('waits for each log write before going on', async () => {
+    const db = await openVersion1Database();
+    const events: string[] = [];
+    const failing = [
+      ...MIGRATIONS,
+      {
+        version: LATEST_SCHEMA_VERSION + 1,
+        description: 'Fail on purpose',
+        migrate: async () => {
+          events.push('migrate');
+          throw new Error('boom');
+        },
+      },
+    ];
+
+    await expect(runMigrations(db, failing, async message => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      events.push(message);
+    })).rejects.toThrow('boom');
+
+    expect(events).toEqual([
+      `Migrating database from schema version 1 to ${LATEST_SCHEMA_VERSION + 1}`,
+      ...MIGRATIONS.slice(1).map(migration => `Applied migration ${migration.version}: ${migration.description}`),
+      'migrate',
+      `Migration ${LATEST_SCHEMA_VERSION + 1} (Fail on purpose) failed: boom`,
+    ]);
+    // The failed step was rolled back; the ones before it stay applied
+    expect(await getSchemaVersion(db)).toBe(LATEST_SCHEMA_VERSION);
+  });
+});
+
+describe('StorageManager import of AsyncStorage notes', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    mockLogError.mockClear();
+  });
+
+  it('logs a failed import and keeps the legacy notes for the next launch', async () => {
+    const db = await openTestDatabase();
+    jest.mocked(SQLite.openDatabaseAsync).mockResolvedValue(db as unknown as SQLite.SQLiteDatabase);
+    await AsyncStorage.setItem('@voice_journal_notes', '[{"id": "note_broken"');
+
+    expect(await StorageManager.getInstance().getAllNotes()).toEqual([]);
+
+    expect(mockLogError).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'migration',
+      message: expect.stringMatching(/^Migrating notes from AsyncStorage to SQLite failed: /),
+    }));
+    expect(await AsyncStorage.getItem('@voice_journal_notes')).not.toBeNull();
+  });
+
+  it('migrates a new database and moves the legacy notes into it', async () => {
+    const db = await openTestDatabase();
+    jest.mocked(SQLite.openDatabaseAsync).mockResolvedValue(db as unknown as SQLite.SQLiteDatabase);
+    await AsyncStorage.setItem('@voice_journal_notes', JSON.stringify(legacyNotes));
+    await AsyncStorage.setItem('@voice_journal_tags', JSON.stringify(legacyTags));
+
+    const notes = await StorageManager.getInstance().getAllNotes();
+
+    expect(await getSchemaVersion(db)).toBe(LATEST_SCHEMA_VERSION);
+    expect(notes.map(note => note.id).sort()).toEqual(legacyNotes.map(note => note.id).sort());
+
+    const errands = notes.find(note => note.id === legacyNotes[0].id);
+    expect(errands).toMatchObject({
+      title: 'Weekend errands',
+      titleEdited: true,
+      summaryStatus: 'ready',
+      tags: ['errands'],
+      createdAt: new Date('2023-11-14T22:13:20.000Z'),
+    });
+    expect(errands?.summary?.taskList).toEqual([
+      expect.objectContaining({ id: `${legacyNotes[0].id}_task_0`, text: 'Buy groceries' }),
+      expect.objectContaining({ id: `${legacyNotes[0].id}_task_1`, text: 'Call the dentist' }),
+    ]);
+    expect(errands?.audioRecording?.uri).toBe(legacyNotes[0].audioRecording?.uri);
+
+    const journal = notes.find(note => note.id === legacyNotes[1].id);
+    expect(journal).toMatchObject({ editedText: legacyNotes[1].editedText, summaryStatus: 'ready', tags: [] });
+    expect(journal?.titleEdited).toBeFalsy();
+    expect(journal?.summary?.journalPrompt).toBe('What made the walk feel good?');
+
+    expect((await StorageManager.getInstance().getAllTags()).sort()).toEqual(['errands', 'health']);
+    expect(await AsyncStorage.getItem('@voice_journal_notes')).toBeNull();
+    expect(mockLogError).toHaveBeenCalledWith({
+      type: 'migration',
+      message: 'Migrated 2 notes and 2 tags from AsyncStorage to SQLite',
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import initSqlJs, { BindParams, Database, SqlValue } from 'sql.js';
+import type { MigrationDatabase } from '../migrations';
+
+export interface TestDatabase extends MigrationDatabase {
+  // The sql.js database underneath, for seeding fixtures and checking results
+  raw: Database;
+}
+
+// expo-sqlite takes parameters spread or as one array
+function toBindParams(params: unknown[]): BindParams {
+  const values = params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+  return values.map(value => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value as SqlValue;
+  });
+}
+
+function queryAll(raw: Database, source: string, params: unknown[]): any[] {
+  const statement = raw.prepare(source);
+  try {
+    statement.bind(toBindParams(params));
+    const rows: any[] = [];
+    while (statement.step()) rows.push(statement.getAsObject());
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+// An in-memory SQLite database behind the async API that migrations and
+// StorageManager use, so they can run in Node against fixture rows
+export async function openTestDatabase(): Promise<TestDatabase> {
+  const SQL = await initSqlJs();
+  const raw = new SQL.Database();
+  raw.exec('PRAGMA foreign_keys = ON');
+
+  const db = {
+    raw,
+    execAsync: async (source: string) => {
+      raw.exec(source);
+    },
+    runAsync: async (source: string, ...params: unknown[]) => {
+      raw.run(source, toBindParams(params));
+      const changes = raw.getRowsModified();
+      const lastInsertRowId = Number(raw.exec('SELECT last_insert_rowid()')[0].values[0][0]);
+      return { lastInsertRowId, changes };
+    },
+    getAllAsync: async (source: string, ...params: unknown[]) => queryAll(raw, source, params),
+    getFirstAsync: async (source: string, ...params: unknown[]) => queryAll(raw, source, params)[0] ?? null,
+    withTransactionAsync: async (task: () => Promise<void>) => {
+      raw.exec('BEGIN');
+      try {
+        await task();
+        raw.exec('COMMIT');
+      } catch (error) {
+        raw.exec('ROLLBACK');
+        throw error;
+      }
+    },
+  };
+  return db as unknown as TestDatabase;
+}
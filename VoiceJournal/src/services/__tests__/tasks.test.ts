@@ -0,0 +1,98 @@
+import { describe, expect, it } from '@jest/globals';
+import { extractTasks, resolveDueDate, resolveTasks } from '../tasks';
+
+// Dates are local, like the notes' own; March 13th 2024 was a Wednesday
+const WEDNESDAY = new Date(2024, 2, 13, 9, 30);
+const FRIDAY = new Date(2024, 2, 15, 18, 0);
+const JANUARY_31 = new Date(2024, 0, 31, 12, 0);
+
+const GROCERIES = 'Reminder to buy groceries: milk, bread, eggs, and vegetables. ' +
+  'Also need to call the dentist to schedule an appointment and pay the electricity bill by Friday.';
+const MEETING = 'Meeting notes: Project deadline moved to next month. Sarah will handle the frontend components, ' +
+  'Mike takes care of the backend API, and I\'ll focus on the database optimization.';
+
+describe('resolveDueDate', () => {
+  it.each([
+    ['by Friday', '2024-03-15'],
+    ['tomorrow', '2024-03-14'],
+    ['the day after tomorrow', '2024-03-15'],
+    ['by the end of the week', '2024-03-15'],
+    ['next Friday', '2024-03-22'],
+    ['next week', '2024-03-18'],
+    ['in two weeks', '2024-03-27'],
+    ['next month', '2024-04-01'],
+    ['by the end of the month', '2024-03-31'],
+    ['March 20th', '2024-03-20'],
+    ['the 3rd of March', '2025-03-03'],
+    ['the 20th', '2024-03-20'],
+    ['the 5th', '2024-04-05'],
+    ['2024-06-01', '2024-06-01'],
+  ])('resolves "%s" against a Wednesday', (phrase, expected) => {
+    expect(resolveDueDate(phrase, WEDNESDAY)).toBe(expected);
+  });
+
+  it('reads a weekday said on that day as next week\'s unless it is "this"', () => {
+    expect(resolveDueDate('by Friday', FRIDAY)).toBe('2024-03-22');
+    expect(resolveDueDate('this Friday', FRIDAY)).toBe('2024-03-15');
+    expect(resolveDueDate('this weekend', FRIDAY)).toBe('2024-03-16');
+  });
+
+  it('keeps a month later within the shorter month at the end of a month', () => {
+    expect(resolveDueDate('in a month', JANUARY_31)).toBe('2024-02-29');
+    expect(resolveDueDate('by the end of next month', JANUARY_31)).toBe('2024-02-29');
+    expect(resolveDueDate('the 31st', new Date(2024, 1, 1))).toBeUndefined();
+  });
+
+  it('returns undefined without a date', () => {
+    expect(resolveDueDate('when I get a chance', WEDNESDAY)).toBeUndefined();
+  });
+});
+
+describe('extractTasks', () => {
+  it('finds subjectless tasks and splits a sentence into its clauses', () => {
+    const tasks = resolveTasks(extractTasks(GROCERIES, [], WEDNESDAY), GROCERIES, WEDNESDAY);
+
+    expect(tasks.map(({ text, dueDate }) => ({ text, dueDate }))).toEqual([
+      { text: 'Buy groceries: milk, bread, eggs, and vegetables', dueDate: undefined },
+      { text: 'Call the dentist to schedule an appointment', dueDate: undefined },
+      { text: 'Pay the electricity bill', dueDate: '2024-03-15' },
+    ]);
+    const bill = tasks[2];
+    expect(GROCERIES.slice(bill.sourceStart, bill.sourceEnd)).toBe('pay the electricity bill by Friday');
+  });
+
+  it('assigns tasks to the people named in front of them', () => {
+    const tasks = extractTasks(MEETING, [], WEDNESDAY);
+
+    expect(tasks.map(({ text, assignee }) => ({ text, assignee }))).toEqual([
+      { text: 'Handle the frontend components', assignee: 'Sarah' },
+      { text: 'Take care of the backend API', assignee: 'Mike' },
+      { text: 'Focus on the database optimization', assignee: undefined },
+    ]);
+  });
+
+  it('keeps clauses without a task with the task they belong to', () => {
+    const text = 'Tomorrow, call the bank, it\'s urgent. I need to buy milk, eggs and bread.';
+    const tasks = extractTasks(text, [], WEDNESDAY);
+
+    expect(tasks).toEqual([
+      expect.objectContaining({ text: 'Call the bank', due: 'Tomorrow', priority: 'high' }),
+      expect.objectContaining({ text: 'Buy milk, eggs and bread', due: undefined }),
+    ]);
+  });
+
+  it('gives tasks in a conversation to their speaker, and shared ones to no one', () => {
+    const text = 'Alice: I\'ll send the report by Friday.\nBob: We need to book the room. Ask Carol to order lunch.';
+    const tasks = extractTasks(text, ['Alice', 'Bob'], WEDNESDAY);
+
+    expect(tasks.map(({ text: task, assignee, due }) => ({ task, assignee, due }))).toEqual([
+      { task: 'Send the report', assignee: 'Alice', due: 'by Friday' },
+      { task: 'Book the room', assignee: undefined, due: undefined },
+      { task: 'Order lunch', assignee: 'Carol', due: undefined },
+    ]);
+  });
+
+  it('does not read days and pronouns as people', () => {
+    expect(extractTasks('Today will be busy. It will rain on Friday.', [], WEDNESDAY)).toEqual([]);
+  });
+});
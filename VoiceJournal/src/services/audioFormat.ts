@@ -0,0 +1,85 @@
+import { parseWavHeader, WavInfo } from './AudioSplitter';
+
+export type AudioContainer = 'wav' | 'mp3' | 'aac' | 'mp4' | '3gp' | 'ogg' | 'webm' | 'flac' | 'caf' | 'amr';
+
+export interface AudioFormat {
+  container: AudioContainer;
+  // The codec inside the container, when the header names it
+  codec?: string;
+  // Set for PCM WAV, which can be cut and converted without a decoder
+  wav?: WavInfo;
+}
+
+// How formats are named to the user
+export const CONTAINER_NAMES: Record<AudioContainer, string> = {
+  wav: 'WAV',
+  mp3: 'MP3',
+  aac: 'AAC',
+  mp4: 'M4A',
+  '3gp': '3GP',
+  ogg: 'Ogg',
+  webm: 'WebM',
+  flac: 'FLAC',
+  caf: 'CAF',
+  amr: 'AMR',
+};
+
+// Header bytes as a string, so tags can be found with indexOf
+function toLatin1(bytes: Uint8Array): string {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return text;
+}
+
+// The first of `codecs` whose tag appears in the header
+function findCodec(header: string, codecs: Array<[string, string]>): string | undefined {
+  return codecs.find(([tag]) => header.includes(tag))?.[1];
+}
+
+function sniffWavCodec(wav: WavInfo | null): string | undefined {
+  if (!wav) return undefined;
+  return wav.isFloat ? `pcm_f${wav.bitsPerSample}` : `pcm_s${wav.bitsPerSample}`;
+}
+
+// Identifies an audio file from its first bytes rather than its name or MIME
+// type, which are often wrong for shared and renamed files. Returns null when
+// the bytes aren't a format the app knows.
+export function sniffAudioFormat(bytes: Uint8Array, fileSize: number): AudioFormat | null {
+  const header = toLatin1(bytes);
+  const tagAt = (offset: number, tag: string) => header.startsWith(tag, offset);
+
+  if (tagAt(0, 'RIFF') && tagAt(8, 'WAVE')) {
+    const wav = parseWavHeader(bytes, fileSize);
+    return { container: 'wav', codec: sniffWavCodec(wav), ...(wav && { wav }) };
+  }
+  if (tagAt(4, 'ftyp')) {
+    // 3GP shares the MP4 layout; Android records AMR into it
+    const container = tagAt(8, '3g') ? '3gp' : 'mp4';
+    const codec = findCodec(header, [['mp4a', 'aac'], ['alac', 'alac'], ['samr', 'amr'], ['Opus', 'opus']]);
+    return { container, codec };
+  }
+  if (tagAt(0, 'OggS')) {
+    const codec = findCodec(header, [['OpusHead', 'opus'], ['vorbis', 'vorbis'], ['Speex', 'speex'], ['FLAC', 'flac']]);
+    return { container: 'ogg', codec };
+  }
+  if (tagAt(0, '\x1a\x45\xdf\xa3')) {
+    return { container: 'webm', codec: findCodec(header, [['A_OPUS', 'opus'], ['A_VORBIS', 'vorbis']]) };
+  }
+  if (tagAt(0, 'fLaC')) return { container: 'flac', codec: 'flac' };
+  if (tagAt(0, 'caff')) return { container: 'caf' };
+  if (tagAt(0, '#!AMR')) return { container: 'amr', codec: 'amr' };
+  if (tagAt(0, 'ID3')) return { container: 'mp3', codec: 'mp3' };
+
+  // Raw MPEG audio starts with an 11-bit frame sync. Layer bits of 00 mark
+  // AAC in ADTS framing, anything else is MP1/2/3.
+  if (bytes.length >= 2 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+    const layer = (bytes[1] >> 1) & 0x03;
+    return layer === 0 ? { container: 'aac', codec: 'aac' } : { container: 'mp3', codec: 'mp3' };
+  }
+  return null;
+}
+
+export function formatFileSize(bytes: number): string {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
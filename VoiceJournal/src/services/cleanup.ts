@@ -0,0 +1,132 @@
+import { CleanupSettings, Transcription, TranscriptWord } from '../types';
+import { locateWords } from './corrections';
+
+// A pause this long between words starts a sentence in unpunctuated text
+const SENTENCE_PAUSE_MS = 700;
+// A pause this long, or a change of speaker, starts a new paragraph
+const PARAGRAPH_PAUSE_MS = 2000;
+
+// Sounds that are never words
+const HESITATIONS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'er', 'ah', 'hmm', 'mm', 'mhm'];
+// Phrases that are only filler when set off from the sentence, as in
+// "it was, like, huge" but not "I like it"
+const DISCOURSE_FILLERS = ['you know', 'i mean', 'like', 'basically', 'kind of', 'sort of'];
+// Doubled words that are usually meant, unlike "the the"
+const VALID_REPEATS = ['that', 'had', 'is', 'do', 'very', 'no', 'bye', 'ha'];
+
+type BreakKind = 'sentence' | 'paragraph';
+
+const HESITATION_PATTERN = new RegExp(`(^|[\\s,])(?:${HESITATIONS.join('|')})\\b[,.]?(?=\\s|$)`, 'gi');
+const DISCOURSE_PATTERN = new RegExp(
+  `(^|[,.!?])\\s*(?:${DISCOURSE_FILLERS.join('|')})\\s*(,|(?=[.!?]|$))`,
+  'gi'
+);
+const REPEAT_PATTERN = /\b(\w+)(\s+\1\b)+/gi;
+
+const endsSentence = (text: string): boolean => /[.!?]["')\]]*$/.test(text);
+
+export function removeFillerWords(text: string): string {
+  let cleaned = text.replace(HESITATION_PATTERN, '$1');
+  // Runs of fillers ("I mean, sort of, ...") only come apart one at a time
+  for (let previous = ''; previous !== cleaned; ) {
+    previous = cleaned;
+    // "was, like, huge" loses both commas; "Go. You know, it" keeps the full stop
+    cleaned = cleaned.replace(DISCOURSE_PATTERN, (match, before: string) => (before === ',' ? '' : `${before} `)).trim();
+  }
+  return cleaned.replace(REPEAT_PATTERN, (match, word: string) =>
+    VALID_REPEATS.includes(word.toLowerCase()) ? match : word
+  );
+}
+
+// Tidies spacing and punctuation left by speech-to-text and filler removal,
+// capitalizes sentences and "I", and ends the text with a full stop
+export function fixPunctuation(text: string): string {
+  let fixed = text
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/([,;:])(?:\s*[,;:])+/g, '$1')
+    .replace(/[,;:]\s*([.!?])/g, '$1')
+    .replace(/([.!?])\1+/g, '$1')
+    // A comma or full stop left at the start once a filler is gone
+    .replace(/(^|[.!?]\s+)[,;:.]\s*/g, '$1')
+    .replace(/([,.!?;:])(?=[A-Za-z])/g, '$1 ')
+    .replace(/\bi(?=\b|'[a-z]+\b)/g, 'I')
+    .trim();
+
+  fixed = fixed.replace(/(^|[.!?]\s+)([a-z])/g, (match, before: string, letter: string) => before + letter.toUpperCase());
+  if (fixed && !endsSentence(fixed) && !/[,;:]$/.test(fixed)) {
+    fixed += '.';
+  }
+  return fixed.replace(/[,;:]$/, '.');
+}
+
+// Where sentences and paragraphs should start in the transcript, from the
+// pauses between timed words (or segments when there are no words) and from
+// changes of speaker. Offsets index into `transcription.text`.
+function findBreaks(transcription: Transcription, settings: CleanupSettings): Map<number, BreakKind> {
+  const breaks = new Map<number, BreakKind>();
+  const items: TranscriptWord[] = transcription.words?.length ? transcription.words : transcription.segments || [];
+  if (items.length < 2) return breaks;
+
+  // Only unpunctuated transcripts need sentence breaks guessed from pauses
+  const isPunctuated = /[.!?]/.test(transcription.text);
+  const offsets = locateWords(transcription.text, items);
+  for (let index = 1; index < items.length; index++) {
+    if (offsets[index] < 0) continue;
+
+    const pause = items[index].startMs - items[index - 1].endMs;
+    const speakerChanged = !!items[index].speaker && items[index].speaker !== items[index - 1].speaker;
+    if (settings.paragraphs && (pause >= PARAGRAPH_PAUSE_MS || speakerChanged)) {
+      breaks.set(offsets[index], 'paragraph');
+    } else if (settings.fixPunctuation && !isPunctuated && pause >= SENTENCE_PAUSE_MS) {
+      breaks.set(offsets[index], 'sentence');
+    }
+  }
+  return breaks;
+}
+
+// Splits the text at the breaks: paragraphs are returned separately, and a
+// sentence break ends the sentence before it with a full stop
+function splitAtBreaks(text: string, breaks: Map<number, BreakKind>): string[] {
+  const paragraphs: string[] = [];
+  let paragraph = '';
+  let start = 0;
+
+  const offsets = [...breaks.keys()].sort((a, b) => a - b);
+  for (const offset of [...offsets, text.length]) {
+    const piece = text.slice(start, offset).trim();
+    start = offset;
+    if (!piece) continue;
+
+    paragraph = paragraph ? `${paragraph} ${piece}` : piece;
+    const kind = breaks.get(offset);
+    if (kind === 'sentence' && !endsSentence(paragraph)) {
+      paragraph = `${paragraph.replace(/[,;:]$/, '')}.`;
+    }
+    if (kind === 'paragraph' || offset === text.length) {
+      paragraphs.push(paragraph);
+      paragraph = '';
+    }
+  }
+  return paragraphs;
+}
+
+// Deterministic, offline cleanup of a raw transcript: paragraphs at long
+// pauses and speaker changes, filler words removed, punctuation and
+// capitalization restored. Each step can be turned off in settings.
+export function cleanTranscript(transcription: Transcription, settings: CleanupSettings): string {
+  const paragraphs = splitAtBreaks(transcription.text, findBreaks(transcription, settings));
+
+  return paragraphs
+    .map(paragraph => {
+      let cleaned = paragraph;
+      if (settings.removeFillers) cleaned = removeFillerWords(cleaned);
+      if (settings.fixPunctuation) cleaned = fixPunctuation(cleaned);
+      return cleaned.replace(/[ \t]{2,}/g, ' ').trim();
+    })
+    .filter(paragraph => paragraph.length > 0)
+    .join('\n\n');
+}
+
+export const isCleanupEnabled = (settings: CleanupSettings): boolean =>
+  settings.removeFillers || settings.fixPunctuation || settings.paragraphs || settings.polishWithAI;
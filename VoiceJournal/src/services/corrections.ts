@@ -0,0 +1,109 @@
+import { TranscriptCorrection, TranscriptWord } from '../types';
+
+// Words the provider is less sure about than this are flagged for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Leading punctuation, the word itself, trailing punctuation
+const WORD_PARTS = /^([("'[]*)(.*?)([.,!?;:"')\]]*)$/;
+const WORD_CHAR = /[A-Za-z0-9'À-ɏ]/;
+
+export const isLowConfidence = (word: TranscriptWord): boolean =>
+  word.confidence !== undefined && word.confidence < LOW_CONFIDENCE_THRESHOLD;
+
+export const countLowConfidenceWords = (words: TranscriptWord[]): number =>
+  words.filter(isLowConfidence).length;
+
+// The word without surrounding punctuation, e.g. `"Friday,` -> `Friday`
+export function stripPunctuation(text: string): string {
+  const match = text.trim().match(WORD_PARTS);
+  return match ? match[2] : text.trim();
+}
+
+// Character offset of every word in `text`, or -1 for words that can't be
+// found. Words are searched in order so repeated words land on the right one.
+export function locateWords(text: string, words: TranscriptWord[]): number[] {
+  let cursor = 0;
+  return words.map(word => {
+    const core = stripPunctuation(word.text);
+    if (!core) return -1;
+    const offset = text.indexOf(core, cursor);
+    if (offset === -1) return -1;
+    cursor = offset + core.length;
+    return offset;
+  });
+}
+
+function isWholeWordAt(text: string, offset: number, length: number): boolean {
+  const before = offset > 0 ? text[offset - 1] : '';
+  const after = text[offset + length] || '';
+  return !WORD_CHAR.test(before) && !WORD_CHAR.test(after);
+}
+
+function findNearestWord(text: string, core: string, expectedOffset: number): number {
+  let best = -1;
+  for (let offset = text.indexOf(core); offset !== -1; offset = text.indexOf(core, offset + 1)) {
+    if (!isWholeWordAt(text, offset, core.length)) continue;
+    if (best === -1 || Math.abs(offset - expectedOffset) < Math.abs(best - expectedOffset)) {
+      best = offset;
+    }
+  }
+  return best;
+}
+
+// Replaces one transcribed word in `text` (usually the edited text) and
+// returns the new text, or null when the word is no longer there. The text
+// may have been edited since transcription, so the occurrence closest to
+// where the word sat in the original is the one replaced. `currentWord` is
+// how the word reads now, which differs once it has been corrected before.
+export function applyCorrection(
+  text: string,
+  originalText: string,
+  words: TranscriptWord[],
+  wordIndex: number,
+  replacement: string,
+  currentWord?: string
+): string | null {
+  const word = words[wordIndex];
+  const core = currentWord ?? (word ? stripPunctuation(word.text) : '');
+  if (!word || !core) return null;
+
+  const originalOffset = locateWords(originalText, words)[wordIndex];
+  const expectedOffset = originalOffset >= 0 && originalText.length > 0
+    ? (originalOffset / originalText.length) * text.length
+    : 0;
+
+  // Transcript cleanup may have capitalized the word since, e.g. at the
+  // start of a sentence
+  let best = findNearestWord(text, core, expectedOffset);
+  if (best === -1) best = findNearestWord(text.toLowerCase(), core.toLowerCase(), expectedOffset);
+  if (best === -1) return null;
+
+  return text.slice(0, best) + replacement + text.slice(best + core.length);
+}
+
+export function createCorrection(
+  words: TranscriptWord[],
+  wordIndex: number,
+  replacement: string,
+  currentWord?: string
+): TranscriptCorrection {
+  const word = words[wordIndex];
+  return {
+    id: `correction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    wordIndex,
+    original: currentWord ?? stripPunctuation(word.text),
+    replacement,
+    startMs: word.startMs,
+    endMs: word.endMs,
+    createdAt: new Date(),
+  };
+}
+
+// Latest replacement for each corrected word
+export function getCorrectedWords(corrections: TranscriptCorrection[]): Map<number, string> {
+  const corrected = new Map<number, string>();
+  for (const correction of corrections) {
+    corrected.set(correction.wordIndex, correction.replacement);
+  }
+  return corrected;
+}
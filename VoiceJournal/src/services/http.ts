@@ -0,0 +1,47 @@
+export class HttpError extends Error {
+  constructor(message: string, public readonly status: number, public readonly body?: string) {
+    super(message);
+    this.name = 'HttpError';
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(public readonly timeoutMs: number) {
+    super(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// fetch() with an upper bound on how long the request may take. Non-2xx
+// responses are turned into an HttpError carrying the status and body text.
+export async function fetchWithTimeout(
+  url: string,
+  init: RequestInit = {},
+  timeoutMs: number = 30000
+): Promise<Response> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new HttpError(`Request failed with status ${response.status}`, response.status, body);
+    }
+    return response;
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new TimeoutError(timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Accepts "http://host:8000", "http://host:8000/" or "http://host:8000/v1"
+// and returns the URL for an OpenAI-style `/v1/...` path on that server
+export function joinApiUrl(baseUrl: string, path: string): string {
+  const trimmed = baseUrl.trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+  return `${trimmed}/v1/${path.replace(/^\/+/, '')}`;
+}
@@ -1,3 +1,5 @@
 export { StorageManager } from './StorageManager';
 export { TranscriptionHandler } from './TranscriptionHandler';
-export { LLMSummarizer } from './LLMSummarizer';
\ No newline at end of file
+export { LLMSummarizer } from './LLMSummarizer';
+export { SettingsManager } from './SettingsManager';
+export { ProcessingQueue } from './ProcessingQueue';
\ No newline at end of file
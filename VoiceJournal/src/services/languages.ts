@@ -0,0 +1,40 @@
+// Languages offered in settings. Codes are ISO 639-1, which is what Whisper
+// servers take as the `language` parameter.
+export const LANGUAGES: Array<{ code: string; name: string }> = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'sv', name: 'Swedish' },
+  { code: 'pl', name: 'Polish' },
+  { code: 'uk', name: 'Ukrainian' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'tr', name: 'Turkish' },
+  { code: 'ar', name: 'Arabic' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+];
+
+// Turns what providers and users write for a language into an ISO 639-1
+// code: "en", "en-US", "EN" and "english" all become "en". Unknown names
+// give undefined; unknown two- or three-letter codes are kept.
+export function normalizeLanguage(value: string | null | undefined): string | undefined {
+  const cleaned = value?.trim().toLowerCase();
+  if (!cleaned) return undefined;
+
+  const byName = LANGUAGES.find(language => language.name.toLowerCase() === cleaned);
+  if (byName) return byName.code;
+
+  const code = cleaned.split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) ? code : undefined;
+}
+
+// "German" for "de"; codes without a known name are shown in capitals
+export function getLanguageName(code: string): string {
+  return LANGUAGES.find(language => language.code === code)?.name ?? code.toUpperCase();
+}
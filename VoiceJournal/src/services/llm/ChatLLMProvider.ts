@@ -0,0 +1,75 @@
+import { LLMProviderSettings } from '../../types';
+import { ChatMessage, ChatOptions, LLMProvider, MoodDraft, SummaryContext, SummaryDraft, SummaryType, TagContext } from './LLMProvider';
+import {
+  buildCorrectionMessage,
+  buildMoodMessages,
+  buildPolishMessages,
+  buildSummaryMessages,
+  buildTagMessages,
+  buildTitleMessages,
+  parseMoodReply,
+  parsePolishReply,
+  parseSummaryReply,
+  parseTagReply,
+} from './prompts';
+import { SUMMARY_JSON_SCHEMA, SummaryValidationError } from './summarySchema';
+
+// Attempts per summary: the first request plus re-prompts with the validation errors
+const MAX_SUMMARY_ATTEMPTS = 3;
+
+// Base for providers that talk to a chat model over HTTP. Subclasses only
+// implement the wire protocol; prompting and reply parsing live here.
+export abstract class ChatLLMProvider implements LLMProvider {
+  abstract readonly id: string;
+  abstract readonly name: string;
+
+  constructor(protected readonly settings: LLMProviderSettings) {}
+
+  abstract checkHealth(): Promise<boolean>;
+
+  // Sends the conversation and resolves with the assistant's reply text
+  protected abstract chat(messages: ChatMessage[], options?: ChatOptions): Promise<string>;
+
+  // Requests schema-constrained JSON. Replies that still fail validation are
+  // sent back to the model together with the errors; after the last attempt a
+  // SummaryValidationError is thrown so nothing invalid reaches a Note.
+  async summarize(
+    text: string,
+    preferredType: SummaryType = 'general',
+    context: SummaryContext = {}
+  ): Promise<SummaryDraft> {
+    const messages = buildSummaryMessages(text, preferredType, context);
+    const options: ChatOptions = { json: true, schema: { name: 'summary', schema: SUMMARY_JSON_SCHEMA } };
+    let errors: string[] = [];
+
+    for (let attempt = 1; attempt <= MAX_SUMMARY_ATTEMPTS; attempt++) {
+      const reply = await this.chat(messages, options);
+      const result = parseSummaryReply(reply);
+      if (result.valid) {
+        return result.value;
+      }
+
+      errors = result.errors;
+      console.warn(`Summary attempt ${attempt} failed validation:`, errors);
+      messages.push({ role: 'assistant', content: reply }, buildCorrectionMessage(errors));
+    }
+
+    throw new SummaryValidationError(errors);
+  }
+
+  async polish(text: string, language?: string): Promise<string> {
+    return parsePolishReply(await this.chat(buildPolishMessages(text, language)));
+  }
+
+  async generateTitle(text: string, language?: string): Promise<string> {
+    return this.chat(buildTitleMessages(text, language));
+  }
+
+  async suggestTags(text: string, context?: TagContext): Promise<string[]> {
+    return parseTagReply(await this.chat(buildTagMessages(text, context)));
+  }
+
+  async analyzeMood(text: string): Promise<MoodDraft> {
+    return parseMoodReply(await this.chat(buildMoodMessages(text), { json: true }));
+  }
+}
@@ -0,0 +1,88 @@
+import { Summary, TaskPriority } from '../../types';
+
+export type SummaryType = Summary['type'];
+
+// A task as a provider reports it. `due` is the deadline as said ("by
+// Friday") or an ISO date, and `source` the words the task was taken from;
+// LLMSummarizer resolves both against the note (see resolveTasks).
+export interface TaskDraft {
+  text: string;
+  due?: string;
+  priority?: TaskPriority;
+  assignee?: string;
+  source?: string;
+}
+
+// The model-generated part of a Summary; LLMSummarizer adds ids and timestamps
+export type SummaryDraft = Pick<Summary, 'summary' | 'type' | 'journalPrompt'> & { taskList?: TaskDraft[] };
+
+// A mood as a model reports it; see resolveMood
+export interface MoodDraft {
+  score: number;
+  emotions?: string[];
+}
+
+// What is known about a note beyond its text
+export interface SummaryContext {
+  // Names of the people in a conversation, in order of first appearance.
+  // Turns in the text may be labelled "Name: ...".
+  speakers?: string[];
+  // ISO 639-1 code of the language to write the summary in
+  language?: string;
+  // When the note was recorded; relative deadlines are counted from it
+  createdAt?: Date;
+}
+
+export interface TagContext {
+  // Tags used on the user's notes so far, to be reused where they fit
+  existingTags?: string[];
+  // Tags the note already has; these aren't suggested again
+  noteTags?: string[];
+  // Text of the user's other notes, for telling which words stand out in this one
+  otherNotes?: string[];
+  // ISO 639-1 code of the language to write new tags in
+  language?: string;
+}
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface JsonSchemaFormat {
+  name: string;
+  schema: object;
+}
+
+export interface ChatOptions {
+  // Ask the backend to constrain its reply to a JSON object
+  json?: boolean;
+  // Ask for JSON matching this schema, where the backend supports it
+  schema?: JsonSchemaFormat;
+}
+
+// A summarization backend behind LLMSummarizer. Network providers build on
+// ChatLLMProvider; the mock provider answers locally and deterministically.
+export interface LLMProvider {
+  readonly id: string;
+  readonly name: string;
+
+  // `preferredType` is a hint; providers may classify the text differently
+  summarize(text: string, preferredType?: SummaryType, context?: SummaryContext): Promise<SummaryDraft>;
+
+  // Lightly rewrites a transcript for readability without changing what was
+  // said. `language` is the ISO 639-1 code of the transcript.
+  polish(text: string, language?: string): Promise<string>;
+
+  // A short title for a note, in `language` when given
+  generateTitle(text: string, language?: string): Promise<string>;
+
+  // Tags that fit the note, preferring context.existingTags
+  suggestTags(text: string, context?: TagContext): Promise<string[]>;
+
+  // How a journal note reads, from -1 (very negative) to 1 (very positive)
+  analyzeMood(text: string): Promise<MoodDraft>;
+
+  // Resolves to true when the backend is reachable and the model can be used
+  checkHealth(): Promise<boolean>;
+}
@@ -0,0 +1,137 @@
+import { analyzeMood } from '../mood';
+import { suggestTags } from '../tags';
+import { extractTasks } from '../tasks';
+import { extractTitle } from '../titles';
+import { LLMProvider, MoodDraft, SummaryContext, SummaryDraft, SummaryType, TagContext } from './LLMProvider';
+
+// Stable string hash so the same text always yields the same canned output
+function hashText(text: string): number {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+function pick<T>(options: T[], text: string): T {
+  return options[hashText(text) % options.length];
+}
+
+// Offline, deterministic provider built on keyword heuristics. Used when no
+// LLM backend is configured.
+export class MockLLMProvider implements LLMProvider {
+  readonly id = 'mock';
+  readonly name = 'Mock (offline)';
+
+  constructor(private readonly delayMs: number = 1500) {}
+
+  async summarize(
+    originalText: string,
+    preferredType: SummaryType = 'general',
+    context: SummaryContext = {}
+  ): Promise<SummaryDraft> {
+    // Simulate processing time
+    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+
+    // Generate different types of summaries based on the content
+    if (this.containsTaskKeywords(originalText) || preferredType === 'tasks') {
+      return {
+        type: 'tasks',
+        summary: this.generateTaskSummary(originalText),
+        taskList: extractTasks(originalText, context.speakers, context.createdAt),
+      };
+    }
+    if (this.containsPersonalReflection(originalText) || preferredType === 'journal') {
+      return {
+        type: 'journal',
+        summary: this.generateJournalSummary(originalText),
+        journalPrompt: this.generateJournalPrompt(originalText),
+      };
+    }
+    return {
+      type: 'general',
+      summary: this.generateGeneralSummary(originalText),
+    };
+  }
+
+  // There is no model to rewrite with; the local cleanup pass already ran
+  async polish(text: string): Promise<string> {
+    await new Promise(resolve => setTimeout(resolve, this.delayMs / 3));
+    return text;
+  }
+
+  async generateTitle(text: string): Promise<string> {
+    await new Promise(resolve => setTimeout(resolve, this.delayMs / 3));
+    return extractTitle(text) ?? '';
+  }
+
+  async suggestTags(text: string, context?: TagContext): Promise<string[]> {
+    await new Promise(resolve => setTimeout(resolve, this.delayMs / 3));
+    return suggestTags(text, context);
+  }
+
+  async analyzeMood(text: string): Promise<MoodDraft> {
+    await new Promise(resolve => setTimeout(resolve, this.delayMs / 3));
+    return analyzeMood(text);
+  }
+
+  async checkHealth(): Promise<boolean> {
+    return true;
+  }
+
+  private containsTaskKeywords(text: string): boolean {
+    const taskKeywords = ['need to', 'should', 'reminder', 'todo', 'task', 'deadline', 'schedule', 'appointment', 'meeting', 'call', 'buy', 'pay', 'follow up'];
+    const lowerText = text.toLowerCase();
+    return taskKeywords.some(keyword => lowerText.includes(keyword));
+  }
+
+  private containsPersonalReflection(text: string): boolean {
+    const reflectionKeywords = ['feeling', 'grateful', 'think', 'believe', 'reflection', 'personal', 'emotion', 'mood', 'experience', 'learned'];
+    const lowerText = text.toLowerCase();
+    return reflectionKeywords.some(keyword => lowerText.includes(keyword));
+  }
+
+  private generateTaskSummary(text: string): string {
+    const taskSummaries = [
+      "Action items identified from your note with specific tasks and deadlines.",
+      "Task list extracted with priorities and follow-up actions required.",
+      "Actionable items organized by urgency and importance from your recording.",
+      "Work-related tasks and personal reminders compiled from your note.",
+    ];
+    return pick(taskSummaries, text);
+  }
+
+  private generateJournalSummary(text: string): string {
+    const journalSummaries = [
+      "Personal reflection capturing your thoughts and feelings about recent experiences.",
+      "Emotional insights and self-awareness moments from your voice note.",
+      "Mindful observations about your personal growth and life experiences.",
+      "Thoughtful reflection on your current state of mind and aspirations.",
+    ];
+    return pick(journalSummaries, text);
+  }
+
+  private generateGeneralSummary(text: string): string {
+    const generalSummaries = [
+      "Key points and main ideas extracted from your voice recording.",
+      "Summary of important information and notable details from your note.",
+      "Condensed overview highlighting the essential content of your recording.",
+      "Brief synopsis capturing the main themes and significant points discussed.",
+    ];
+    return pick(generalSummaries, text);
+  }
+
+  private generateJournalPrompt(text: string): string {
+    const prompts = [
+      "Reflect on how this experience has shaped your perspective. What insights have you gained?",
+      "What emotions came up for you during this situation? How did you handle them?",
+      "If you could give advice to someone in a similar situation, what would you tell them?",
+      "What are you most grateful for in this moment? How can you carry this feeling forward?",
+      "What patterns do you notice in your thoughts and reactions? What would you like to change?",
+      "How has this experience contributed to your personal growth? What did you learn about yourself?",
+      "What would you like to remember most about this moment in the future?",
+      "How can you apply the lessons from this experience to future challenges?",
+    ];
+    return pick(prompts, text);
+  }
+}
@@ -0,0 +1,55 @@
+import { fetchWithTimeout } from '../http';
+import { ChatLLMProvider } from './ChatLLMProvider';
+import { ChatMessage, ChatOptions } from './LLMProvider';
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Ollama's native `/api/chat` endpoint
+export class OllamaProvider extends ChatLLMProvider {
+  readonly id = 'ollama';
+  readonly name = 'Ollama';
+
+  // Reachable is not enough: the configured model also has to be pulled
+  async checkHealth(): Promise<boolean> {
+    try {
+      const response = await fetchWithTimeout(this.getUrl('tags'), { method: 'GET' }, HEALTH_CHECK_TIMEOUT_MS);
+      const data = await response.json();
+      const models: string[] = (data?.models || []).map((model: { name: string }) => model.name);
+      const wanted = this.settings.model.includes(':') ? this.settings.model : `${this.settings.model}:latest`;
+      return models.some(name => name === this.settings.model || name === wanted);
+    } catch (error) {
+      console.warn('Ollama health check failed:', error);
+      return false;
+    }
+  }
+
+  protected async chat(messages: ChatMessage[], options: ChatOptions = {}): Promise<string> {
+    const response = await fetchWithTimeout(
+      this.getUrl('chat'),
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+          model: this.settings.model,
+          messages,
+          stream: false,
+          options: { temperature: this.settings.temperature },
+          // Ollama 0.5+ accepts a JSON schema as `format`; older servers need 'json'
+          ...(options.schema ? { format: options.schema.schema } : options.json ? { format: 'json' } : {}),
+        }),
+      },
+      this.settings.timeoutMs
+    );
+
+    const data = await response.json();
+    const content = data?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Ollama returned an unexpected response');
+    }
+    return content;
+  }
+
+  private getUrl(path: string): string {
+    return `${this.settings.baseUrl.trim().replace(/\/+$/, '')}/api/${path}`;
+  }
+}
@@ -0,0 +1,92 @@
+import { fetchWithTimeout, HttpError, joinApiUrl } from '../http';
+import { ChatLLMProvider } from './ChatLLMProvider';
+import { ChatMessage, ChatOptions } from './LLMProvider';
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// OpenAI `/v1/chat/completions`, also served by LM Studio, vLLM, llama.cpp
+// server, LocalAI and most hosted gateways
+export class OpenAICompatibleProvider extends ChatLLMProvider {
+  readonly id = 'openai';
+  readonly name = 'OpenAI-compatible';
+  // Servers that reject `json_schema` response formats get plain JSON mode instead
+  private supportsJsonSchema = true;
+
+  async checkHealth(): Promise<boolean> {
+    try {
+      await fetchWithTimeout(
+        joinApiUrl(this.settings.baseUrl, 'models'),
+        { method: 'GET', headers: this.getHeaders() },
+        HEALTH_CHECK_TIMEOUT_MS
+      );
+      return true;
+    } catch (error) {
+      console.warn('LLM server health check failed:', error);
+      return false;
+    }
+  }
+
+  protected async chat(messages: ChatMessage[], options: ChatOptions = {}): Promise<string> {
+    try {
+      return await this.requestCompletion(messages, options, this.supportsJsonSchema);
+    } catch (error) {
+      if (options.schema && this.supportsJsonSchema && error instanceof HttpError && error.status === 400) {
+        console.warn('Server rejected json_schema response format, retrying with json_object');
+        this.supportsJsonSchema = false;
+        return this.requestCompletion(messages, options, false);
+      }
+      throw error;
+    }
+  }
+
+  private async requestCompletion(
+    messages: ChatMessage[],
+    options: ChatOptions,
+    useSchema: boolean
+  ): Promise<string> {
+    const response = await fetchWithTimeout(
+      joinApiUrl(this.settings.baseUrl, 'chat/completions'),
+      {
+        method: 'POST',
+        headers: { ...this.getHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: this.settings.model,
+          messages,
+          temperature: this.settings.temperature,
+          ...this.getResponseFormat(options, useSchema),
+        }),
+      },
+      this.settings.timeoutMs
+    );
+
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('LLM server returned an unexpected response');
+    }
+    return content;
+  }
+
+  private getResponseFormat(options: ChatOptions, useSchema: boolean): object {
+    if (options.schema && useSchema) {
+      return {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: options.schema.name, schema: options.schema.schema, strict: true },
+        },
+      };
+    }
+    if (options.json || options.schema) {
+      return { response_format: { type: 'json_object' } };
+    }
+    return {};
+  }
+
+  private getHeaders(): Record<string, string> {
+    const headers: Record<string, string> = { Accept: 'application/json' };
+    if (this.settings.apiKey) {
+      headers.Authorization = `Bearer ${this.settings.apiKey}`;
+    }
+    return headers;
+  }
+}
@@ -0,0 +1,24 @@
+import { LLMProviderSettings } from '../../types';
+import { LLMProvider } from './LLMProvider';
+import { MockLLMProvider } from './MockLLMProvider';
+import { OllamaProvider } from './OllamaProvider';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider';
+
+export type { LLMProvider, SummaryContext, SummaryDraft, SummaryType, ChatMessage, TaskDraft, TagContext, MoodDraft } from './LLMProvider';
+export { ChatLLMProvider } from './ChatLLMProvider';
+export { SummaryValidationError, validateSummary } from './summarySchema';
+export { MockLLMProvider } from './MockLLMProvider';
+export { OllamaProvider } from './OllamaProvider';
+export { OpenAICompatibleProvider } from './OpenAICompatibleProvider';
+
+export function createLLMProvider(settings: LLMProviderSettings): LLMProvider {
+  switch (settings.type) {
+    case 'openai':
+      return new OpenAICompatibleProvider(settings);
+    case 'ollama':
+      return new OllamaProvider(settings);
+    case 'mock':
+    default:
+      return new MockLLMProvider();
+  }
+}
@@ -0,0 +1,192 @@
+import { getLanguageName } from '../languages';
+import { EMOTIONS } from '../mood';
+import { ChatMessage, MoodDraft, SummaryContext, SummaryType, TagContext } from './LLMProvider';
+import { repairSummary, SummaryValidation, validateSummary } from './summarySchema';
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize transcribed voice notes for a personal journaling app.
+Reply with a single JSON object and nothing else, using exactly these keys:
+- "summary": one or two sentences capturing the main points, written to the note's author ("you")
+- "type": "tasks" if the note is mostly action items or reminders, "journal" if it is a personal reflection, otherwise "general"
+- "taskList": for "tasks" notes, an array of the action items in the note; otherwise null. Each item is an object with:
+  - "text": the specific action as said, e.g. "Call the dentist to move the appointment", without the deadline
+  - "due": the deadline exactly as said, e.g. "by Friday" or "next month", or null if none was given
+  - "priority": "high", "medium" or "low" only if the note says how urgent it is, otherwise null
+  - "assignee": the name of the person responsible if the note says, otherwise null
+  - "source": the sentence of the transcript the task comes from, copied word for word
+- "journalPrompt": for "journal" notes, one open question inviting further reflection; otherwise null
+Do not invent facts that are not in the note.`;
+
+const POLISH_SYSTEM_PROMPT = `You tidy up transcribed voice notes for a personal journaling app.
+Fix punctuation, capitalization and obvious transcription mistakes, remove filler words and false starts,
+and keep the paragraph breaks. Do not summarize, shorten, translate or add anything: every point the
+speaker made must still be there in their own words. Reply with the cleaned transcript only.`;
+
+const TITLE_SYSTEM_PROMPT = `You name transcribed voice notes for a personal journaling app.
+Reply with a title of at most six words that says what the note is about, like "Dentist appointment moved to Friday".
+Use the note's own words where you can. No quotes, no final full stop, nothing else.`;
+
+const TAG_SYSTEM_PROMPT = `You tag transcribed voice notes for a personal journaling app.
+Suggest up to five tags for the note: the topics, projects, people or places it is about.
+Each tag is one or two lowercase words. Reply with a JSON array of strings and nothing else, e.g. ["work", "budget"].`;
+
+const MOOD_SYSTEM_PROMPT = `You read the mood of personal journal entries, transcribed from voice notes.
+Reply with a single JSON object and nothing else, using exactly these keys:
+- "score": a number from -1 (very negative) to 1 (very positive); 0 is neutral or mixed
+- "emotions": up to three of ${EMOTIONS.map(emotion => `"${emotion}"`).join(', ')}, strongest first; [] if none stand out
+Judge how the author feels, not the events they describe.`;
+
+// Enough of the user's tags to show their habits without crowding out the note
+const MAX_PROMPT_TAGS = 50;
+
+export function buildSummaryMessages(
+  text: string,
+  preferredType: SummaryType,
+  context: SummaryContext = {}
+): ChatMessage[] {
+  let hint = preferredType !== 'general'
+    ? `\n\nThe user expects this note to be of type "${preferredType}".`
+    : '';
+  if (context.speakers && context.speakers.length > 0) {
+    hint += `\n\nThis is a conversation between ${context.speakers.join(', ')}. ` +
+      'Set each task\'s "assignee" to the person responsible, e.g. "Sarah" for "Sarah: I\'ll send the mockups". ' +
+      'Leave it null when the transcript does not say who is responsible.';
+  }
+  if (context.createdAt) {
+    hint += `\n\nThe note was recorded on ${context.createdAt.toDateString()}.`;
+  }
+  if (context.language) {
+    hint += `\n\nWrite the summary, tasks and journal prompt in ${getLanguageName(context.language)}, ` +
+      'but keep the JSON keys and the "type" and "priority" values in English and each task\'s "source" as in the transcript.';
+  }
+  return [
+    { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+    { role: 'user', content: `Voice note transcript:\n"""\n${text}\n"""${hint}` },
+  ];
+}
+
+export function buildPolishMessages(text: string, language?: string): ChatMessage[] {
+  const hint = language ? `\n\nThe transcript is in ${getLanguageName(language)}; keep it in that language.` : '';
+  return [
+    { role: 'system', content: POLISH_SYSTEM_PROMPT },
+    { role: 'user', content: `Voice note transcript:\n"""\n${text}\n"""${hint}` },
+  ];
+}
+
+export function buildTitleMessages(text: string, language?: string): ChatMessage[] {
+  const hint = language ? `\n\nWrite the title in ${getLanguageName(language)}.` : '';
+  return [
+    { role: 'system', content: TITLE_SYSTEM_PROMPT },
+    { role: 'user', content: `Voice note transcript:\n"""\n${text}\n"""${hint}` },
+  ];
+}
+
+export function buildTagMessages(text: string, context: TagContext = {}): ChatMessage[] {
+  let hint = '';
+  if (context.existingTags && context.existingTags.length > 0) {
+    hint += `\n\nThe user already uses these tags; reuse them, spelled the same way, wherever they fit: ` +
+      `${context.existingTags.slice(0, MAX_PROMPT_TAGS).join(', ')}.`;
+  }
+  if (context.noteTags && context.noteTags.length > 0) {
+    hint += `\n\nThe note is already tagged ${context.noteTags.join(', ')}; don't suggest those again.`;
+  }
+  if (context.language) {
+    hint += `\n\nWrite new tags in ${getLanguageName(context.language)}.`;
+  }
+  return [
+    { role: 'system', content: TAG_SYSTEM_PROMPT },
+    { role: 'user', content: `Voice note transcript:\n"""\n${text}\n"""${hint}` },
+  ];
+}
+
+// Tags from a JSON array, or from a plain list when the model ignored the format
+export function parseTagReply(reply: string): string[] {
+  const unfenced = reply.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('[');
+  const end = unfenced.lastIndexOf(']');
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(unfenced.slice(start, end + 1));
+      if (Array.isArray(parsed)) {
+        return parsed.filter((tag): tag is string => typeof tag === 'string');
+      }
+    } catch (error) {
+      // Not JSON after all; read it as a list below
+    }
+  }
+  return unfenced
+    .split(/[,\n]/)
+    .map(tag => tag.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(tag => tag.length > 0);
+}
+
+export function buildMoodMessages(text: string): ChatMessage[] {
+  return [
+    { role: 'system', content: MOOD_SYSTEM_PROMPT },
+    { role: 'user', content: `Journal entry:\n"""\n${text}\n"""` },
+  ];
+}
+
+// Throws when the reply has no usable score
+export function parseMoodReply(reply: string): MoodDraft {
+  const json = extractJsonObject(reply);
+  if (!json) {
+    throw new Error('Mood reply did not contain a JSON object');
+  }
+  const data = JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+  const score = typeof data.score === 'string' ? parseFloat(data.score) : data.score;
+  if (typeof score !== 'number' || !Number.isFinite(score)) {
+    throw new Error('Mood reply had no numeric score');
+  }
+  const emotions = Array.isArray(data.emotions)
+    ? data.emotions.filter((emotion: unknown): emotion is string => typeof emotion === 'string')
+    : [];
+  return { score, emotions };
+}
+
+// The polished text without the fences or quotes models like to wrap it in
+export function parsePolishReply(reply: string): string {
+  return reply
+    .trim()
+    .replace(/^```[a-z]*\n?|```$/gi, '')
+    .replace(/^"""|"""$/g, '')
+    .trim();
+}
+
+// Follow-up turn asking the model to fix a reply that failed validation
+export function buildCorrectionMessage(errors: string[]): ChatMessage {
+  return {
+    role: 'user',
+    content: `Your reply was not valid:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+      'Reply again with only the corrected JSON object.',
+  };
+}
+
+// Models often wrap JSON in code fences or add a sentence around it
+export function extractJsonObject(reply: string): string | null {
+  const unfenced = reply.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  return start >= 0 && end > start ? unfenced.substring(start, end + 1) : null;
+}
+
+// Parses and validates a model reply, attempting a local repair before giving up
+export function parseSummaryReply(reply: string): SummaryValidation {
+  const json = extractJsonObject(reply);
+  if (!json) {
+    return { valid: false, errors: ['reply did not contain a JSON object'] };
+  }
+
+  let data: unknown;
+  try {
+    // Trailing commas are the most common syntax slip
+    data = JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+  } catch (error) {
+    return { valid: false, errors: [`reply was not valid JSON: ${(error as Error).message}`] };
+  }
+
+  const result = validateSummary(data);
+  if (result.valid) return result;
+
+  const repaired = validateSummary(repairSummary(data));
+  return repaired.valid ? repaired : result;
+}
@@ -0,0 +1,202 @@
+import { TaskPriority } from '../../types';
+import { SummaryDraft, SummaryType, TaskDraft } from './LLMProvider';
+
+const SUMMARY_TYPES: SummaryType[] = ['journal', 'tasks', 'general'];
+const TASK_PRIORITIES: TaskPriority[] = ['high', 'medium', 'low'];
+const MAX_SUMMARY_LENGTH = 1000;
+const MAX_TASKS = 25;
+const TASK_KEYS = ['text', 'due', 'priority', 'assignee', 'source'];
+
+const TASK_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    due: { type: ['string', 'null'] },
+    priority: { type: ['string', 'null'], enum: [...TASK_PRIORITIES, null] },
+    assignee: { type: ['string', 'null'] },
+    source: { type: ['string', 'null'] },
+  },
+  required: TASK_KEYS,
+  additionalProperties: false,
+} as const;
+
+// JSON Schema for the model-generated part of `Summary`. Every key is
+// required (nullable where optional) and length limits are left to
+// validateSummary, so the schema is also accepted by OpenAI's strict
+// structured-output mode.
+export const SUMMARY_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    type: { type: 'string', enum: SUMMARY_TYPES },
+    taskList: { type: ['array', 'null'], items: TASK_JSON_SCHEMA },
+    journalPrompt: { type: ['string', 'null'] },
+  },
+  required: ['summary', 'type', 'taskList', 'journalPrompt'],
+  additionalProperties: false,
+} as const;
+
+export class SummaryValidationError extends Error {
+  constructor(public readonly errors: string[]) {
+    super(`The model returned an invalid summary: ${errors.join('; ')}`);
+    this.name = 'SummaryValidationError';
+  }
+}
+
+export type SummaryValidation =
+  | { valid: true; value: SummaryDraft }
+  | { valid: false; errors: string[] };
+
+const isNonEmptyString = (value: unknown): value is string =>
+  typeof value === 'string' && value.trim().length > 0;
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const optionalString = (value: unknown): string | undefined => (isNonEmptyString(value) ? value.trim() : undefined);
+
+// Errors in one taskList item, prefixed with its position
+function validateTask(task: unknown, index: number): string[] {
+  const label = `taskList[${index}]`;
+  if (!isObject(task)) return [`${label} must be an object`];
+
+  const errors: string[] = [];
+  if (!isNonEmptyString(task.text)) {
+    errors.push(`${label}.text must be a non-empty string`);
+  }
+  for (const key of ['due', 'assignee', 'source']) {
+    if (task[key] !== null && task[key] !== undefined && typeof task[key] !== 'string') {
+      errors.push(`${label}.${key} must be a string or null`);
+    }
+  }
+  if (task.priority !== null && task.priority !== undefined && !TASK_PRIORITIES.includes(task.priority as TaskPriority)) {
+    errors.push(`${label}.priority must be one of ${TASK_PRIORITIES.map(priority => `"${priority}"`).join(', ')} or null`);
+  }
+  const unknownKeys = Object.keys(task).filter(key => !TASK_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`${label} has unexpected keys: ${unknownKeys.join(', ')}`);
+  }
+  return errors;
+}
+
+function toTaskDraft(task: Record<string, unknown>): TaskDraft {
+  const draft: TaskDraft = { text: (task.text as string).trim() };
+  const due = optionalString(task.due);
+  const assignee = optionalString(task.assignee);
+  const source = optionalString(task.source);
+  if (due) draft.due = due;
+  if (TASK_PRIORITIES.includes(task.priority as TaskPriority)) draft.priority = task.priority as TaskPriority;
+  if (assignee) draft.assignee = assignee;
+  if (source) draft.source = source;
+  return draft;
+}
+
+// Checks a parsed reply against SUMMARY_JSON_SCHEMA and converts it to a
+// SummaryDraft (nulls become undefined, strings are trimmed).
+export function validateSummary(data: unknown): SummaryValidation {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { valid: false, errors: ['reply must be a JSON object'] };
+  }
+
+  const record = data as Record<string, unknown>;
+  const errors: string[] = [];
+
+  if (!isNonEmptyString(record.summary)) {
+    errors.push('"summary" must be a non-empty string');
+  } else if (record.summary.length > MAX_SUMMARY_LENGTH) {
+    errors.push(`"summary" must be at most ${MAX_SUMMARY_LENGTH} characters`);
+  }
+
+  if (!SUMMARY_TYPES.includes(record.type as SummaryType)) {
+    errors.push(`"type" must be one of ${SUMMARY_TYPES.map(type => `"${type}"`).join(', ')}`);
+  }
+
+  const { taskList, journalPrompt } = record;
+  if (taskList !== null && taskList !== undefined) {
+    if (!Array.isArray(taskList)) {
+      errors.push('"taskList" must be an array of task objects or null');
+    } else if (taskList.length > MAX_TASKS) {
+      errors.push(`"taskList" must have at most ${MAX_TASKS} items`);
+    } else {
+      errors.push(...taskList.flatMap(validateTask));
+    }
+  }
+
+  if (journalPrompt !== null && journalPrompt !== undefined && typeof journalPrompt !== 'string') {
+    errors.push('"journalPrompt" must be a string or null');
+  }
+
+  const unknownKeys = Object.keys(record).filter(key => !(key in SUMMARY_JSON_SCHEMA.properties));
+  if (unknownKeys.length > 0) {
+    errors.push(`unexpected keys: ${unknownKeys.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const tasks = Array.isArray(taskList) ? (taskList as Array<Record<string, unknown>>).map(toTaskDraft) : [];
+  const prompt = isNonEmptyString(journalPrompt) ? journalPrompt.trim() : undefined;
+
+  return {
+    valid: true,
+    value: {
+      summary: (record.summary as string).trim(),
+      type: record.type as SummaryType,
+      taskList: tasks.length > 0 ? tasks : undefined,
+      journalPrompt: prompt,
+    },
+  };
+}
+
+// One task from the shapes models send instead of a task object: a plain
+// string, or an object with the text under another name
+function repairTask(task: unknown): unknown {
+  if (isNonEmptyString(task)) return { text: task.trim() };
+  if (!isObject(task)) return task;
+
+  const priority = typeof task.priority === 'string' ? task.priority.trim().toLowerCase() : task.priority;
+  return {
+    text: task.text ?? task.task ?? task.title ?? task.description,
+    due: task.due ?? task.dueDate ?? task.due_date ?? task.deadline ?? null,
+    priority: TASK_PRIORITIES.includes(priority as TaskPriority) ? priority : null,
+    assignee: task.assignee ?? task.owner ?? null,
+    source: task.source ?? task.quote ?? null,
+  };
+}
+
+// Fixes the near-misses models commonly produce (wrong casing, a task list
+// sent as one bulleted string or as bare strings, extra keys) without
+// inventing content. Returns a new object; anything it cannot fix is left
+// for validation to reject.
+export function repairSummary(data: unknown): unknown {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return data;
+  }
+
+  const record = data as Record<string, unknown>;
+  const repaired: Record<string, unknown> = {};
+
+  repaired.summary = Array.isArray(record.summary)
+    ? record.summary.filter(isNonEmptyString).join(' ')
+    : record.summary;
+
+  repaired.type = typeof record.type === 'string' ? record.type.trim().toLowerCase() : record.type;
+  if (repaired.type === 'task') repaired.type = 'tasks';
+
+  const taskList = record.taskList ?? record.tasks;
+  if (typeof taskList === 'string') {
+    repaired.taskList = taskList
+      .split(/\n|;/)
+      .map(task => task.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+      .filter(task => task.length > 0)
+      .map(repairTask);
+  } else if (Array.isArray(taskList)) {
+    repaired.taskList = taskList.filter(task => task !== null && task !== '').map(repairTask);
+  } else {
+    repaired.taskList = taskList ?? null;
+  }
+
+  repaired.journalPrompt = record.journalPrompt ?? record.journal_prompt ?? null;
+  return repaired;
+}
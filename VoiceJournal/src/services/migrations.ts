@@ -0,0 +1,365 @@
+import type { SQLiteDatabase } from 'expo-sqlite';
+import ErrorHandler from './ErrorHandler';
+
+// The subset of SQLiteDatabase that migrations are allowed to use. Keeping it
+// narrow means the runner can be exercised against any SQLite binding seeded
+// with a fixture of an older schema.
+export type MigrationDatabase = Pick<
+  SQLiteDatabase,
+  'execAsync' | 'runAsync' | 'getAllAsync' | 'getFirstAsync' | 'withTransactionAsync'
+>;
+
+export interface Migration {
+  version: number;
+  description: string;
+  migrate: (db: MigrationDatabase) => Promise<void>;
+}
+
+// Awaited before the next step, so loggers that write somewhere can't race
+export type MigrationLogger = (message: string) => void | Promise<void>;
+
+// Ordered registry of schema migrations. Never edit or reorder an entry that
+// has shipped; append a new one with the next version number instead.
+export const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'Create notes, transcriptions, summaries, recordings and tags tables',
+    migrate: async (db) => {
+      // IF NOT EXISTS keeps this safe for databases created before versioning
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS notes (
+          id TEXT PRIMARY KEY NOT NULL,
+          title TEXT,
+          original_text TEXT NOT NULL,
+          edited_text TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS transcriptions (
+          note_id TEXT PRIMARY KEY NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          id TEXT NOT NULL,
+          text TEXT NOT NULL,
+          confidence REAL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS summaries (
+          note_id TEXT PRIMARY KEY NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          id TEXT NOT NULL,
+          original_text TEXT NOT NULL,
+          summary TEXT NOT NULL,
+          type TEXT NOT NULL,
+          journal_prompt TEXT,
+          task_list TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS recordings (
+          note_id TEXT PRIMARY KEY NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          id TEXT NOT NULL,
+          uri TEXT NOT NULL,
+          duration INTEGER NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS tags (
+          name TEXT PRIMARY KEY NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS note_tags (
+          note_id TEXT NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          tag TEXT NOT NULL REFERENCES tags(name),
+          position INTEGER NOT NULL,
+          PRIMARY KEY (note_id, tag)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_notes_created_at ON notes(created_at);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'Create processing_jobs table for the background processing queue',
+    migrate: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE processing_jobs (
+          id TEXT PRIMARY KEY NOT NULL,
+          note_id TEXT NOT NULL,
+          audio_uri TEXT NOT NULL,
+          audio_recording TEXT,
+          status TEXT NOT NULL,
+          stage TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          error TEXT,
+          transcription TEXT,
+          summary TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_processing_jobs_status ON processing_jobs(status);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'Track summary status so notes can be saved without a summary',
+    migrate: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE notes ADD COLUMN summary_status TEXT NOT NULL DEFAULT 'ready';
+        ALTER TABLE notes ADD COLUMN summary_error TEXT;
+        ALTER TABLE processing_jobs ADD COLUMN summary_error TEXT;
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'Record size and checksum of stored audio files',
+    migrate: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE recordings ADD COLUMN size INTEGER;
+        ALTER TABLE recordings ADD COLUMN checksum TEXT;
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'Store segment and word timings with transcriptions',
+    migrate: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE transcriptions ADD COLUMN segments TEXT;
+        ALTER TABLE transcriptions ADD COLUMN words TEXT;
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: 'Create note_corrections table for the transcript correction log',
+    migrate: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE note_corrections (
+          id TEXT PRIMARY KEY NOT NULL,
+          note_id TEXT NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          word_index INTEGER NOT NULL,
+          original TEXT NOT NULL,
+          replacement TEXT NOT NULL,
+          start_ms INTEGER NOT NULL,
+          end_ms INTEGER NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_note_corrections_note_id ON note_corrections(note_id);
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: 'Add live transcript to processing_jobs',
+    migrate: async (db) => {
+      await db.execAsync('ALTER TABLE processing_jobs ADD COLUMN live_transcript TEXT');
+    },
+  },
+  {
+    version: 8,
+    description: 'Add speaker names to notes',
+    migrate: async (db) => {
+      await db.execAsync('ALTER TABLE notes ADD COLUMN speaker_names TEXT');
+    },
+  },
+  {
+    version: 9,
+    description: 'Add detected language to transcriptions',
+    migrate: async (db) => {
+      await db.execAsync('ALTER TABLE transcriptions ADD COLUMN language TEXT');
+    },
+  },
+  {
+    version: 10,
+    description: 'Add cleaned transcript to processing_jobs',
+    migrate: async (db) => {
+      await db.execAsync('ALTER TABLE processing_jobs ADD COLUMN cleaned_text TEXT');
+    },
+  },
+  {
+    version: 11,
+    description: 'Add awaiting transcription flag to notes',
+    migrate: async (db) => {
+      await db.execAsync('ALTER TABLE notes ADD COLUMN awaiting_transcription INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+  {
+    version: 12,
+    description: 'Create tasks table and move task lists out of summaries',
+    migrate: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE tasks (
+          id TEXT PRIMARY KEY NOT NULL,
+          note_id TEXT NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          due_date TEXT,
+          priority TEXT,
+          assignee TEXT,
+          source_start INTEGER,
+          source_end INTEGER,
+          completed INTEGER NOT NULL DEFAULT 0,
+          completed_at TEXT
+        );
+
+        CREATE INDEX idx_tasks_note_id ON tasks(note_id);
+        CREATE INDEX idx_tasks_due_date ON tasks(completed, due_date);
+      `);
+
+      // Task lists were JSON arrays of strings, later of task objects
+      const rows = await db.getAllAsync<{ note_id: string; task_list: string }>(
+        'SELECT note_id, task_list FROM summaries WHERE task_list IS NOT NULL'
+      );
+      for (const row of rows) {
+        let tasks: unknown;
+        try {
+          tasks = JSON.parse(row.task_list);
+        } catch (error) {
+          // Nothing to recover from a corrupt list; the summary itself is kept
+          continue;
+        }
+        if (!Array.isArray(tasks)) continue;
+
+        for (const [position, task] of tasks.entries()) {
+          const item = typeof task === 'string' ? { text: task } : task;
+          if (typeof item?.text !== 'string' || !item.text.trim()) continue;
+          await db.runAsync(
+            `INSERT INTO tasks (id, note_id, position, text, due_date, priority, assignee, source_start, source_end)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `${row.note_id}_task_${position}`,
+            row.note_id,
+            position,
+            item.text.trim(),
+            item.dueDate ?? null,
+            item.priority ?? null,
+            item.assignee ?? null,
+            item.sourceStart ?? null,
+            item.sourceEnd ?? null
+          );
+        }
+      }
+      await db.execAsync('UPDATE summaries SET task_list = NULL');
+    },
+  },
+  {
+    version: 13,
+    description: 'Add generated titles to processing_jobs and mark user-written note titles',
+    migrate: async (db) => {
+      // Titles were only ever typed by users before they were generated
+      await db.execAsync(`
+        ALTER TABLE processing_jobs ADD COLUMN title TEXT;
+        ALTER TABLE notes ADD COLUMN title_edited INTEGER NOT NULL DEFAULT 0;
+        UPDATE notes SET title_edited = 1 WHERE title IS NOT NULL;
+      `);
+    },
+  },
+  {
+    version: 14,
+    description: 'Add suggested tags to notes and processing_jobs',
+    migrate: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE notes ADD COLUMN suggested_tags TEXT;
+        ALTER TABLE processing_jobs ADD COLUMN suggested_tags TEXT;
+      `);
+    },
+  },
+  {
+    version: 15,
+    description: 'Add mood to summaries',
+    migrate: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE summaries ADD COLUMN mood_score REAL;
+        ALTER TABLE summaries ADD COLUMN mood_label TEXT;
+        ALTER TABLE summaries ADD COLUMN mood_emotions TEXT;
+        ALTER TABLE summaries ADD COLUMN mood_user_label TEXT;
+      `);
+    },
+  },
+  {
+    version: 16,
+    description: 'Record whether a processing job has saved its note',
+    migrate: async (db) => {
+      // Drafts and jobs past summarizing have already written their note
+      await db.execAsync(`
+        ALTER TABLE processing_jobs ADD COLUMN note_saved INTEGER NOT NULL DEFAULT 0;
+        UPDATE processing_jobs SET note_saved = 1
+          WHERE status = 'waiting_for_provider' OR stage IN ('analyzing', 'saving');
+      `);
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const logMigration: MigrationLogger = (message) =>
+  ErrorHandler.getInstance().logError({ type: 'migration', message });
+
+export async function getSchemaVersion(db: MigrationDatabase): Promise<number> {
+  const row = await db.getFirstAsync<{ user_version: number }>('PRAGMA user_version');
+  return row?.user_version ?? 0;
+}
+
+// Brings the database up to the newest version in `migrations`. Each step runs
+// in its own transaction together with the version bump, so a failed step
+// leaves the database at the last version that completed. Returns the version
+// the database ends up at. The run and each of its steps are logged, each log
+// written before the next step starts.
+export async function runMigrations(
+  db: MigrationDatabase,
+  migrations: Migration[] = MIGRATIONS,
+  log: MigrationLogger = logMigration
+): Promise<number> {
+  validateMigrations(migrations);
+
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  let currentVersion = await getSchemaVersion(db);
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this app supports (${latestVersion})`
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+  if (pending.length === 0) return currentVersion;
+
+  await log(`Migrating database from schema version ${currentVersion} to ${latestVersion}`);
+
+  for (const migration of pending) {
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.migrate(db);
+        // PRAGMA does not accept bound parameters; the version is a validated integer
+        await db.execAsync(`PRAGMA user_version = ${migration.version}`);
+      });
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      await log(`Migration ${migration.version} (${migration.description}) failed: ${reason}`);
+      throw error;
+    }
+
+    currentVersion = migration.version;
+    await log(`Applied migration ${migration.version}: ${migration.description}`);
+  }
+
+  return currentVersion;
+}
+
+function validateMigrations(migrations: Migration[]): void {
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Invalid migration version: ${migration.version}`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(
+        `Migrations must be in ascending version order (${migrations[index - 1].version} before ${migration.version})`
+      );
+    }
+  });
+}
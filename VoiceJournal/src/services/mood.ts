@@ -0,0 +1,164 @@
+import { Mood, MoodBucket, MoodEntry, MoodLabel, MoodPeriod } from '../types';
+import { MoodDraft } from './llm/LLMProvider';
+import { tokenize } from './SearchIndex';
+
+// Ordered from lowest to highest; `score` is what a label picked by the user counts as
+export const MOOD_LABELS: Array<{ label: MoodLabel; score: number; emoji: string; name: string }> = [
+  { label: 'very_negative', score: -0.8, emoji: '😞', name: 'Very low' },
+  { label: 'negative', score: -0.4, emoji: '🙁', name: 'Low' },
+  { label: 'neutral', score: 0, emoji: '😐', name: 'Neutral' },
+  { label: 'positive', score: 0.4, emoji: '🙂', name: 'Good' },
+  { label: 'very_positive', score: 0.8, emoji: '😄', name: 'Great' },
+];
+
+export const EMOTIONS = [
+  'joy', 'gratitude', 'calm', 'excitement', 'pride', 'love',
+  'sadness', 'anxiety', 'stress', 'anger', 'frustration', 'loneliness', 'tiredness',
+];
+
+const MAX_EMOTIONS = 3;
+// Higher values squash fewer words towards the ends of the scale
+const NORMALIZATION_ALPHA = 15;
+// How many words back a "not" still flips a word
+const NEGATION_WINDOW = 3;
+const NEGATED_WEIGHT = -0.5;
+const INTENSIFIER_WEIGHT = 1.5;
+
+const SENTIMENT_WORDS: Record<string, number> = {
+  amazing: 3, awesome: 3, wonderful: 3, fantastic: 3, excellent: 3, thrilled: 3, love: 3, loved: 3, best: 3,
+  happy: 2, glad: 2, great: 2, grateful: 2, thankful: 2, excited: 2, proud: 2, enjoyed: 2, fun: 2, beautiful: 2,
+  relaxed: 2, peaceful: 2, calm: 2, hopeful: 2, confident: 2, relieved: 2, productive: 2, lucky: 2, joy: 2,
+  good: 1, nice: 1, better: 1, fine: 1, okay: 1, interesting: 1, rested: 1, progress: 1, smile: 1, laughed: 1,
+  terrible: -3, awful: -3, horrible: -3, miserable: -3, devastated: -3, hate: -3, hated: -3, worst: -3, depressed: -3,
+  sad: -2, angry: -2, upset: -2, anxious: -2, worried: -2, stressed: -2, frustrated: -2, lonely: -2, scared: -2,
+  afraid: -2, hurt: -2, overwhelmed: -2, exhausted: -2, annoyed: -2, disappointed: -2, cried: -2, crying: -2,
+  bad: -1, tired: -1, worse: -1, boring: -1, bored: -1, difficult: -1, hard: -1, problem: -1, nervous: -1,
+  sick: -1, struggling: -1, struggled: -1, mess: -1,
+};
+
+const EMOTION_WORDS: Record<string, string[]> = {
+  joy: ['happy', 'joy', 'glad', 'fun', 'enjoyed', 'laughed', 'smile', 'wonderful', 'amazing'],
+  gratitude: ['grateful', 'thankful', 'thanks', 'appreciate', 'appreciated', 'blessed', 'lucky'],
+  calm: ['calm', 'relaxed', 'peaceful', 'rested', 'relieved', 'content'],
+  excitement: ['excited', 'thrilled', 'eager', 'pumped', 'stoked'],
+  pride: ['proud', 'accomplished', 'achieved', 'productive', 'confident'],
+  love: ['love', 'loved', 'loving', 'hug', 'adore'],
+  sadness: ['sad', 'cried', 'crying', 'depressed', 'miserable', 'devastated', 'heartbroken'],
+  anxiety: ['anxious', 'worried', 'nervous', 'scared', 'afraid', 'panic', 'worry'],
+  stress: ['stressed', 'stress', 'overwhelmed', 'pressure', 'deadline', 'busy'],
+  anger: ['angry', 'mad', 'furious', 'hate', 'hated'],
+  frustration: ['frustrated', 'annoyed', 'annoying', 'stuck', 'disappointed'],
+  loneliness: ['lonely', 'alone', 'isolated'],
+  tiredness: ['tired', 'exhausted', 'sleepy', 'drained', 'worn'],
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nothing', 'hardly', 'don\'t', 'didn\'t', 'doesn\'t', 'isn\'t', 'wasn\'t', 'aren\'t',
+  'weren\'t', 'can\'t', 'couldn\'t', 'won\'t', 'wouldn\'t', 'haven\'t', 'hasn\'t', 'without',
+]);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'super', 'incredibly', 'totally', 'truly']);
+
+export function moodLabelForScore(score: number): MoodLabel {
+  if (score <= -0.6) return 'very_negative';
+  if (score < -0.2) return 'negative';
+  if (score <= 0.2) return 'neutral';
+  if (score < 0.6) return 'positive';
+  return 'very_positive';
+}
+
+export const getMoodDetails = (label: MoodLabel) =>
+  MOOD_LABELS.find(option => option.label === label) ?? MOOD_LABELS[2];
+
+// The mood as the user sees it: their correction when they made one
+export function getEffectiveMood(mood: Mood): { score: number; label: MoodLabel } {
+  return mood.userLabel
+    ? { score: getMoodDetails(mood.userLabel).score, label: mood.userLabel }
+    : { score: mood.score, label: mood.label };
+}
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+// Checks a provider's reply: the score is kept within -1..1, the label
+// follows from it and unknown emotions are dropped
+export function resolveMood(draft: MoodDraft): Mood {
+  const score = round(Math.max(-1, Math.min(1, Number.isFinite(draft.score) ? draft.score : 0)));
+  const emotions = (draft.emotions || [])
+    .map(emotion => emotion.trim().toLowerCase())
+    .filter((emotion, index, all) => EMOTIONS.includes(emotion) && all.indexOf(emotion) === index)
+    .slice(0, MAX_EMOTIONS);
+  return { score, label: moodLabelForScore(score), emotions };
+}
+
+// Offline mood analysis with word lists. Each mood word counts by its
+// strength, flipped and halved after a negation ("not happy") and raised
+// after an intensifier ("really tired"); the total is squashed into -1..1.
+export function analyzeMood(text: string): Mood {
+  const terms = tokenize(text).map(token => token.term.replace(/’/g, '\''));
+  let total = 0;
+  const emotionCounts = new Map<string, number>();
+
+  terms.forEach((term, index) => {
+    const previous = terms.slice(Math.max(0, index - NEGATION_WINDOW), index);
+    const isNegated = previous.some(word => NEGATIONS.has(word));
+
+    const weight = SENTIMENT_WORDS[term];
+    if (weight !== undefined) {
+      let value = weight;
+      if (INTENSIFIERS.has(terms[index - 1])) value *= INTENSIFIER_WEIGHT;
+      if (isNegated) value *= NEGATED_WEIGHT;
+      total += value;
+    }
+
+    if (isNegated) return;
+    for (const emotion of EMOTIONS) {
+      if (EMOTION_WORDS[emotion].includes(term)) {
+        emotionCounts.set(emotion, (emotionCounts.get(emotion) ?? 0) + 1);
+      }
+    }
+  });
+
+  const score = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+  const emotions = [...emotionCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([emotion]) => emotion);
+  return resolveMood({ score, emotions });
+}
+
+// Keeps the user's correction when a note's mood is analyzed again
+export function carryOverMood(previous: Mood | undefined, next: Mood): Mood {
+  return previous?.userLabel ? { ...next, userLabel: previous.userLabel } : next;
+}
+
+// Midnight at the start of the day, or of the week (from Monday), in local time
+function startOfPeriod(date: Date, period: MoodPeriod): Date {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+}
+
+// Average mood for each of the last `count` days or weeks, oldest first and
+// ending with the current one
+export function aggregateMoods(entries: MoodEntry[], period: MoodPeriod, count: number, now: Date = new Date()): MoodBucket[] {
+  const buckets: MoodBucket[] = [];
+  const current = startOfPeriod(now, period);
+  for (let i = count - 1; i >= 0; i--) {
+    const start = new Date(current);
+    start.setDate(start.getDate() - i * (period === 'week' ? 7 : 1));
+    buckets.push({ start, count: 0 });
+  }
+
+  const totals = new Map<number, number>();
+  for (const entry of entries) {
+    const key = startOfPeriod(entry.createdAt, period).getTime();
+    const bucket = buckets.find(candidate => candidate.start.getTime() === key);
+    if (!bucket) continue;
+    bucket.count++;
+    totals.set(key, (totals.get(key) ?? 0) + entry.score);
+  }
+
+  return buckets.map(bucket => bucket.count > 0
+    ? { ...bucket, averageScore: round((totals.get(bucket.start.getTime()) ?? 0) / bucket.count) }
+    : bucket);
+}
@@ -0,0 +1,79 @@
+import { Transcription, TranscriptSegment, TranscriptWord } from '../types';
+import { SummaryContext } from './llm';
+
+export interface SpeakerTurn {
+  // Unset for unlabelled speech before the first labelled turn
+  speaker?: string;
+  text: string;
+}
+
+// Segments carry the labels when the provider diarizes; fall back to words
+// for providers that only label those
+function labelledItems(transcription: Transcription): Array<TranscriptSegment | TranscriptWord> {
+  const segments = transcription.segments || [];
+  if (segments.some(segment => segment.speaker)) return segments;
+  return transcription.words || [];
+}
+
+// Diarization labels in order of first appearance
+export function getSpeakerLabels(transcription: Transcription): string[] {
+  const labels: string[] = [];
+  for (const item of labelledItems(transcription)) {
+    if (item.speaker && !labels.includes(item.speaker)) labels.push(item.speaker);
+  }
+  return labels;
+}
+
+// "Speaker 2:" labels, as getSpeakerName writes them and as providers put
+// them in the text ("SPEAKER_1:"), wherever they appear
+const DEFAULT_LABEL_PATTERN = /\bspeaker[ _]?\d+\s*:\s*/gi;
+
+// The text without its default speaker labels, for reading what was said
+export function stripSpeakerLabels(text: string): string {
+  return text.replace(DEFAULT_LABEL_PATTERN, '');
+}
+
+// The name the user gave a speaker, or "Speaker n" by order of appearance
+export function getSpeakerName(label: string, labels: string[], names?: Record<string, string>): string {
+  const name = names?.[label]?.trim();
+  return name || `Speaker ${labels.indexOf(label) + 1}`;
+}
+
+// Consecutive stretches spoken by the same person. Unlabelled items join the
+// turn before them.
+export function getSpeakerTurns(transcription: Transcription): SpeakerTurn[] {
+  const turns: SpeakerTurn[] = [];
+  for (const item of labelledItems(transcription)) {
+    const last = turns[turns.length - 1];
+    if (last && (!item.speaker || item.speaker === last.speaker)) {
+      last.text += ` ${item.text.trim()}`;
+    } else {
+      turns.push({ speaker: item.speaker, text: item.text.trim() });
+    }
+  }
+  return turns;
+}
+
+// The text and context to summarize a note with. Conversations are sent as
+// "Name: ..." turns so tasks can be attributed, unless the user has edited
+// the text, in which case the edit wins and only the names are passed along.
+// The note's language goes along so the summary can be written in it.
+export function buildSummaryInput(
+  transcription: Transcription,
+  text: string,
+  names?: Record<string, string>
+): { text: string; context: SummaryContext } {
+  const labels = getSpeakerLabels(transcription);
+  if (labels.length < 2) return { text, context: { language: transcription.language } };
+
+  const context: SummaryContext = {
+    language: transcription.language,
+    speakers: labels.map(label => getSpeakerName(label, labels, names)),
+  };
+  if (text.trim() !== transcription.text.trim()) return { text, context };
+
+  const turns = getSpeakerTurns(transcription).map(turn =>
+    turn.speaker ? `${getSpeakerName(turn.speaker, labels, names)}: ${turn.text}` : turn.text
+  );
+  return { text: turns.join('\n'), context };
+}
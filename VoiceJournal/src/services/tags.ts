@@ -0,0 +1,133 @@
+import { TagContext } from './llm/LLMProvider';
+import { tokenize } from './SearchIndex';
+import { stripSpeakerLabels } from './speakers';
+
+const MAX_SUGGESTIONS = 5;
+const MAX_TAG_LENGTH = 30;
+// A new word has to come up this often before it is worth a tag
+const MIN_KEYWORD_COUNT = 2;
+const MIN_KEYWORD_LENGTH = 4;
+// Words in more than this share of the other notes say nothing about this one
+const MAX_DOCUMENT_SHARE = 0.5;
+// Below this many other notes the share above isn't meaningful
+const MIN_DOCUMENTS_FOR_SHARE = 5;
+
+// Words that never make a useful tag on their own
+const STOP_WORDS = new Set([
+  'about', 'above', 'actually', 'after', 'again', 'against', 'also', 'although', 'always', 'another', 'anything',
+  'around', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'came', 'cannot', 'could',
+  'didn\'t', 'does', 'doesn\'t', 'doing', 'done', 'don\'t', 'down', 'during', 'each', 'else', 'enough', 'even',
+  'ever', 'every', 'everything', 'few', 'first', 'from', 'further', 'gets', 'getting', 'give', 'going', 'gonna',
+  'good', 'got', 'gotta', 'great', 'have', 'having', 'here', 'himself', 'herself', 'into', 'it\'s', 'itself',
+  'just', 'keep', 'kind', 'know', 'last', 'like', 'little', 'long', 'look', 'lots', 'made', 'make', 'many',
+  'maybe', 'mean', 'might', 'more', 'most', 'much', 'must', 'myself', 'need', 'needs', 'never', 'next', 'nice',
+  'none', 'nothing', 'okay', 'once', 'only', 'other', 'ourselves', 'over', 'own', 'pretty', 'quite', 'rather',
+  'really', 'right', 'said', 'same', 'should', 'since', 'some', 'something', 'soon', 'still', 'such', 'sure',
+  'take', 'than', 'thank', 'thanks', 'that', 'that\'s', 'their', 'them', 'themselves', 'then', 'there',
+  'there\'s', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'though', 'through', 'today',
+  'told', 'tomorrow', 'tonight', 'too', 'took', 'under', 'until', 'very', 'wanna', 'want', 'wanted', 'well',
+  'went', 'were', 'we\'re', 'what', 'when', 'where', 'whether', 'which', 'while', 'will', 'with', 'without',
+  'won\'t', 'would', 'yeah', 'year', 'yesterday', 'you\'re', 'your', 'yours', 'yourself',
+]);
+
+// Folds simple plurals so "meeting" and "meetings" count as one word
+function stem(term: string): string {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 4 && term.endsWith('s') && !/(?:ss|us|is)$/.test(term)) return term.slice(0, -1);
+  return term;
+}
+
+const stems = (text: string): string[] => tokenize(text.replace(/[-_]/g, ' ')).map(token => stem(token.term));
+
+// How often a tag's words appear in a row in the text
+function countPhrase(words: string[], phrase: string[]): number {
+  if (phrase.length === 0) return 0;
+  let count = 0;
+  for (let i = 0; i + phrase.length <= words.length; i++) {
+    if (phrase.every((word, offset) => words[i + offset] === word)) count++;
+  }
+  return count;
+}
+
+export const hasTag = (tags: string[], tag: string): boolean =>
+  tags.some(existing => existing.toLowerCase() === tag.toLowerCase());
+
+// Tidies a proposed tag: no leading "#", quotes or final punctuation,
+// lowercase, hyphens for spaces. Returns undefined when nothing usable is left.
+export function normalizeTag(tag: string): string | undefined {
+  const text = tag
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/["'“”‘’`]/g, '')
+    .replace(/[.,;:!?]+$/, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+  return text.length >= 2 && text.length <= MAX_TAG_LENGTH ? text : undefined;
+}
+
+// Cleans up tags proposed by a provider: spellings of tags already in use
+// are reused and listed first, tags the note has are dropped, and at most
+// MAX_SUGGESTIONS are kept.
+export function resolveTagSuggestions(proposed: string[], context: TagContext = {}): string[] {
+  const existingTags = context.existingTags || [];
+  const noteTags = context.noteTags || [];
+  const existing: string[] = [];
+  const fresh: string[] = [];
+
+  for (const value of proposed) {
+    const normalized = normalizeTag(value);
+    if (!normalized) continue;
+    const key = stems(normalized).join(' ');
+    const known = existingTags.find(tag => stems(tag).join(' ') === key);
+    const tag = known ?? normalized;
+    if (hasTag(noteTags, tag) || hasTag(existing, tag) || hasTag(fresh, tag)) continue;
+    (known ? existing : fresh).push(tag);
+  }
+  return [...existing, ...fresh].slice(0, MAX_SUGGESTIONS);
+}
+
+// Offline tag suggestions. Tags already in use are proposed when the note
+// mentions them; after those come the words that stand out in this note
+// compared to the user's other notes (TF-IDF), as long as they come up more
+// than once. Speaker labels of conversations don't count as words.
+export function suggestTags(text: string, context: TagContext = {}): string[] {
+  const plain = stripSpeakerLabels(text);
+  const words = stems(plain);
+  if (words.length === 0) return [];
+
+  const existingMatches = (context.existingTags || [])
+    .map(tag => ({ tag, count: countPhrase(words, stems(tag)) }))
+    .filter(match => match.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .map(match => match.tag);
+
+  // Keep the spelling used most for each word
+  const counts = new Map<string, { count: number; forms: Map<string, number> }>();
+  for (const token of tokenize(plain)) {
+    const key = stem(token.term);
+    if (key.length < MIN_KEYWORD_LENGTH || STOP_WORDS.has(token.term) || STOP_WORDS.has(key) || /\d/.test(key)) {
+      continue;
+    }
+    const entry = counts.get(key) ?? { count: 0, forms: new Map<string, number>() };
+    entry.count++;
+    entry.forms.set(token.term, (entry.forms.get(token.term) ?? 0) + 1);
+    counts.set(key, entry);
+  }
+
+  const documents = (context.otherNotes || []).map(note => new Set(stems(stripSpeakerLabels(note))));
+  const keywords = [...counts.entries()]
+    .filter(([, entry]) => entry.count >= MIN_KEYWORD_COUNT)
+    .map(([key, entry]) => {
+      const frequency = documents.filter(document => document.has(key)).length;
+      const idf = Math.log((documents.length + 1) / (frequency + 1)) + 1;
+      const form = [...entry.forms.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0];
+      return { form, score: entry.count * idf, share: documents.length ? frequency / documents.length : 0 };
+    })
+    .filter(keyword => documents.length < MIN_DOCUMENTS_FOR_SHARE || keyword.share <= MAX_DOCUMENT_SHARE)
+    .sort((a, b) => b.score - a.score)
+    .map(keyword => keyword.form);
+
+  return resolveTagSuggestions([...existingMatches, ...keywords], context);
+}
@@ -0,0 +1,464 @@
+import { SummaryTask, TaskPriority } from '../types';
+import { TaskDraft } from './llm/LLMProvider';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const FRIDAY = 5;
+const SATURDAY = 6;
+
+const NUMBER_WORDS: Record<string, number> = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  'a couple of': 2, 'a few': 3,
+};
+
+// Words that introduce a deadline and go with it when it is cut from a task
+const DUE_PREFIX = String.raw`(?:\b(?:by|before|on|until|till|due|for|no later than)\s+)?`;
+const MONTH_NAME = String.raw`(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?`;
+const ORDINAL = String.raw`(\d{1,2})(?:st|nd|rd|th)?`;
+const AMOUNT = String.raw`(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|a couple of|a few)`;
+
+// Set off from the sentence, these say how urgent a task is. Low is checked
+// first so "not urgent" isn't read as urgent.
+const PRIORITY_PHRASES: Array<[TaskPriority, RegExp]> = [
+  ['low', /\b(?:no rush|not urgent|low priority|whenever|eventually|some ?time|someday|at some point|when I get a chance|if I have time)\b/i],
+  ['high', /\b(?:urgent(?:ly)?|asap|as soon as possible|right away|immediately|top priority|high priority|critical|important|first thing)\b/i],
+  ['medium', /\b(?:medium priority|soonish|soon)\b/i],
+];
+
+// Fillers a clause may start with before its task, in either case so it
+// also works in patterns that tell names by their capital
+const LEAD_IN = String.raw`^(?:(?:[Aa]lso|[Aa]nd|[Tt]hen|[Oo]h|[Oo]k(?:ay)?|[Ss]o|[Pp]lease|[Pp]lus)[,]?\s+)*`;
+// A capitalized name opening a clause, other than pronouns, fillers and days
+const NAME = String.raw`(?!(?:I|We|You|He|She|It|They|This|That|There|Here|Everyone|Someone|Somebody|Nobody|Everything|Nothing|Today|Tomorrow|Tonight|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|Also|And|Then|So|Plus)\b)([A-Z][\w'-]+)`;
+
+// How a task is introduced. Each captures the action, which starts with
+// `verb` when the phrase used it up. The person responsible is the
+// `assignee` group when the phrasing names one; otherwise it is whoever is
+// speaking, unless the `subject` group is "we".
+const TASK_PATTERNS: Array<{ pattern: RegExp; action: number; assignee?: number; subject?: number; verb?: string }> = [
+  { pattern: /\b(?:[Aa]sk|[Tt]ell|[Rr]emind)\s+([A-Z][\w'-]+)\s+to\s+(.+)/, action: 2, assignee: 1 },
+  {
+    pattern: new RegExp(`${LEAD_IN}${NAME}(?:'ll| will| needs to| has to| must| should|'s going to| is going to)\\s+(.+)`),
+    action: 2,
+    assignee: 1,
+  },
+  { pattern: new RegExp(`${LEAD_IN}${NAME}\\s+(?:takes|is taking|will take) care of\\s+(.+)`), action: 2, assignee: 1, verb: 'take care of' },
+  { pattern: new RegExp(`${LEAD_IN}${NAME}\\s+(?:handles|is handling)\\s+(.+)`), action: 2, assignee: 1, verb: 'handle' },
+  {
+    pattern: /\b(I|we)(?:'ll| will| still need to| need to| have to| must| should| ought to|'ve got to| have got to| gotta|'m going to| am going to|'re going to| are going to)\s+(.+)/i,
+    action: 2,
+    subject: 1,
+  },
+  { pattern: /\b(?:remember|don't forget|do not forget|make sure|remind me|I want to make sure)\s+(?:to|that I|I)\s+(.+)/i, action: 1 },
+  { pattern: /\b(?:to-?do|to do|reminder|task)\s*[:-]\s*(.+)/i, action: 1 },
+  { pattern: /\b(?:reminder|note to self)\s+to\s+(.+)/i, action: 1 },
+  // Without a subject, as in "Also need to call the dentist"
+  {
+    pattern: new RegExp(`${LEAD_IN}(?:still\\s+)?(?:need to|needs to|have to|has to|got to|gotta|must|should)\\s+(.+)`, 'i'),
+    action: 1,
+  },
+];
+
+// Verbs that make a sentence starting with them a to-do ("Call the bank")
+const IMPERATIVE_VERBS = [
+  'call', 'phone', 'email', 'e-mail', 'text', 'message', 'buy', 'pick up', 'drop off', 'send', 'pay', 'book',
+  'schedule', 'finish', 'submit', 'review', 'fix', 'clean', 'return', 'order', 'renew', 'cancel', 'check',
+  'write', 'prepare', 'follow up', 'reply', 'respond', 'update', 'file', 'sign', 'print', 'mail', 'post', 'collect',
+];
+const IMPERATIVE_PATTERN = new RegExp(`${LEAD_IN}((?:${IMPERATIVE_VERBS.join('|')})\\b.+)`, 'i');
+
+// Where a sentence splits into clauses that may each hold a task: commas
+// (with an "and" after them) and an "and" going on to another to-do verb
+const CLAUSE_SEPARATOR = new RegExp(`,\\s*(?:and\\s+)?|\\s+and\\s+(?=(?:${IMPERATIVE_VERBS.join('|')})\\b)`, 'gi');
+
+// Left over once the deadline and urgency are cut out of an action
+const TRAILING_NOISE = /(?:[\s,]+(?:too|as well|please|then|and|or|but|at the latest))+$/i;
+
+interface DateRule {
+  pattern: RegExp;
+  resolve: (match: RegExpMatchArray, today: Date) => Date | null;
+}
+
+interface DueMatch {
+  date: Date;
+  index: number;
+  length: number;
+}
+
+interface Sentence {
+  text: string;
+  speaker?: string;
+}
+
+interface FoundTask {
+  action: string;
+  assignee?: string;
+  // The part of the sentence the task was said in
+  source: string;
+}
+
+const addDays = (date: Date, days: number): Date =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const startOfDay = (date: Date): Date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Days until the next `weekday`, 0 when it is today
+const daysUntil = (today: Date, weekday: number): number => (weekday - today.getDay() + 7) % 7;
+
+// The same day `months` later, or the last day of that month when it is shorter
+function addMonthsClamped(date: Date, months: number): Date {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+// Monday of the week after `today`'s
+const nextMonday = (today: Date): Date => addDays(today, 7 - ((today.getDay() + 6) % 7));
+
+const parseAmount = (value: string): number =>
+  /^\d+$/.test(value) ? parseInt(value, 10) : NUMBER_WORDS[value.toLowerCase().replace(/\s+/g, ' ')] ?? 1;
+
+const monthIndex = (name: string): number => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+
+// The next `day` of `month` on or after `today`, or in `year` when given
+function nextDate(today: Date, month: number, day: number, year?: number): Date | null {
+  if (day < 1 || day > 31) return null;
+  const date = new Date(year ?? today.getFullYear(), month, day);
+  if (date.getMonth() !== month) return null;
+  return year === undefined && date < today ? new Date(today.getFullYear() + 1, month, day) : date;
+}
+
+// Checked in order; when several match, the one that starts first wins
+const DATE_RULES: DateRule[] = [
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    resolve: match => nextDate(new Date(0), parseInt(match[2], 10) - 1, parseInt(match[3], 10), parseInt(match[1], 10)),
+  },
+  { pattern: /\b(?:the\s+)?day after tomorrow\b/i, resolve: (match, today) => addDays(today, 2) },
+  { pattern: /\btomorrow\b/i, resolve: (match, today) => addDays(today, 1) },
+  {
+    pattern: /\b(?:today|tonight|this (?:morning|afternoon|evening)|(?:the\s+)?end of (?:the\s+)?day)\b/i,
+    resolve: (match, today) => today,
+  },
+  // The working week ends on Friday; at the weekend it's the coming Sunday
+  {
+    pattern: /\b(?:(?:the\s+)?end of (?:the\s+|this\s+)?week|this week)\b/i,
+    resolve: (match, today) => addDays(today, today.getDay() >= SATURDAY || today.getDay() === 0 ? daysUntil(today, 0) : daysUntil(today, FRIDAY)),
+  },
+  { pattern: /\b(?:the\s+)?end of next week\b/i, resolve: (match, today) => addDays(nextMonday(today), 4) },
+  { pattern: /\bnext weekend\b/i, resolve: (match, today) => addDays(nextMonday(today), 5) },
+  { pattern: /\bnext week\b/i, resolve: (match, today) => nextMonday(today) },
+  {
+    pattern: /\b(?:this\s+|the\s+)?weekend\b/i,
+    resolve: (match, today) => addDays(today, today.getDay() === 0 ? 0 : daysUntil(today, SATURDAY)),
+  },
+  // "Friday" is the next one after today, "this Friday" may be today, and
+  // "next Friday" skips to next week when Friday is still to come this week
+  {
+    pattern: new RegExp(`\\b(?:(this|next|coming)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i'),
+    resolve: (match, today) => {
+      const weekday = WEEKDAYS.indexOf(match[2].toLowerCase());
+      const qualifier = match[1]?.toLowerCase();
+      let days = daysUntil(today, weekday);
+      if (days === 0 && qualifier !== 'this') days = 7;
+      const date = addDays(today, days);
+      return qualifier === 'next' && date < nextMonday(today) ? addDays(date, 7) : date;
+    },
+  },
+  {
+    pattern: /\b(?:(?:the\s+)?end of (?:the\s+|this\s+)?month|this month)\b/i,
+    resolve: (match, today) => new Date(today.getFullYear(), today.getMonth() + 1, 0),
+  },
+  {
+    pattern: /\b(?:the\s+)?end of next month\b/i,
+    resolve: (match, today) => new Date(today.getFullYear(), today.getMonth() + 2, 0),
+  },
+  { pattern: /\bnext month\b/i, resolve: (match, today) => new Date(today.getFullYear(), today.getMonth() + 1, 1) },
+  {
+    pattern: /\b(?:(?:the\s+)?end of (?:the\s+|this\s+)?year|this year)\b/i,
+    resolve: (match, today) => new Date(today.getFullYear(), 11, 31),
+  },
+  { pattern: /\bnext year\b/i, resolve: (match, today) => new Date(today.getFullYear() + 1, 0, 1) },
+  {
+    pattern: new RegExp(`\\b(?:in|within)\\s+${AMOUNT}\\s+(day|week|month)s?\\b`, 'i'),
+    resolve: (match, today) => {
+      const amount = parseAmount(match[1]);
+      const unit = match[2].toLowerCase();
+      // Jan 31 plus a month is the end of February, not early March
+      if (unit === 'month') return addMonthsClamped(today, amount);
+      return addDays(today, unit === 'week' ? amount * 7 : amount);
+    },
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH_NAME}\\s+${ORDINAL}\\b(?:,?\\s+(\\d{4})\\b)?`, 'i'),
+    resolve: (match, today) =>
+      nextDate(today, monthIndex(match[1]), parseInt(match[2], 10), match[3] ? parseInt(match[3], 10) : undefined),
+  },
+  {
+    pattern: new RegExp(`\\b(?:the\\s+)?${ORDINAL}\\s+(?:of\\s+)?${MONTH_NAME}(?:,?\\s+(\\d{4})\\b)?`, 'i'),
+    resolve: (match, today) =>
+      nextDate(today, monthIndex(match[2]), parseInt(match[1], 10), match[3] ? parseInt(match[3], 10) : undefined),
+  },
+  // "the 15th" is this month's, or next month's once it has passed
+  {
+    pattern: /\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/i,
+    resolve: (match, today) => {
+      const day = parseInt(match[1], 10);
+      const month = today.getDate() > day ? today.getMonth() + 1 : today.getMonth();
+      const date = new Date(today.getFullYear(), month, day);
+      return date.getDate() === day ? date : null;
+    },
+  },
+];
+
+// The same phrases at either end of an action ("..., it's urgent"), where
+// they can be cut without taking words out of the middle of it
+const PRIORITY_EDGES = PRIORITY_PHRASES.map(
+  ([, pattern]) => new RegExp(
+    `^\\s*(?:${pattern.source})[,\\s]*|[,\\s]*(?:(?:it's|it is|this is|that's)\\s+)?(?:${pattern.source})\\s*$`,
+    'gi'
+  )
+);
+
+const COMPILED_DATE_RULES = DATE_RULES.map(rule => ({
+  ...rule,
+  withPrefix: new RegExp(DUE_PREFIX + rule.pattern.source, rule.pattern.flags),
+}));
+
+export function toIsoDate(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// YYYY-MM-DD as a local date
+export function parseIsoDate(value: string): Date | null {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return toIsoDate(date) === value ? date : null;
+}
+
+// The first deadline mentioned in `text`, with the words around it that
+// should go when it is cut out
+function findDueDate(text: string, createdAt: Date): DueMatch | null {
+  const today = startOfDay(createdAt);
+  let best: DueMatch | null = null;
+
+  for (const rule of COMPILED_DATE_RULES) {
+    const match = text.match(rule.withPrefix);
+    if (!match || match.index === undefined) continue;
+    if (best && (match.index > best.index || (match.index === best.index && match[0].length <= best.length))) continue;
+
+    // The prefix adds no groups, so rules see their own group numbers
+    const date = rule.resolve(match, today);
+    if (date) best = { date, index: match.index, length: match[0].length };
+  }
+  return best;
+}
+
+// Resolves a deadline as said ("by Friday", "in two weeks", "March 3rd") or
+// written as an ISO date against the day the note was recorded. Returns
+// YYYY-MM-DD, or undefined when there is no date in `phrase`.
+export function resolveDueDate(phrase: string, createdAt: Date): string | undefined {
+  const trimmed = phrase.trim();
+  if (parseIsoDate(trimmed)) return trimmed;
+
+  const due = findDueDate(trimmed, createdAt);
+  return due ? toIsoDate(due.date) : undefined;
+}
+
+export function detectPriority(text: string): TaskPriority | undefined {
+  return PRIORITY_PHRASES.find(([, pattern]) => pattern.test(text))?.[0];
+}
+
+// Sentences with the speaker of the "Name: ..." turn they are in
+function splitSentences(text: string, speakers: string[]): Sentence[] {
+  const sentences: Sentence[] = [];
+  for (const line of text.split('\n')) {
+    const separator = line.indexOf(':');
+    const label = separator > 0 ? line.substring(0, separator).trim() : '';
+    const speaker = speakers.includes(label) ? label : undefined;
+    const body = speaker ? line.substring(separator + 1) : line;
+
+    for (const piece of body.match(/[^.!?;]+[.!?]*/g) || []) {
+      const sentence = piece.trim();
+      if (sentence) sentences.push({ text: sentence, speaker });
+    }
+  }
+  return sentences;
+}
+
+// The action with its deadline and urgency cut out, as a to-do item
+function cleanAction(action: string, createdAt: Date): string {
+  let text = action;
+  const due = findDueDate(text, createdAt);
+  if (due) text = text.slice(0, due.index) + text.slice(due.index + due.length);
+  text = text.trim().replace(/[.!?]+$/, '');
+  for (const pattern of PRIORITY_EDGES) {
+    text = text.replace(pattern, '');
+  }
+
+  text = text
+    .replace(/[.!?]+$/, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+,/g, ',')
+    .trim()
+    .replace(TRAILING_NOISE, '')
+    .replace(/^[,\s]+|[,\s]+$/g, '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function matchTask(clause: string, speaker?: string): { action: string; assignee?: string } | null {
+  for (const { pattern, action, assignee, subject, verb } of TASK_PATTERNS) {
+    const match = clause.match(pattern);
+    if (!match) continue;
+
+    const text = verb ? `${verb} ${match[action]}` : match[action];
+    if (assignee) return { action: text, assignee: match[assignee] };
+    const isShared = subject !== undefined && match[subject].toLowerCase() === 'we';
+    return { action: text, assignee: isShared ? undefined : speaker };
+  }
+
+  const imperative = clause.match(IMPERATIVE_PATTERN);
+  return imperative ? { action: imperative[1], assignee: speaker } : null;
+}
+
+// The tasks in a sentence, one per clause that reads as a task. Clauses
+// without one belong to the task before them ("buy milk, eggs and bread",
+// "call the bank, it's urgent"), or to the first task when they lead the
+// sentence ("tomorrow, call the bank").
+function findTasks(sentence: Sentence): FoundTask[] {
+  const clauses: Array<{ start: number; end: number }> = [];
+  let start = 0;
+  for (const separator of sentence.text.matchAll(CLAUSE_SEPARATOR)) {
+    clauses.push({ start, end: separator.index ?? start });
+    start = (separator.index ?? start) + separator[0].length;
+  }
+  clauses.push({ start, end: sentence.text.length });
+
+  const found: Array<{ task: { action: string; assignee?: string }; start: number; end: number }> = [];
+  for (const clause of clauses) {
+    const task = matchTask(sentence.text.slice(clause.start, clause.end), sentence.speaker);
+    if (task) {
+      found.push({ task, start: found.length === 0 ? 0 : clause.start, end: clause.end });
+    } else if (found.length > 0) {
+      // Carries the clause along, with the comma before it
+      const last = found[found.length - 1];
+      const tail = sentence.text.slice(last.end, clause.end);
+      last.task = { ...last.task, action: last.task.action + tail };
+      last.end = clause.end;
+    }
+  }
+
+  return found.map(({ task, start, end }) => ({ ...task, source: sentence.text.slice(start, end).trim() }));
+}
+
+// Deterministic, offline task extraction: sentences and clauses phrased as
+// commitments ("I need to ...", "remind me to ...", "ask Sam to ...", "Sam
+// will ...") or starting with a to-do verb ("Call the bank") become tasks. Deadlines are left as said for
+// resolveTasks. `speakers` are the names labelling "Name: ..." turns.
+export function extractTasks(text: string, speakers: string[] = [], createdAt: Date = new Date()): TaskDraft[] {
+  const tasks: TaskDraft[] = [];
+  const seen = new Set<string>();
+
+  for (const found of splitSentences(text, speakers).flatMap(findTasks)) {
+    const due = findDueDate(found.source, createdAt);
+    const taskText = cleanAction(found.action, createdAt);
+    if (taskText.length < 3 || seen.has(taskText.toLowerCase())) continue;
+
+    seen.add(taskText.toLowerCase());
+    tasks.push({
+      text: taskText,
+      due: due ? found.source.substr(due.index, due.length).trim() : undefined,
+      priority: detectPriority(found.source),
+      assignee: found.assignee,
+      source: found.source,
+    });
+  }
+  return tasks;
+}
+
+// Offsets of `source` in `text`, preferring a match after `from` so tasks
+// quoting repeated words are found in order
+function locateSource(text: string, source: string, from: number): { start: number; end: number } | null {
+  const haystack = text.toLowerCase();
+  const needle = source.trim().replace(/[.!?]+$/, '').toLowerCase();
+  if (!needle) return null;
+
+  let start = haystack.indexOf(needle, from);
+  if (start < 0) start = haystack.indexOf(needle);
+  return start < 0 ? null : { start, end: start + needle.length };
+}
+
+// Turns provider drafts into the tasks stored on a Summary: deadlines are
+// resolved against `createdAt` (falling back to one mentioned in the source
+// sentence) and sources are located in `originalText`.
+export function resolveTasks(drafts: TaskDraft[], originalText: string, createdAt: Date): SummaryTask[] {
+  let searchFrom = 0;
+  return drafts.map(draft => {
+    const task: SummaryTask = {
+      id: `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      text: draft.text.trim(),
+    };
+
+    const dueDate = (draft.due && resolveDueDate(draft.due, createdAt))
+      || (draft.source && resolveDueDate(draft.source, createdAt));
+    if (dueDate) task.dueDate = dueDate;
+    if (draft.priority) task.priority = draft.priority;
+    if (draft.assignee?.trim()) task.assignee = draft.assignee.trim();
+
+    const span = locateSource(originalText, draft.source || draft.text, searchFrom);
+    if (span) {
+      task.sourceStart = span.start;
+      task.sourceEnd = span.end;
+      searchFrom = span.end;
+    }
+    return task;
+  });
+}
+
+// Task lists saved before tasks were structured are plain strings, and
+// have no ids until they are given ones derived from their note
+export function parseStoredTasks(value: unknown, noteId: string): SummaryTask[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const tasks = value
+    .map((task, index) => {
+      const item = typeof task === 'string' ? { text: task } : task;
+      return { ...item, id: item?.id ?? `${noteId}_task_${index}` };
+    })
+    .filter((task): task is SummaryTask => typeof task.text === 'string' && task.text.trim().length > 0);
+  return tasks.length > 0 ? tasks : undefined;
+}
+
+export function isTaskOverdue(task: SummaryTask, now: Date = new Date()): boolean {
+  return !task.completed && !!task.dueDate && task.dueDate < toIsoDate(now);
+}
+
+// A new summary lists its tasks afresh; ones that were already checked off
+// under the same wording stay done
+export function carryOverCompletion(previous: SummaryTask[] = [], next: SummaryTask[] = []): SummaryTask[] {
+  const done = new Map(
+    previous.filter(task => task.completed).map(task => [task.text.trim().toLowerCase(), task])
+  );
+  return next.map(task => {
+    const match = done.get(task.text.trim().toLowerCase());
+    return match ? { ...task, completed: true, completedAt: match.completedAt } : task;
+  });
+}
+
+// "Today", "Tomorrow", "Fri, Oct 23", with the year only when it differs
+export function formatDueDate(dueDate: string, now: Date = new Date()): string {
+  const date = parseIsoDate(dueDate);
+  if (!date) return dueDate;
+
+  const days = Math.round((date.getTime() - startOfDay(now).getTime()) / (24 * 60 * 60 * 1000));
+  if (days === 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  if (days === -1) return 'Yesterday';
+  return date.toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    ...(date.getFullYear() !== now.getFullYear() && { year: 'numeric' }),
+  });
+}
@@ -0,0 +1,104 @@
+import { stripSpeakerLabels } from './speakers';
+
+// Long enough for "Call with Sarah about the launch plan"
+const MAX_TITLE_WORDS = 8;
+const MAX_TITLE_LENGTH = 60;
+// Sentences shorter than this say too little to name a note
+const MIN_TITLE_WORDS = 2;
+
+// Openers that say nothing about the note ("So, okay, I just wanted to ...")
+const LEAD_INS = [
+  /^(?:so|okay|ok|alright|all right|well|right|um+|uh+|hey|hi|hello|and|anyway|yeah|yes)\b[,.!]?\s*/i,
+  /^(?:this is )?(?:a )?(?:quick )?(?:voice )?(?:note|reminder|memo)(?: to self)?[,:.]?\s*(?:(?:about|on|for|regarding)\s+)?/i,
+  /^(?:I )?(?:just )?(?:wanted|want|need|have) to (?:talk|say|record|note|write down|mention|think|get down)(?: (?:about|that|something))?\s*/i,
+  /^(?:today|tonight|this morning|this afternoon|this evening)[,]?\s*/i,
+  /^(?:I|we) (?:really )?(?:need|have|want|got|should) to (?:remember to )?/i,
+  /^(?:remember|don't forget) to /i,
+];
+
+// An explicit topic wins over the first sentence: "this note is about X"
+const TOPIC_PATTERN = /\b(?:this (?:note|memo|recording) is (?:about|on|for)|notes? (?:about|on|from)|(?:meeting|call) (?:with|about))\s+([^.!?,;]+)/i;
+
+// Where a long first sentence can be cut without losing its subject
+const CLAUSE_BREAK = /,|;|:|\s(?:because|but|so that|so|which|although|since|while|and then)\s/i;
+
+// Words a title shouldn't end on
+const DANGLING_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'for', 'with', 'in', 'on', 'at', 'by', 'from', 'about',
+  'my', 'our', 'your', 'his', 'her', 'their', 'that', 'this', 'is', 'was', 'are', 'be', 'i', 'we',
+]);
+
+const capitalize = (text: string): string => text.charAt(0).toUpperCase() + text.slice(1);
+
+function stripLeadIns(sentence: string): string {
+  let text = sentence.trim();
+  for (let previous = ''; previous !== text; ) {
+    previous = text;
+    for (const pattern of LEAD_INS) text = text.replace(pattern, '');
+  }
+  return text;
+}
+
+// Shortens to the word limit and drops words a title can't end on
+function trimWords(text: string): string {
+  const words = text.split(/\s+/).filter(word => word.length > 0).slice(0, MAX_TITLE_WORDS);
+  while (words.length > MIN_TITLE_WORDS && DANGLING_WORDS.has(words[words.length - 1].toLowerCase())) {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+// Tidies a title from any source: one line, no quotes, "Title:" label or
+// final full stop, and at most MAX_TITLE_LENGTH characters cut at a word.
+// Returns undefined when nothing is left.
+export function normalizeTitle(title: string): string | undefined {
+  let text = title
+    .trim()
+    .split('\n')[0]
+    .replace(/\*\*|__/g, '')
+    .replace(/^\s*#+\s*/, '')
+    .replace(/^\s*title\s*:\s*/i, '')
+    .replace(/^["'“”‘’]+|["'“”‘’]+$/g, '')
+    .replace(/[.,;:!]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text.length > MAX_TITLE_LENGTH) {
+    const cut = text.slice(0, MAX_TITLE_LENGTH + 1);
+    const space = cut.lastIndexOf(' ');
+    text = (space > 0 ? cut.slice(0, space) : cut.slice(0, MAX_TITLE_LENGTH)).replace(/[.,;:!-]+$/, '');
+  }
+  return text ? capitalize(text) : undefined;
+}
+
+// An offline title taken from the note itself: a stated topic ("meeting
+// with Sam about the budget") or the start of the first sentence that says
+// something, without its lead-in. "Speaker 1:" labels of conversations are
+// ignored. Returns undefined for empty text.
+export function extractTitle(text: string): string | undefined {
+  const plain = stripSpeakerLabels(text).trim();
+  if (!plain) return undefined;
+
+  const topic = plain.match(TOPIC_PATTERN);
+  if (topic) {
+    const label = topic[0].slice(0, topic[0].length - topic[1].length).trim();
+    // "this note is about X" is just X; "meeting with X" keeps its "meeting"
+    const subject = topic[1].split(CLAUSE_BREAK)[0];
+    const keepLabel = /^(?:meeting|call)/i.test(label);
+    const title = normalizeTitle(trimWords(keepLabel ? `${label} ${subject}` : subject));
+    if (title && title.split(' ').length >= MIN_TITLE_WORDS) return title;
+  }
+
+  const sentences = plain.match(/[^.!?\n]+[.!?]*/g) || [plain];
+  for (const sentence of sentences) {
+    const content = stripLeadIns(sentence);
+    const clause = content.split(CLAUSE_BREAK)[0];
+    // A clause too short to stand alone ("Anyway,") falls back to the sentence
+    const candidate = clause.split(/\s+/).length >= MIN_TITLE_WORDS + 1 ? clause : content;
+    if (candidate.split(/\s+/).filter(word => word.length > 0).length < MIN_TITLE_WORDS) continue;
+
+    const title = normalizeTitle(trimWords(candidate));
+    if (title) return title;
+  }
+  return normalizeTitle(trimWords(plain));
+}
@@ -0,0 +1,61 @@
+import { MOCK_TRANSCRIPTIONS } from './MockTranscriptionProvider';
+import { joinTranscript, StreamingListener, StreamingSession } from './StreamingSession';
+
+// Roughly 150 words per minute
+const WORDS_PER_SECOND = 2.5;
+
+// Offline stand-in for a streaming server: "hears" one of the sample
+// transcripts at speaking pace while audio keeps arriving. Finished sentences
+// become final; the sentence in progress is the partial hypothesis.
+export class MockStreamingSession implements StreamingSession {
+  private sentences: string[][];
+  private startedAt: number | null = null;
+  private isClosed = false;
+
+  constructor(private readonly listener: StreamingListener) {
+    const text = MOCK_TRANSCRIPTIONS[Math.floor(Math.random() * MOCK_TRANSCRIPTIONS.length)];
+    this.sentences = (text.match(/[^.!?]+[.!?]*/g) || [text]).map(sentence =>
+      sentence.trim().split(/\s+/)
+    );
+  }
+
+  sendAudio(_base64Chunk: string): void {
+    if (this.isClosed) return;
+    if (this.startedAt === null) this.startedAt = Date.now();
+
+    const wordsHeard = Math.floor(((Date.now() - this.startedAt) / 1000) * WORDS_PER_SECOND) + 1;
+    this.listener(this.transcriptAfter(wordsHeard));
+  }
+
+  async finish(): Promise<string> {
+    const total = this.sentences.reduce((count, sentence) => count + sentence.length, 0);
+    const wordsHeard = this.startedAt === null
+      ? 0
+      : Math.min(total, Math.floor(((Date.now() - this.startedAt) / 1000) * WORDS_PER_SECOND) + 1);
+    const transcript = this.transcriptAfter(wordsHeard);
+    this.close();
+    return joinTranscript([transcript.finalText, transcript.partialText]);
+  }
+
+  close(): void {
+    this.isClosed = true;
+  }
+
+  private transcriptAfter(wordsHeard: number) {
+    const finals: string[] = [];
+    let partial: string[] = [];
+    let remaining = wordsHeard;
+
+    for (const sentence of this.sentences) {
+      if (remaining <= 0) break;
+      if (remaining >= sentence.length) {
+        finals.push(sentence.join(' '));
+      } else {
+        partial = sentence.slice(0, remaining);
+      }
+      remaining -= sentence.length;
+    }
+
+    return { finalText: joinTranscript(finals), partialText: partial.join(' ') };
+  }
+}
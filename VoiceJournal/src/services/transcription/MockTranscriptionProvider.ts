@@ -0,0 +1,169 @@
+import { TranscriptionResult, TranscriptSegment, TranscriptWord } from '../../types';
+import { TranscriptionProvider } from './TranscriptionProvider';
+
+// A recorded meeting with the speaker of every sentence, so the mock can
+// stand in for a provider that diarizes
+const MOCK_CONVERSATION: Array<[string, string]> = [
+  ['SPEAKER_00', "Okay, let's go through the sprint board before the client call."],
+  ['SPEAKER_00', 'Where are we on the frontend?'],
+  ['SPEAKER_01', 'The components are done, but I still need to write the tests by Thursday.'],
+  ['SPEAKER_00', 'Great, and the backend API?'],
+  ['SPEAKER_02', "I'll deploy the new endpoints to staging tomorrow and send the docs to the client."],
+  ['SPEAKER_00', "Sounds good, I'll schedule the review for Friday."],
+];
+
+const MOCK_CONVERSATION_TEXT = MOCK_CONVERSATION.map(([, sentence]) => sentence).join(' ');
+
+// Lets the demo show language detection; every other sample is English
+const MOCK_SPANISH_TRANSCRIPTION = "Recordatorio para mañana: llamar al banco antes de las diez y comprar pan, leche y fruta. También tengo que terminar la presentación para el viernes.";
+
+export const MOCK_TRANSCRIPTIONS = [
+  "Today I had a really productive meeting with the team. We discussed the new project timeline and assigned tasks for the next sprint. I need to follow up on the design mockups and schedule a client review session.",
+  "Reminder to buy groceries: milk, bread, eggs, and vegetables. Also need to call the dentist to schedule an appointment and pay the electricity bill by Friday.",
+  "Had an interesting conversation about machine learning today. The potential applications in healthcare are fascinating. Should research more about neural networks and their implementation in medical diagnosis.",
+  "Meeting notes: Project deadline moved to next month. Sarah will handle the frontend components, Mike takes care of the backend API, and I'll focus on the database optimization.",
+  "Personal reflection: Feeling grateful for the support from friends and family. The new job is challenging but rewarding. Goal for next week is to establish a better work-life balance.",
+  MOCK_CONVERSATION_TEXT,
+  MOCK_SPANISH_TRANSCRIPTION,
+];
+
+const mockLanguage = (text: string): string => (text === MOCK_SPANISH_TRANSCRIPTION ? 'es' : 'en');
+
+const LEAD_IN_MS = 300;
+const WORD_GAP_MS = 60;
+const COMMA_PAUSE_MS = 150;
+const SENTENCE_PAUSE_MS = 350;
+
+// Commonly confused words, used to fake the alternative hypotheses a
+// recognizer offers for words it is unsure about
+const CONFUSABLE_WORDS = [
+  ['there', 'their', "they're"],
+  ['to', 'too', 'two'],
+  ['by', 'buy', 'bye'],
+  ['for', 'four'],
+  ['new', 'knew'],
+  ['week', 'weak'],
+  ['right', 'write'],
+  ['here', 'hear'],
+  ['need', 'knead'],
+  ['meet', 'meat'],
+];
+
+function mockAlternatives(word: string): string[] {
+  const core = word.replace(/[.,!?;:"'()]/g, '');
+  if (!core) return [];
+  const lower = core.toLowerCase();
+  const group = CONFUSABLE_WORDS.find(candidates => candidates.includes(lower));
+  if (group) {
+    const capitalized = core[0] !== core[0].toLowerCase();
+    return group
+      .filter(candidate => candidate !== lower)
+      .map(candidate => (capitalized ? candidate[0].toUpperCase() + candidate.slice(1) : candidate));
+  }
+  if (lower.length < 3) return [];
+  return [lower.endsWith('s') ? core.slice(0, -1) : `${core}s`];
+}
+
+function hashWord(word: string, index: number): number {
+  let hash = index * 7919;
+  for (let i = 0; i < word.length; i++) {
+    hash = (hash * 31 + word.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+// Fakes the timings a real speech model would report: roughly 150 words per
+// minute with longer words taking longer, short pauses at commas and
+// sentence ends, and the occasional low-confidence word. `speakers` labels
+// each sentence in order.
+export function buildMockTimings(
+  text: string,
+  speakers?: string[]
+): Pick<TranscriptionResult, 'segments' | 'words' | 'confidence'> {
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+  const segments: TranscriptSegment[] = [];
+  const words: TranscriptWord[] = [];
+  let cursor = LEAD_IN_MS;
+
+  sentences.forEach((sentence, sentenceIndex) => {
+    const speaker = speakers?.[sentenceIndex];
+    const sentenceWords = sentence.trim().split(/\s+/).filter(word => word.length > 0);
+    if (sentenceWords.length === 0) return;
+
+    const firstWord = words.length;
+    sentenceWords.forEach(word => {
+      const letters = word.replace(/[.,!?;:"'()]/g, '').length;
+      const durationMs = Math.min(900, Math.max(200, 180 + letters * 55));
+      const hash = hashWord(word, words.length);
+      const confidence = hash % 12 === 0
+        ? 0.4 + (hash % 20) / 100
+        : 0.82 + (hash % 17) / 100;
+
+      const alternatives = confidence < 0.7 ? mockAlternatives(word) : [];
+
+      words.push({
+        startMs: cursor,
+        endMs: cursor + durationMs,
+        text: word,
+        confidence,
+        ...(alternatives.length > 0 && { alternatives }),
+        ...(speaker && { speaker }),
+      });
+      cursor += durationMs + WORD_GAP_MS + (/[,;]$/.test(word) ? COMMA_PAUSE_MS : 0);
+    });
+
+    const segmentWords = words.slice(firstWord);
+    segments.push({
+      startMs: segmentWords[0].startMs,
+      endMs: segmentWords[segmentWords.length - 1].endMs,
+      text: sentence.trim(),
+      confidence: average(segmentWords.map(word => word.confidence as number)),
+      ...(speaker && { speaker }),
+    });
+    cursor += SENTENCE_PAUSE_MS;
+  });
+
+  return {
+    segments,
+    words,
+    confidence: average(words.map(word => word.confidence as number)),
+  };
+}
+
+function average(values: number[]): number {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Offline stand-in that returns one of a few canned transcripts. With a
+// language set it sticks to samples in that language where there are any.
+export class MockTranscriptionProvider implements TranscriptionProvider {
+  readonly id = 'mock';
+  readonly name = 'Mock (offline demo)';
+
+  constructor(private readonly delayMs: number = 2000, private readonly language: string = '') {}
+
+  async transcribe(audioUri: string): Promise<TranscriptionResult> {
+    console.log('Transcribing audio from:', audioUri);
+
+    // Simulate processing time
+    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+
+    const inLanguage = MOCK_TRANSCRIPTIONS.filter(text => mockLanguage(text) === this.language);
+    const samples = inLanguage.length > 0 ? inLanguage : MOCK_TRANSCRIPTIONS;
+    const randomText = samples[Math.floor(Math.random() * samples.length)];
+    const speakers = randomText === MOCK_CONVERSATION_TEXT
+      ? MOCK_CONVERSATION.map(([speaker]) => speaker)
+      : undefined;
+
+    return {
+      success: true,
+      text: randomText,
+      language: this.language || mockLanguage(randomText),
+      ...buildMockTimings(randomText, speakers),
+    };
+  }
+
+  async checkHealth(): Promise<boolean> {
+    return true;
+  }
+}
@@ -0,0 +1,23 @@
+import { LiveTranscript } from '../../types';
+
+export type StreamingAudioFormat = 'wav' | 'ogg';
+
+export type StreamingListener = (transcript: LiveTranscript) => void;
+
+// One live transcription of a recording in progress. Audio is passed in as
+// base64 chunks of the growing recording file, in order.
+export interface StreamingSession {
+  sendAudio(base64Chunk: string): void;
+
+  // Signals the end of the audio and resolves with the final live transcript
+  // once the backend has flushed it. Never rejects; on failure it resolves
+  // with whatever was heard.
+  finish(): Promise<string>;
+
+  // Drops the session without waiting for a final transcript
+  close(): void;
+}
+
+export function joinTranscript(parts: string[]): string {
+  return parts.map(part => part.trim()).filter(part => part.length > 0).join(' ');
+}
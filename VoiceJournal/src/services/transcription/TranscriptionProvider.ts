@@ -0,0 +1,29 @@
+import { TranscriptionResult } from '../../types';
+import { AudioContainer } from '../audioFormat';
+
+export interface TranscribeOptions {
+  // Glossary of names and jargon to bias recognition towards, for providers
+  // that accept a text prompt (see buildVocabularyPrompt)
+  prompt?: string;
+}
+
+// A speech-to-text backend that TranscriptionHandler delegates to. Providers
+// report failures through `TranscriptionResult.error` rather than throwing,
+// and should fill in segment and word timings whenever the backend has them.
+export interface TranscriptionProvider {
+  readonly id: string;
+  readonly name: string;
+  // Largest file the backend accepts in one request, if it has a limit
+  readonly maxUploadBytes?: number;
+  // Formats the backend can decode; anything else is refused before upload.
+  // Leave unset to accept every format.
+  readonly supportedFormats?: AudioContainer[];
+  // Sample rate the backend works at. WAV files that are too large to send
+  // whole, or that aren't 16-bit, are converted to 16-bit mono at this rate.
+  readonly preferredSampleRate?: number;
+
+  transcribe(audioUri: string, options?: TranscribeOptions): Promise<TranscriptionResult>;
+
+  // Resolves to true when the backend is reachable and ready to accept audio
+  checkHealth(): Promise<boolean>;
+}
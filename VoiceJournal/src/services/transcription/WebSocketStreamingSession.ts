@@ -0,0 +1,137 @@
+import { joinTranscript, StreamingAudioFormat, StreamingListener, StreamingSession } from './StreamingSession';
+
+// How long finish() waits for the server to flush its last hypotheses
+const FINISH_TIMEOUT_MS = 5000;
+
+interface ServerMessage {
+  type: 'partial' | 'final' | 'done' | 'error';
+  text?: string;
+  message?: string;
+}
+
+// Streams audio to a live transcription server over WebSocket. Every message
+// is a JSON text frame:
+//
+//   client → {"type":"start","format":"wav"|"ogg","language"?:"en"}  no language: detect
+//   client → {"type":"audio","data":"<base64>"}
+//   client → {"type":"stop"}
+//   server → {"type":"partial","text":"..."}  current guess since the last final
+//   server → {"type":"final","text":"..."}    settled text, appended in order
+//   server → {"type":"done"}                  after stop, once everything is final
+//   server → {"type":"error","message":"..."}
+//
+// scripts/mock-streaming-server.js implements this for local testing.
+export class WebSocketStreamingSession implements StreamingSession {
+  private socket: WebSocket;
+  private outbox: string[] = [];
+  private finals: string[] = [];
+  private partial = '';
+  private error?: string;
+  private isOpen = false;
+  private isClosed = false;
+  private resolveFinish: (() => void) | null = null;
+
+  constructor(
+    url: string,
+    format: StreamingAudioFormat,
+    private readonly listener: StreamingListener,
+    language?: string
+  ) {
+    this.socket = new WebSocket(url);
+    this.send({ type: 'start', format, ...(language && { language }) });
+
+    this.socket.onopen = () => {
+      this.isOpen = true;
+      this.outbox.forEach(message => this.socket.send(message));
+      this.outbox = [];
+    };
+    this.socket.onmessage = event => this.handleMessage(event.data);
+    this.socket.onerror = () => this.fail('Live transcription server unreachable');
+    this.socket.onclose = () => {
+      this.isClosed = true;
+      this.resolveFinish?.();
+    };
+  }
+
+  sendAudio(base64Chunk: string): void {
+    this.send({ type: 'audio', data: base64Chunk });
+  }
+
+  async finish(): Promise<string> {
+    if (!this.isClosed && !this.error) {
+      this.send({ type: 'stop' });
+      await new Promise<void>(resolve => {
+        const timeout = setTimeout(resolve, FINISH_TIMEOUT_MS);
+        this.resolveFinish = () => {
+          clearTimeout(timeout);
+          resolve();
+        };
+      });
+    }
+    this.close();
+    // A partial the server never confirmed is still better than nothing
+    return joinTranscript([...this.finals, this.partial]);
+  }
+
+  close(): void {
+    this.resolveFinish = null;
+    if (!this.isClosed) {
+      this.isClosed = true;
+      this.socket.close();
+    }
+  }
+
+  private send(message: object): void {
+    if (this.isClosed) return;
+    const json = JSON.stringify(message);
+    if (this.isOpen) {
+      this.socket.send(json);
+    } else {
+      this.outbox.push(json);
+    }
+  }
+
+  private handleMessage(data: unknown): void {
+    let message: ServerMessage;
+    try {
+      message = JSON.parse(String(data));
+    } catch (error) {
+      console.warn('Ignoring malformed live transcription message:', data);
+      return;
+    }
+
+    switch (message.type) {
+      case 'partial':
+        this.partial = message.text || '';
+        break;
+      case 'final':
+        this.finals.push(message.text || '');
+        this.partial = '';
+        break;
+      case 'done':
+        this.resolveFinish?.();
+        return;
+      case 'error':
+        this.fail(message.message || 'Live transcription failed');
+        return;
+      default:
+        return;
+    }
+    this.emit();
+  }
+
+  private fail(error: string): void {
+    console.error('Live transcription error:', error);
+    this.error = error;
+    this.emit();
+    this.resolveFinish?.();
+  }
+
+  private emit(): void {
+    this.listener({
+      finalText: joinTranscript(this.finals),
+      partialText: this.partial.trim(),
+      error: this.error,
+    });
+  }
+}
@@ -0,0 +1,256 @@
+import { Platform } from 'react-native';
+import {
+  TranscriptionProviderSettings,
+  TranscriptionResult,
+  TranscriptSegment,
+  TranscriptWord,
+} from '../../types';
+import { fetchWithTimeout, HttpError, joinApiUrl, TimeoutError } from '../http';
+import { AudioContainer } from '../audioFormat';
+import { normalizeLanguage } from '../languages';
+import { TranscribeOptions, TranscriptionProvider } from './TranscriptionProvider';
+
+// Subset of the `verbose_json` response shared by OpenAI and self-hosted
+// Whisper servers (faster-whisper-server, whisper.cpp server, LocalAI, ...)
+// Times are in seconds. `probability` is only sent by some self-hosted servers.
+// `speaker` is added by servers that diarize (WhisperX, pyannote-backed
+// servers, OpenAI's diarized_json) as a label like "SPEAKER_00", "A" or 0.
+interface WhisperWord {
+  word: string;
+  start: number;
+  end: number;
+  probability?: number;
+  speaker?: string | number;
+}
+
+interface WhisperSegment {
+  start: number;
+  end: number;
+  text: string;
+  avg_logprob?: number;
+  no_speech_prob?: number;
+  words?: WhisperWord[];
+  speaker?: string | number;
+}
+
+interface WhisperResponse {
+  text: string;
+  // OpenAI sends the language's name ("english"), most self-hosted servers its code
+  language?: string;
+  duration?: number;
+  segments?: WhisperSegment[];
+  // OpenAI returns words at the top level; faster-whisper nests them in segments
+  words?: WhisperWord[];
+}
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const MIME_TYPES: Record<string, string> = {
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  webm: 'audio/webm',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  caf: 'audio/x-caf',
+  '3gp': 'audio/3gpp',
+};
+
+function getFileName(uri: string): string {
+  const path = uri.split('?')[0];
+  const name = path.substring(path.lastIndexOf('/') + 1);
+  return name || 'audio.m4a';
+}
+
+function getMimeType(fileName: string): string {
+  const extension = fileName.split('.').pop()?.toLowerCase() || '';
+  return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+// Whisper reports a mean log-probability per segment; exp() of it is a usable
+// 0-1 confidence. Segments are weighted by their duration.
+export function confidenceFromSegments(segments: WhisperSegment[] | undefined): number | undefined {
+  const scored = (segments || []).filter(segment => typeof segment.avg_logprob === 'number');
+  if (scored.length === 0) return undefined;
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const segment of scored) {
+    const weight = Math.max(segment.end - segment.start, 0.01);
+    weightedSum += Math.exp(segment.avg_logprob as number) * weight;
+    totalWeight += weight;
+  }
+  return Math.min(1, Math.max(0, weightedSum / totalWeight));
+}
+
+const toMs = (seconds: number): number => Math.round(seconds * 1000);
+
+const segmentConfidence = (segment: WhisperSegment): number | undefined =>
+  typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : undefined;
+
+const speakerLabel = (speaker: string | number | undefined): string | undefined =>
+  speaker === undefined || speaker === null || String(speaker).trim() === '' ? undefined : String(speaker).trim();
+
+export function segmentsFromWhisper(segments: WhisperSegment[] | undefined): TranscriptSegment[] | undefined {
+  const timed = (segments || []).filter(segment => segment.text.trim().length > 0);
+  if (timed.length === 0) return undefined;
+
+  return timed.map(segment => {
+    const speaker = speakerLabel(segment.speaker);
+    return {
+      startMs: toMs(segment.start),
+      endMs: toMs(segment.end),
+      text: segment.text.trim(),
+      confidence: segmentConfidence(segment),
+      ...(speaker && { speaker }),
+    };
+  });
+}
+
+// Words without their own probability or speaker take those of the segment they fall in
+export function wordsFromWhisper(data: WhisperResponse): TranscriptWord[] | undefined {
+  const segments = data.segments || [];
+  const words = data.words && data.words.length > 0
+    ? data.words
+    : segments.flatMap(segment => segment.words || []);
+  if (words.length === 0) return undefined;
+
+  return words
+    .filter(word => word.word.trim().length > 0)
+    .map(word => {
+      const segment = segments.find(candidate => word.start >= candidate.start && word.start < candidate.end);
+      const speaker = speakerLabel(word.speaker) ?? speakerLabel(segment?.speaker);
+      return {
+        startMs: toMs(word.start),
+        endMs: toMs(word.end),
+        text: word.word.trim(),
+        confidence: typeof word.probability === 'number'
+          ? word.probability
+          : segment && segmentConfidence(segment),
+        ...(speaker && { speaker }),
+      };
+    });
+}
+
+// Talks to any server exposing the OpenAI `/v1/audio/transcriptions` API
+export class WhisperTranscriptionProvider implements TranscriptionProvider {
+  readonly id = 'whisper';
+  readonly name = 'Whisper-compatible server';
+  // OpenAI's limit; self-hosted servers often take more, but not always
+  readonly maxUploadBytes = 25 * 1024 * 1024;
+  // What OpenAI accepts; self-hosted servers decode with ffmpeg and take more
+  readonly supportedFormats: AudioContainer[] = ['wav', 'mp3', 'mp4', 'ogg', 'webm', 'flac'];
+  // Whisper resamples everything to 16 kHz mono, so nothing is lost
+  readonly preferredSampleRate = 16000;
+
+  constructor(private readonly settings: TranscriptionProviderSettings) {}
+
+  async transcribe(audioUri: string, options: TranscribeOptions = {}): Promise<TranscriptionResult> {
+    try {
+      const body = await this.buildRequestBody(audioUri, options);
+      const response = await fetchWithTimeout(
+        joinApiUrl(this.settings.baseUrl, 'audio/transcriptions'),
+        { method: 'POST', headers: this.getHeaders(), body },
+        this.settings.timeoutMs
+      );
+      const data: WhisperResponse = await response.json();
+
+      if (typeof data.text !== 'string') {
+        throw new Error('Transcription server returned an unexpected response');
+      }
+
+      const text = data.text.trim();
+      if (!text) {
+        return { success: false, error: 'No speech was detected in the recording.' };
+      }
+
+      return {
+        success: true,
+        text,
+        confidence: confidenceFromSegments(data.segments),
+        language: normalizeLanguage(data.language) ?? normalizeLanguage(this.settings.language),
+        segments: segmentsFromWhisper(data.segments),
+        words: wordsFromWhisper(data),
+      };
+    } catch (error) {
+      console.error('Whisper transcription failed:', error);
+      return { success: false, error: this.describeError(error) };
+    }
+  }
+
+  async checkHealth(): Promise<boolean> {
+    try {
+      await fetchWithTimeout(
+        joinApiUrl(this.settings.baseUrl, 'models'),
+        { method: 'GET', headers: this.getHeaders() },
+        HEALTH_CHECK_TIMEOUT_MS
+      );
+      return true;
+    } catch (error) {
+      console.warn('Whisper server health check failed:', error);
+      return false;
+    }
+  }
+
+  private getHeaders(): Record<string, string> {
+    const headers: Record<string, string> = { Accept: 'application/json' };
+    if (this.settings.apiKey) {
+      headers.Authorization = `Bearer ${this.settings.apiKey}`;
+    }
+    return headers;
+  }
+
+  private async buildRequestBody(audioUri: string, options: TranscribeOptions): Promise<FormData> {
+    const name = getFileName(audioUri);
+    const type = getMimeType(name);
+    const form = new FormData();
+
+    if (Platform.OS === 'web') {
+      // Browsers need a real Blob; native FormData streams the file from its URI
+      const blob = await (await fetch(audioUri)).blob();
+      form.append('file', blob, name);
+    } else {
+      form.append('file', { uri: audioUri, name, type } as any);
+    }
+
+    form.append('model', this.settings.model);
+    // Without a language Whisper detects it from the first 30 seconds
+    const language = normalizeLanguage(this.settings.language);
+    if (language) {
+      form.append('language', language);
+    }
+    if (options.prompt) {
+      form.append('prompt', options.prompt);
+    }
+    form.append('response_format', 'verbose_json');
+    // Servers that don't support granularities ignore these and still send segments
+    form.append('timestamp_granularities[]', 'segment');
+    form.append('timestamp_granularities[]', 'word');
+    return form;
+  }
+
+  private describeError(error: unknown): string {
+    if (error instanceof TimeoutError) {
+      return 'The transcription server took too long to respond. Please try again.';
+    }
+    if (error instanceof HttpError) {
+      switch (error.status) {
+        case 401:
+        case 403:
+          return 'The transcription server rejected the API key. Check your settings.';
+        case 404:
+          return 'The transcription server does not support /v1/audio/transcriptions. Check the server URL.';
+        case 413:
+          return 'The audio file is too large for the transcription server.';
+        default:
+          return `The transcription server returned an error (${error.status}).`;
+      }
+    }
+    if (error instanceof TypeError) {
+      return 'Could not reach the transcription server. Check your connection and server URL.';
+    }
+    return error instanceof Error ? error.message : 'Failed to transcribe audio. Please try again.';
+  }
+}
@@ -0,0 +1,159 @@
+import { TranscriptionResult, TranscriptSegment, TranscriptWord } from '../../types';
+import { ChunkWindow } from '../AudioSplitter';
+
+export interface ChunkTranscript {
+  startMs: number;
+  endMs: number;
+  result: TranscriptionResult;
+}
+
+// How far back from the end of a chunk's text to look for words repeated at
+// the start of the next one
+const MAX_SEAM_WORDS = 40;
+// A single matching word ("the") is too likely to be a coincidence
+const MIN_SEAM_MATCH = 2;
+
+// Splits a recording into windows of at most `windowMs` that overlap by
+// `overlapMs`, so a word cut in half at one boundary is heard whole in the
+// neighbouring window
+export function planChunks(durationMs: number, windowMs: number, overlapMs: number): ChunkWindow[] {
+  if (durationMs <= windowMs) return [{ startMs: 0, endMs: durationMs }];
+
+  const step = windowMs - overlapMs;
+  const windows: ChunkWindow[] = [];
+  for (let startMs = 0; startMs < durationMs; startMs += step) {
+    const endMs = Math.min(startMs + windowMs, durationMs);
+    windows.push({ startMs, endMs });
+    if (endMs === durationMs) break;
+  }
+
+  // Fold a sliver of a last window into the previous one
+  const last = windows[windows.length - 1];
+  if (windows.length > 1 && last.endMs - last.startMs <= overlapMs * 2) {
+    windows.pop();
+    windows[windows.length - 1].endMs = durationMs;
+  }
+  return windows;
+}
+
+// Runs `task` over every item with at most `limit` running at once, keeping
+// results in input order
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  task: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const normalize = (word: string): string => word.toLowerCase().replace(/[^a-z0-9']/g, '');
+
+// Number of leading words of `next` that repeat the end of `previous`
+function countRepeatedWords(previous: string[], next: string[]): number {
+  const tail = previous.slice(-MAX_SEAM_WORDS).map(normalize);
+  const head = next.slice(0, MAX_SEAM_WORDS).map(normalize);
+
+  for (let length = Math.min(tail.length, head.length); length >= MIN_SEAM_MATCH; length--) {
+    let matches = true;
+    for (let i = 0; i < length; i++) {
+      if (tail[tail.length - length + i] !== head[i]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) return length;
+  }
+  return 0;
+}
+
+function mergeTexts(texts: string[]): string {
+  let merged: string[] = [];
+  for (const text of texts) {
+    const words = text.trim().split(/\s+/).filter(word => word.length > 0);
+    merged = merged.concat(words.slice(countRepeatedWords(merged, words)));
+  }
+  return merged.join(' ');
+}
+
+// Everything timed before the middle of an overlap comes from the earlier
+// chunk, everything after it from the later one
+function mergeTimed<T extends { startMs: number; endMs: number }>(
+  chunks: ChunkTranscript[],
+  pick: (result: TranscriptionResult) => T[] | undefined
+): T[] | undefined {
+  const merged: T[] = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const items = pick(chunk.result);
+    if (!items) return undefined;
+
+    const previous = chunks[index - 1];
+    const nextChunk = chunks[index + 1];
+    const from = previous ? (chunk.startMs + previous.endMs) / 2 : -Infinity;
+    const to = nextChunk ? (nextChunk.startMs + chunk.endMs) / 2 : Infinity;
+
+    for (const item of items) {
+      const startMs = item.startMs + chunk.startMs;
+      if (startMs >= from && startMs < to) {
+        merged.push({ ...item, startMs, endMs: item.endMs + chunk.startMs });
+      }
+    }
+  }
+  return merged;
+}
+
+// Chunks are detected separately; a short chunk of silence or a quote in
+// another language shouldn't decide the language of the whole recording
+function mostCommonLanguage(chunks: ChunkTranscript[]): string | undefined {
+  const durations = new Map<string, number>();
+  for (const chunk of chunks) {
+    const { language } = chunk.result;
+    if (language) durations.set(language, (durations.get(language) || 0) + chunk.endMs - chunk.startMs);
+  }
+  let best: string | undefined;
+  durations.forEach((duration, language) => {
+    if (best === undefined || duration > (durations.get(best) as number)) best = language;
+  });
+  return best;
+}
+
+// Joins per-chunk results into one transcript of the whole recording.
+// Timestamps are moved onto the recording's timeline and words heard twice in
+// an overlap are kept once. When every chunk has timed words the text is
+// built from them, so the two can't disagree at a seam where the chunks
+// worded the overlap differently. Chunks must be in order and all successful.
+export function mergeChunkResults(chunks: ChunkTranscript[]): TranscriptionResult {
+  const words = mergeTimed<TranscriptWord>(chunks, result => result.words);
+  const segments = mergeTimed<TranscriptSegment>(chunks, result => result.segments);
+
+  // Confidence is weighted by how much audio each chunk covered
+  let weightedConfidence = 0;
+  let weight = 0;
+  for (const chunk of chunks) {
+    if (chunk.result.confidence === undefined) continue;
+    const duration = chunk.endMs - chunk.startMs;
+    weightedConfidence += chunk.result.confidence * duration;
+    weight += duration;
+  }
+
+  return {
+    success: true,
+    text: words && words.length > 0
+      ? words.map(word => word.text.trim()).filter(text => text.length > 0).join(' ')
+      : mergeTexts(chunks.map(chunk => chunk.result.text || '')),
+    confidence: weight > 0 ? weightedConfidence / weight : undefined,
+    language: mostCommonLanguage(chunks),
+    segments: segments && segments.length > 0 ? segments : undefined,
+    words: words && words.length > 0 ? words : undefined,
+  };
+}
@@ -0,0 +1,40 @@
+import { TranscriptionProviderSettings } from '../../types';
+import { normalizeLanguage } from '../languages';
+import { MockStreamingSession } from './MockStreamingSession';
+import { MockTranscriptionProvider } from './MockTranscriptionProvider';
+import { StreamingAudioFormat, StreamingListener, StreamingSession } from './StreamingSession';
+import { TranscriptionProvider } from './TranscriptionProvider';
+import { WebSocketStreamingSession } from './WebSocketStreamingSession';
+import { WhisperTranscriptionProvider } from './WhisperTranscriptionProvider';
+
+export type { TranscribeOptions, TranscriptionProvider } from './TranscriptionProvider';
+export type { StreamingAudioFormat, StreamingListener, StreamingSession } from './StreamingSession';
+export { MockTranscriptionProvider } from './MockTranscriptionProvider';
+export { WhisperTranscriptionProvider } from './WhisperTranscriptionProvider';
+
+export function createTranscriptionProvider(settings: TranscriptionProviderSettings): TranscriptionProvider {
+  switch (settings.type) {
+    case 'whisper':
+      return new WhisperTranscriptionProvider(settings);
+    case 'mock':
+    default:
+      return new MockTranscriptionProvider(undefined, normalizeLanguage(settings.language));
+  }
+}
+
+// Starts live transcription for the current settings. Returns null when it is
+// turned off, or when only the offline demo could serve it but a real
+// provider is selected.
+export function createStreamingSession(
+  settings: TranscriptionProviderSettings,
+  format: StreamingAudioFormat,
+  listener: StreamingListener
+): StreamingSession | null {
+  if (!settings.streamingEnabled) return null;
+
+  const url = settings.streamingUrl.trim();
+  if (url) {
+    return new WebSocketStreamingSession(url, format, listener, normalizeLanguage(settings.language));
+  }
+  return settings.type === 'mock' ? new MockStreamingSession(listener) : null;
+}
@@ -0,0 +1,163 @@
+import { ReplacementRule, TranscriptionResult, TranscriptWord } from '../types';
+
+// Whisper only reads the last 224 tokens of a prompt; this keeps the
+// glossary comfortably inside that
+const MAX_PROMPT_CHARS = 600;
+
+interface CompiledRule {
+  pattern: RegExp;
+  replacement: string;
+}
+
+const escapeRegExp = (text: string): string => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A glossary for providers that take a text prompt. Whisper copies the
+// spelling of words it has seen in the prompt, so listing names is enough.
+export function buildVocabularyPrompt(terms: string[]): string | undefined {
+  const unique = [...new Set(terms.map(term => term.trim()).filter(term => term.length > 0))];
+  let glossary = '';
+  for (const term of unique) {
+    const next = glossary ? `${glossary}, ${term}` : term;
+    if (next.length > MAX_PROMPT_CHARS) break;
+    glossary = next;
+  }
+  return glossary ? `Glossary: ${glossary}.` : undefined;
+}
+
+// Why a rule can't be saved, or null when it is usable
+export function validateRule(find: string, isRegex: boolean): string | null {
+  if (!find.trim()) return 'Enter the text to find.';
+  if (!isRegex) return null;
+
+  try {
+    if (new RegExp(find).test('')) {
+      return 'The pattern also matches empty text. Use + instead of * or add a literal word.';
+    }
+  } catch (error) {
+    return (error as Error).message;
+  }
+  return null;
+}
+
+// The rule as a global RegExp, or null when its pattern doesn't compile.
+// Plain rules match whole words, except at ends that aren't word characters
+// so that e.g. "c++" still matches.
+export function compileRule(rule: ReplacementRule): RegExp | null {
+  if (!rule.find || validateRule(rule.find, rule.isRegex)) return null;
+
+  const flags = rule.caseSensitive ? 'g' : 'gi';
+  if (rule.isRegex) return new RegExp(rule.find, flags);
+
+  const start = /^\w/.test(rule.find) ? '\\b' : '';
+  const end = /\w$/.test(rule.find) ? '\\b' : '';
+  return new RegExp(`${start}${escapeRegExp(rule.find)}${end}`, flags);
+}
+
+function compileRules(rules: ReplacementRule[]): CompiledRule[] {
+  const compiled: CompiledRule[] = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const pattern = compileRule(rule);
+    if (!pattern) {
+      console.warn('Skipping invalid replacement rule:', rule.find);
+      continue;
+    }
+    // `$` is only special in regex replacements
+    compiled.push({ pattern, replacement: rule.isRegex ? rule.replace : rule.replace.replace(/\$/g, '$$$$') });
+  }
+  return compiled;
+}
+
+const tidy = (text: string): string => text.replace(/[ \t]{2,}/g, ' ').replace(/ +([.,!?;:])/g, '$1').trim();
+
+function applyToText(text: string, rules: CompiledRule[]): string {
+  return tidy(rules.reduce((result, rule) => result.replace(rule.pattern, rule.replacement), text));
+}
+
+// Applies one rule to timed words. A match spanning several words is spread
+// back over them one word each when the replacement has as many words;
+// otherwise those words are merged into a single timed word. Words left empty
+// are dropped.
+function applyToWords(words: TranscriptWord[], rule: CompiledRule): TranscriptWord[] {
+  const starts: number[] = [];
+  let joined = '';
+  for (const word of words) {
+    starts.push(joined.length);
+    joined += `${word.text} `;
+  }
+
+  // Index of the word containing character `offset` of `joined`
+  const wordAt = (offset: number): number => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  };
+
+  const result = words.map(word => ({ ...word }));
+  const merged = new Set<number>();
+  const single = new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', ''));
+  // Matches are applied from the end so the offsets of earlier ones stay valid
+  const matches = [...joined.matchAll(rule.pattern)].filter(match => match[0].trim().length > 0).reverse();
+
+  for (const match of matches) {
+    const start = match.index as number;
+    const end = start + match[0].trimEnd().length;
+    const first = wordAt(start);
+    const last = wordAt(end - 1);
+    const replacement = match[0].trimEnd().replace(single, rule.replacement);
+    const prefix = result[first].text.slice(0, start - starts[first]);
+    const suffix = result[last].text.slice(end - starts[last]);
+    const parts = replacement.trim().split(/\s+/).filter(part => part.length > 0);
+
+    if (first !== last && parts.length === last - first + 1) {
+      parts.forEach((part, offset) => {
+        const word = result[first + offset];
+        word.text = `${offset === 0 ? prefix : ''}${part}${first + offset === last ? suffix : ''}`;
+        delete word.alternatives;
+      });
+      continue;
+    }
+
+    const spanned = result.slice(first, last + 1);
+    const confidences = spanned
+      .map(word => word.confidence)
+      .filter((confidence): confidence is number => confidence !== undefined);
+    result[first] = {
+      ...result[first],
+      text: `${prefix}${replacement}${suffix}`.trim(),
+      endMs: result[last].endMs,
+      confidence: confidences.length > 0 ? Math.min(...confidences) : undefined,
+    };
+    delete result[first].alternatives;
+    for (let index = first + 1; index <= last; index++) merged.add(index);
+  }
+
+  return result.filter((word, index) => !merged.has(index) && word.text.trim().length > 0);
+}
+
+// Runs the user's find/replace rules over a transcript: its text, segments
+// and words, so timings and corrections keep lining up with the text
+export function applyReplacementRules(result: TranscriptionResult, rules: ReplacementRule[]): TranscriptionResult {
+  const compiled = compileRules(rules);
+  if (compiled.length === 0 || !result.success) return result;
+
+  return {
+    ...result,
+    text: result.text !== undefined ? applyToText(result.text, compiled) : undefined,
+    segments: result.segments
+      ?.map(segment => ({ ...segment, text: applyToText(segment.text, compiled) }))
+      .filter(segment => segment.text.length > 0),
+    words: result.words && compiled.reduce(applyToWords, result.words),
+  };
+}
+
+// Applies the rules to text that has no timings, e.g. a live transcript
+export function applyReplacementRulesToText(text: string, rules: ReplacementRule[]): string {
+  const compiled = compileRules(rules);
+  return compiled.length > 0 ? applyToText(text, compiled) : text;
+}
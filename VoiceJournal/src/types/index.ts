@@ -2,35 +2,166 @@ export interface AudioRecording {
   id: string;
   uri: string;
   duration: number;
+  // Filled in once the file is copied into app storage (see AudioAssetManager)
+  size?: number;
+  checksum?: string;
   createdAt: Date;
 }
 
+// Timings are milliseconds from the start of the recording; confidence is 0-1
+export interface TranscriptWord {
+  startMs: number;
+  endMs: number;
+  text: string;
+  confidence?: number;
+  // Other hypotheses for this word, most likely first, when the provider has them
+  alternatives?: string[];
+  // Diarization label, e.g. "SPEAKER_00"; see TranscriptSegment.speaker
+  speaker?: string;
+}
+
+// A timed stretch of the transcript, roughly one sentence
+export interface TranscriptSegment {
+  startMs: number;
+  endMs: number;
+  text: string;
+  confidence?: number;
+  // Opaque label from providers that separate speakers. Labels only group
+  // segments; the names users give them live in Note.speakerNames.
+  speaker?: string;
+}
+
 export interface Transcription {
   id: string;
   text: string;
   confidence?: number;
+  // ISO 639-1 code, detected by the provider or taken from the language setting
+  language?: string;
+  // Present when the provider reports timings; used to sync playback
+  segments?: TranscriptSegment[];
+  words?: TranscriptWord[];
   createdAt: Date;
 }
 
+export type TaskPriority = 'high' | 'medium' | 'low';
+
+// An action item found in a note
+export interface SummaryTask {
+  id: string;
+  text: string;
+  // Calendar date as YYYY-MM-DD; relative deadlines ("by Friday") are
+  // resolved against the note's creation date
+  dueDate?: string;
+  // Only set when the note says how urgent the task is
+  priority?: TaskPriority;
+  // Who is responsible, when the note says so
+  assignee?: string;
+  // Where the task was said, as offsets into `Summary.originalText`
+  sourceStart?: number;
+  sourceEnd?: number;
+  completed?: boolean;
+  completedAt?: Date;
+}
+
+// 'overdue' is open tasks whose due date has passed
+export type TaskStatusFilter = 'open' | 'overdue' | 'completed' | 'all';
+
+export interface TaskFilter {
+  status: TaskStatusFilter;
+  // Only tasks from notes with this tag
+  tag?: string;
+}
+
+// A task listed across notes, with what the Tasks screen shows of its note
+export interface NoteTask {
+  task: SummaryTask;
+  noteId: string;
+  noteTitle?: string;
+  noteTags: string[];
+  noteCreatedAt: Date;
+}
+
+export type MoodLabel = 'very_negative' | 'negative' | 'neutral' | 'positive' | 'very_positive';
+
+// How a journal note reads. `score` runs from -1 (very negative) to 1 (very
+// positive) and `label` is the band it falls in.
+export interface Mood {
+  score: number;
+  label: MoodLabel;
+  // Emotions the note expresses, strongest first, e.g. ['gratitude', 'calm']
+  emotions: string[];
+  // The mood the user picked instead of the detected one
+  userLabel?: MoodLabel;
+}
+
+export type MoodPeriod = 'day' | 'week';
+
+// The mood of one note, with any correction by the user applied
+export interface MoodEntry {
+  noteId: string;
+  score: number;
+  label: MoodLabel;
+  emotions: string[];
+  createdAt: Date;
+}
+
+// Average mood over one day or week; `count` is 0 when nothing was recorded
+export interface MoodBucket {
+  start: Date;
+  averageScore?: number;
+  count: number;
+}
+
 export interface Summary {
   id: string;
   originalText: string;
   journalPrompt?: string;
-  taskList?: string[];
+  taskList?: SummaryTask[];
+  // Only analyzed for journal notes
+  mood?: Mood;
   summary: string;
   type: 'journal' | 'tasks' | 'general';
   createdAt: Date;
 }
 
+// A fix the user made to one transcribed word. `wordIndex` points into
+// `Transcription.words`; the replacement is applied to `Note.editedText`.
+export interface TranscriptCorrection {
+  id: string;
+  wordIndex: number;
+  original: string;
+  replacement: string;
+  startMs: number;
+  endMs: number;
+  createdAt: Date;
+}
+
+// 'pending' while the note is waiting for its first summary, 'failed' when
+// summarization gave up; such notes are saved without a summary
+export type SummaryStatus = 'ready' | 'pending' | 'failed';
+
 export interface Note {
   id: string;
   title?: string;
+  // Set once the user has typed a title, which is then never replaced by a
+  // generated one
+  titleEdited?: boolean;
   originalText: string;
   editedText?: string;
-  summary: Summary;
+  summary?: Summary;
+  summaryStatus: SummaryStatus;
+  summaryError?: string;
+  // A draft kept while the transcription provider couldn't be reached. Its
+  // text is empty, or what was heard live, until the recording is transcribed.
+  awaitingTranscription?: boolean;
   audioRecording?: AudioRecording;
   transcription: Transcription;
   tags: string[];
+  // Tags proposed from the note's text; shown until accepted
+  suggestedTags?: string[];
+  corrections?: TranscriptCorrection[];
+  // Names the user gave to diarization labels, e.g. { SPEAKER_00: 'Sarah' }
+  speakerNames?: Record<string, string>;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -41,17 +172,189 @@ export interface RecordingStatus {
   uri?: string;
 }
 
+// What live transcription has heard so far: `finalText` no longer changes,
+// `partialText` is the provider's current guess for the speech after it
+export interface LiveTranscript {
+  finalText: string;
+  partialText: string;
+  error?: string;
+}
+
+// Why a file was refused before it reached the provider
+export type TranscriptionErrorCode =
+  | 'unsupported_format'
+  | 'file_too_large'
+  | 'empty_file'
+  | 'conversion_failed';
+
 export interface TranscriptionResult {
   success: boolean;
   text?: string;
   error?: string;
+  errorCode?: TranscriptionErrorCode;
   confidence?: number;
+  language?: string;
+  segments?: TranscriptSegment[];
+  words?: TranscriptWord[];
 }
 
+export type SummaryErrorCode =
+  | 'invalid_output'
+  | 'timeout'
+  | 'unauthorized'
+  | 'not_found'
+  | 'unreachable'
+  | 'provider_error'
+  | 'unknown';
+
 export interface SummaryResult {
   success: boolean;
   summary?: Summary;
   error?: string;
+  errorCode?: SummaryErrorCode;
+  // Set with 'invalid_output': why the model's last reply was rejected
+  validationErrors?: string[];
+}
+
+export interface PolishResult {
+  success: boolean;
+  text?: string;
+  error?: string;
+}
+
+export type ProcessingStage = 'transcribing' | 'cleaning' | 'summarizing' | 'analyzing' | 'saving';
+
+export type ProcessingJobStatus =
+  | 'queued'
+  | 'running'
+  | 'waiting_retry'
+  // The transcription provider is unreachable; the job waits as a draft note
+  // and is picked up again once the provider answers a health check
+  | 'waiting_for_provider'
+  | 'completed'
+  | 'failed'
+  | 'cancelled';
+
+// One recording moving through transcribe → clean up → summarize → save. The results of
+// finished stages are kept on the job so a retry or relaunch resumes from the
+// stage that was interrupted.
+export interface ProcessingJob {
+  id: string;
+  noteId: string;
+  audioUri: string;
+  audioRecording?: AudioRecording;
+  status: ProcessingJobStatus;
+  stage: ProcessingStage;
+  // Failed attempts at the current stage
+  attempts: number;
+  nextAttemptAt?: Date;
+  error?: string;
+  transcription?: Transcription;
+  summary?: Summary;
+  // Why summarization was given up; the note is then saved without a summary
+  summaryError?: string;
+  // Heard while recording; used when the full-file pass can't be completed
+  liveTranscript?: string;
+  // The transcript after the cleanup stage; becomes the note's edited text
+  cleanedText?: string;
+  // Generated alongside the cleanup
+  title?: string;
+  suggestedTags?: string[];
+  // Set once the job has written its note (the partial note or a draft); a
+  // note missing after that was deleted by the user
+  noteSaved?: boolean;
+  // Chunks of a long recording transcribed so far. Only kept in memory.
+  progress?: { completed: number; total: number };
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type TranscriptionProviderType = 'mock' | 'whisper';
+
+export interface TranscriptionProviderSettings {
+  type: TranscriptionProviderType;
+  baseUrl: string;
+  apiKey: string;
+  model: string;
+  timeoutMs: number;
+  // ISO 639-1 code of the spoken language; empty lets the provider detect it
+  language: string;
+  // Show a live transcript while recording
+  streamingEnabled: boolean;
+  // WebSocket endpoint for live transcription; empty uses the offline demo
+  streamingUrl: string;
+}
+
+export type LLMProviderType = 'mock' | 'openai' | 'ollama';
+
+export interface LLMProviderSettings {
+  type: LLMProviderType;
+  baseUrl: string;
+  apiKey: string;
+  model: string;
+  timeoutMs: number;
+  temperature: number;
+  // ISO 639-1 code to write summaries in; empty uses the note's own language
+  outputLanguage: string;
+}
+
+// A find/replace applied to every new transcript. Plain rules match whole
+// words; regex rules use JavaScript syntax and may refer to groups as $1.
+export interface ReplacementRule {
+  id: string;
+  find: string;
+  replace: string;
+  isRegex: boolean;
+  caseSensitive: boolean;
+  enabled: boolean;
+}
+
+export interface VocabularySettings {
+  // Names and jargon sent to providers as a hint
+  terms: string[];
+  rules: ReplacementRule[];
+}
+
+// Steps run on every new transcript before it is saved. The original
+// transcript is always kept alongside the cleaned text.
+export interface CleanupSettings {
+  removeFillers: boolean;
+  fixPunctuation: boolean;
+  // Start paragraphs at long pauses and changes of speaker
+  paragraphs: boolean;
+  // Also have the AI provider rewrite it lightly; slower and needs a server
+  polishWithAI: boolean;
+}
+
+export interface AppSettings {
+  transcription: TranscriptionProviderSettings;
+  llm: LLMProviderSettings;
+  vocabulary: VocabularySettings;
+  cleanup: CleanupSettings;
+}
+
+export type SearchField = 'title' | 'text' | 'original' | 'summary' | 'tags';
+
+export interface SearchMatch {
+  field: SearchField;
+  start: number;
+  end: number;
+}
+
+export interface SearchResult {
+  note: Note;
+  score: number;
+  matches: SearchMatch[];
+}
+
+export interface ParsedSearchQuery {
+  terms: string[];
+  phrases: string[][];
+  tags: string[];
+  types: Summary['type'][];
+  languages: string[];
+  before?: Date;
+  after?: Date;
 }
 
 export type NavigationParamList = {
@@ -61,4 +364,8 @@ export type NavigationParamList = {
   NoteList: undefined;
   NoteDetail: { noteId: string };
   ErrorReport: undefined;
+  Settings: undefined;
+  Vocabulary: undefined;
+  Tasks: undefined;
+  Mood: undefined;
 };
\ No newline at end of file